@@ -0,0 +1,331 @@
+// =============================================================================
+
+
+const getConfig = require('../../common/js/config');
+const { getWebSocket, trackConnectionState } = require('../../common/js/websocket');
+
+
+// =============================================================================
+
+
+/* The controls that list the custom text commands and allow them to be added,
+ * edited and removed. */
+const commandListBox = document.getElementById('command-list');
+const commandNameFld = document.getElementById('command-name');
+const commandRoleSel = document.getElementById('command-role');
+const commandTextFld = document.getElementById('command-text');
+const commandEnabledChk = document.getElementById('command-enabled');
+const commandBtn = document.getElementById('command-btn');
+const commandCancelBtn = document.getElementById('command-cancel-edit-btn');
+const commandErrorTxt = document.getElementById('command-error');
+
+/* The controls that list the timed messages and allow them to be added, edited
+ * and removed. */
+const timerListBox = document.getElementById('timer-list');
+const timerIntervalFld = document.getElementById('timer-interval');
+const timerMessagesFld = document.getElementById('timer-messages');
+const timerTextFld = document.getElementById('timer-text');
+const timerEnabledChk = document.getElementById('timer-enabled');
+const timerBtn = document.getElementById('timer-btn');
+const timerCancelBtn = document.getElementById('timer-cancel-edit-btn');
+const timerErrorTxt = document.getElementById('timer-error');
+
+/* The ID of the text command and timed message that are currently being
+ * edited, if any; when these are undefined, the controls add new entries. */
+let commandEditId = undefined;
+let timerEditId = undefined;
+
+
+// =============================================================================
+
+
+/* Send a request to the back end to change the text commands or timed messages
+ * using the URL and parameters given; if the back end rejects the request, the
+ * reason is displayed in the error text provided. The back end sends us the new
+ * lists when something changes. */
+async function requestChange(url, params, errorTxt) {
+  errorTxt.innerText = '';
+
+  const response = await window.fetch(`${url}?` + new URLSearchParams(params));
+  const result = await response.json();
+  if (result.success === false) {
+    errorTxt.innerText = result.reason;
+  }
+
+  return result.success;
+}
+
+
+// =============================================================================
+
+
+/* Given an entry in one of the lists, the text that describes it and the
+ * functions to call to edit and delete it, return back a row for the list. */
+function rowForEntry(entry, details, onEdit, onDelete) {
+  const row = document.createElement('div');
+  row.classList.add('command-entry');
+  if (entry.enabled === false) {
+    row.classList.add('disabled');
+  }
+
+  const editBtn = document.createElement('button');
+  editBtn.innerText = 'Edit';
+  editBtn.addEventListener('click', onEdit);
+
+  const deleteBtn = document.createElement('button');
+  deleteBtn.innerText = 'Delete';
+  deleteBtn.addEventListener('click', onDelete);
+
+  row.append(details, editBtn, deleteBtn);
+  return row;
+}
+
+
+/******************************************************************************/
+/* T E X T   C O M M A N D S                                                  */
+/******************************************************************************/
+
+/* This gets invoked whenever the button for adding or updating a text command
+ * is pressed; once the back end accepts the change, the controls are cleared
+ * so that a new command can be added. */
+async function saveTextCommand() {
+  const params = {
+    name: commandNameFld.value.trim(),
+    role: commandRoleSel.value,
+    text: commandTextFld.value.trim(),
+    enabled: commandEnabledChk.checked,
+  };
+
+  const url = (commandEditId !== undefined) ? '/commands/update' : '/commands/add';
+  if (commandEditId !== undefined) {
+    params.id = commandEditId;
+  }
+
+  if (await requestChange(url, params, commandErrorTxt) === true) {
+    stopEditingCommand();
+  }
+}
+
+
+// =============================================================================
+
+
+/* Put the text command controls into a mode where they edit the command
+ * provided, rather than adding a new one. */
+function startEditingCommand(entry) {
+  commandEditId = entry.id;
+  commandNameFld.value = entry.name;
+  commandRoleSel.value = entry.role;
+  commandTextFld.value = entry.text;
+  commandEnabledChk.checked = entry.enabled;
+
+  commandBtn.innerText = 'Update Text Command';
+  commandCancelBtn.classList.remove('hidden');
+  validateCommandFields();
+}
+
+
+// =============================================================================
+
+
+/* Take the text command controls out of edit mode (if they're in it) and clear
+ * them, ready to add a new command. */
+function stopEditingCommand() {
+  commandEditId = undefined;
+  commandNameFld.value = '';
+  commandRoleSel.value = 'everyone';
+  commandTextFld.value = '';
+  commandEnabledChk.checked = true;
+
+  commandBtn.innerText = 'Add Text Command';
+  commandCancelBtn.classList.add('hidden');
+  validateCommandFields();
+}
+
+
+// =============================================================================
+
+
+/* This performs a validation check on the text command fields, enabling the
+ * button that sends the request only if there is a valid command name and some
+ * text; the back end does the rest of the validation. */
+function validateCommandFields() {
+  commandBtn.disabled = /^![a-zA-Z0-9_]+$/.test(commandNameFld.value.trim()) === false ||
+                        commandTextFld.value.trim() === '';
+}
+
+
+// =============================================================================
+
+
+/* Given the list of text commands from the back end, populate the list in the
+ * page with an entry for each. */
+function displayTextCommands(commands) {
+  commandListBox.innerHTML = '';
+
+  // If the command we're editing is no longer in the list, then we can't be
+  // editing it any longer.
+  if (commandEditId !== undefined && commands.find(entry => entry.id === commandEditId) === undefined) {
+    stopEditingCommand();
+  }
+
+  if (commands.length === 0) {
+    commandListBox.innerText = 'There are no text commands';
+    return;
+  }
+
+  commands.forEach(entry => {
+    const details = document.createElement('span');
+    const name = document.createElement('span');
+    name.classList.add('name');
+    name.innerText = entry.name;
+    details.append(name, ` (${commandRoleSel.querySelector(`[value="${entry.role}"]`).innerText}): ${entry.text}`);
+
+    commandListBox.appendChild(rowForEntry(entry, details,
+      () => startEditingCommand(entry),
+      () => requestChange('/commands/delete', { id: entry.id }, commandErrorTxt)));
+  });
+}
+
+
+/******************************************************************************/
+/* T I M E D   M E S S A G E S                                                */
+/******************************************************************************/
+
+/* This gets invoked whenever the button for adding or updating a timed message
+ * is pressed; once the back end accepts the change, the controls are cleared
+ * so that a new message can be added. */
+async function saveTimedMessage() {
+  const params = {
+    interval: parseInt(timerIntervalFld.value, 10),
+    minMessages: parseInt(timerMessagesFld.value || '0', 10),
+    text: timerTextFld.value.trim(),
+    enabled: timerEnabledChk.checked,
+  };
+
+  const url = (timerEditId !== undefined) ? '/timers/update' : '/timers/add';
+  if (timerEditId !== undefined) {
+    params.id = timerEditId;
+  }
+
+  if (await requestChange(url, params, timerErrorTxt) === true) {
+    stopEditingTimer();
+  }
+}
+
+
+// =============================================================================
+
+
+/* Put the timed message controls into a mode where they edit the message
+ * provided, rather than adding a new one. */
+function startEditingTimer(entry) {
+  timerEditId = entry.id;
+  timerIntervalFld.value = entry.interval;
+  timerMessagesFld.value = entry.minMessages;
+  timerTextFld.value = entry.text;
+  timerEnabledChk.checked = entry.enabled;
+
+  timerBtn.innerText = 'Update Timed Message';
+  timerCancelBtn.classList.remove('hidden');
+  validateTimerFields();
+}
+
+
+// =============================================================================
+
+
+/* Take the timed message controls out of edit mode (if they're in it) and
+ * clear them, ready to add a new message. */
+function stopEditingTimer() {
+  timerEditId = undefined;
+  timerIntervalFld.value = '';
+  timerMessagesFld.value = '';
+  timerTextFld.value = '';
+  timerEnabledChk.checked = true;
+
+  timerBtn.innerText = 'Add Timed Message';
+  timerCancelBtn.classList.add('hidden');
+  validateTimerFields();
+}
+
+
+// =============================================================================
+
+
+/* This performs a validation check on the timed message fields, enabling the
+ * button that sends the request only if the interval is at least a minute, the
+ * number of messages (if given) is 0 or more and there is some text. */
+function validateTimerFields() {
+  const interval = Number(timerIntervalFld.value);
+  const messages = Number(timerMessagesFld.value || '0');
+
+  timerBtn.disabled = !(Number.isInteger(interval) && interval >= 1) ||
+                      !(Number.isInteger(messages) && messages >= 0) ||
+                      timerTextFld.value.trim() === '';
+}
+
+
+// =============================================================================
+
+
+/* Given the list of timed messages from the back end, populate the list in the
+ * page with an entry for each. */
+function displayTimedMessages(messages) {
+  timerListBox.innerHTML = '';
+
+  // If the message we're editing is no longer in the list, then we can't be
+  // editing it any longer.
+  if (timerEditId !== undefined && messages.find(entry => entry.id === timerEditId) === undefined) {
+    stopEditingTimer();
+  }
+
+  if (messages.length === 0) {
+    timerListBox.innerText = 'There are no timed messages';
+    return;
+  }
+
+  messages.forEach(entry => {
+    const details = document.createElement('span');
+    const when = document.createElement('span');
+    when.classList.add('name');
+    when.innerText = `Every ${entry.interval} min`;
+    details.append(when, ` (after ${entry.minMessages} message(s)): ${entry.text}`);
+
+    timerListBox.appendChild(rowForEntry(entry, details,
+      () => startEditingTimer(entry),
+      () => requestChange('/timers/delete', { id: entry.id }, timerErrorTxt)));
+  });
+}
+
+
+// =============================================================================
+
+
+/* Set up everything in the page; this connects to the back end to get the
+ * lists of text commands and timed messages, and hooks up the controls. */
+async function setup() {
+  const config = await getConfig();
+  const socket = getWebSocket(location.hostname, config.socketPort, 'commands',
+                              trackConnectionState('connection-state'));
+
+  // Every time the text in any of the fields changes, check to see if the
+  // values are valid and enable or disable the buttons as appropriate.
+  [commandNameFld, commandTextFld].forEach(field => field.addEventListener('input', () => validateCommandFields()));
+  [timerIntervalFld, timerMessagesFld, timerTextFld].forEach(field => field.addEventListener('input', () => validateTimerFields()));
+
+  commandBtn.addEventListener('click', () => saveTextCommand());
+  commandCancelBtn.addEventListener('click', () => stopEditingCommand());
+  timerBtn.addEventListener('click', () => saveTimedMessage());
+  timerCancelBtn.addEventListener('click', () => stopEditingTimer());
+
+  // The back end sends us the lists when we connect and whenever they change.
+  socket.on('text-commands', data => displayTextCommands(data));
+  socket.on('timed-messages', data => displayTimedMessages(data));
+}
+
+
+// =============================================================================
+
+
+setup();
@@ -42,7 +42,46 @@ function giveawayRunning(giveaway) {
 // =============================================================================
 
 
+/* Given the giveaway selection for a page (the ID or name of the giveaway that
+ * it should display, or null if it didn't ask for any particular one) and a
+ * giveaway object, return back an indication of whether the page should
+ * display that giveaway.
+ *
+ * With no selection, every giveaway is accepted as it's announced, so the page
+ * follows whichever giveaway started most recently. */
+function giveawaySelected(selection, giveaway) {
+  return selection === null || giveaway.id === selection || giveaway.name === selection;
+}
+
+
+// =============================================================================
+
+
+/* Given an update for the sub leaderboard, return back a version of it which
+ * uses the given view to score the participants; the view is either 'raw'
+ * (the number of subs gifted) or 'weighted' (their value based on tier and
+ * gift duration). The result is sorted by the new scores.
+ *
+ * If the view is not valid, the update is returned as is, which uses the view
+ * that is configured in the back end. */
+function applySubsView(update, view) {
+  if (view !== 'raw' && view !== 'weighted') {
+    return update;
+  }
+
+  const result = update.map(entry => ({ ...entry, score: entry[view] }));
+  result.sort((left, right) => right.score - left.score);
+
+  return result;
+}
+
+
+// =============================================================================
+
+
 module.exports = {
   giveawayRunning,
   remainingDuration,
+  giveawaySelected,
+  applySubsView,
 }
\ No newline at end of file
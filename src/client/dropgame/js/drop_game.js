@@ -264,26 +264,81 @@ class SpriteContainer extends Entity {
 // =============================================================================
 
 
-/* A simple sprite subclass that represents the target area at the bottom of the
+/* A simple sprite subclass that represents a target area at the bottom of the
  * screen. It contains a list of child elements which represent the droppers
  * that have successfuly landed on top of it.
  *
- * It's update loop ensures that only one dropper can be in the list by picking
- * the one with the highest score and discarding the rest. */
+ * Which of those droppers is the winner is decided by the back end; the others
+ * are discarded as losers when it tells us so.
+ *
+ * Each target has a multiplier that is applied to the score of droppers that
+ * land on it, can move back and forth horizontally within a range of the
+ * screen, and can shrink every time that a dropper wins on it. */
 class Target extends Sprite {
   /* Create a target; the sprite sheet is presumed to have only a single frame
-   * in it, so the constructor is simplified. */
-  constructor(container, spriteSheet, x, y) {
+   * in it, so the constructor is simplified. The index is the position of the
+   * target in the list of targets, and the info is the configuration for it
+   * from that list. */
+  constructor(container, spriteSheet, index, info, x, y) {
     super(container, spriteSheet, 0, x, y);
 
-    // This tracks who the current winner of the game is; when it's null, there
-    // is no winner. This is also reset to null when the render loop restarts.
+    this.index = index;
+    this.multiplier = info.multiplier ?? 1;
+    this.speed = info.speed ?? 0;
+
+    // Targets that aren't worth the standard score say what they're worth.
+    if (this.multiplier !== 1) {
+      const label = document.createElement('div');
+      label.className = 'multiplier';
+      label.innerText = `x${this.multiplier}`;
+      this.element.appendChild(label);
+    }
+
+    // The range of horizontal positions that the target can be in, and the
+    // direction that it's currently moving in, if it moves; these are set up
+    // when the target is positioned.
+    this.minX = 0;
+    this.maxX = 0;
+    this.direction = 1;
+
+    // The scale of the target, which starts at full size and shrinks as
+    // droppers win on it.
+    this.setScale(1);
+
+    // This tracks who the current winner of the game is, if they're on this
+    // target; when it's null, there is no winner here. This is also reset to
+    // null when the render loop restarts.
     this.winner = null;
 
     // The droppers that are currently sitting on the target.
     this.droppers = [];
   }
 
+  /* Set the scale of the target, which adjusts its width while keeping it
+   * centered where it currently is. */
+  setScale(scale) {
+    const center = this.x + (this.width / 2);
+
+    this.scale = scale;
+    this.width = this.sheet.spriteW * scale;
+    this.style.width = this.width + 'px';
+    this.style.backgroundSize = `${this.width}px ${this.height}px`;
+
+    this.setPos(center - (this.width / 2), this.y);
+  }
+
+  /* Position the target at a random location within the given horizontal range
+   * at the given height, and restore it to full size. */
+  place(minX, maxX, y) {
+    this.setScale(1);
+
+    this.minX = minX;
+    this.maxX = Math.max(minX, maxX - this.width);
+    this.direction = (Utils.randomFloatInRange(0, 1) <= 0.5) ? -1 : 1;
+
+    this.setPos(Utils.randomIntInRange(this.minX, this.maxX), y);
+  }
+
   /* Add to the list of droppers that are currently sitting on top of the
    * target. */
   addDropper(dropper) {
@@ -293,88 +348,48 @@ class Target extends Sprite {
   /* Declare that a specific dropper is the official (current) winner of the
    * game. This updates the internal state to know who the winner currently is
    * and also does winner specific tasks like playing the winning sound and
-   * letting the back end know that someone is a new winner. */
+   * shrinking the target to make it harder to win on next time. */
   declareWinner(dropper) {
     this.winner = dropper;
+    dropper.winner = true;
 
-    // Declare that a new dropper is the current winner of the game; play a
-    // sound and trigger a notification to the back end that there's a new
-    // dropper on the target and that it's a winner.
     dropper.play(dropper.sndWinner, DropConfig.WinnerVolume);
-    dropper.transmitDropStatus(true, true);
+    this.setScale(Math.max(DropConfig.TargetMinScale, this.scale * DropConfig.TargetShrink));
   }
 
-  /* This dropper landed on the target, but is technically a loser because there
-   * is another dropper also on the target that has a higher score. So, we need
-   * to make this one a loser. The voluntary flag indicates if the dropper
-   * self-ejected itself from the game or not. */
-  ditchLoser(dropper, voluntary) {
+  /* Mark the given dropper as a loser; this could be a dropper that missed the
+   * target, one that landed on it but has a lower score than the winner, or
+   * the winner being bumped off by a better drop or abdicating. If it's on the
+   * target, it's removed from it. */
+  ditchLoser(dropper) {
     dropper.handleLose();
 
-    // This dropper is no longer a winner, but it was still on the target.
-    dropper.transmitDropStatus(true, false, voluntary);
-
-    // If the dropper that's now a loser is the current winner, remove it; this
-    // can happen if the sole person on the target abdicates, for example.
-    if (this.winner !== null && dropper.name === this.winner.name) {
+    this.droppers = this.droppers.filter(entry => entry !== dropper);
+    if (this.winner === dropper) {
       this.winner = null;
     }
   }
 
-  /* Scan all of the droppers currently sitting on the target (if any), and if
-   * we find one that has the name provied, mark it as a loser but do so with
-   * the voluntary flag so that the back end knows what's up. */
-  abdicateDropper(name) {
-    for (let i = 0 ; i < this.droppers.length ; i++) {
-      if (this.droppers[i].name === name) {
-        this.ditchLoser(this.droppers[i], true);
-        return this.droppers.splice(i, 1);
-      }
-    }
-  }
-
-  /* On each frame update, verify that we have only a single dropper at most on
-   * our surface by finding the highest score and marking all others as a
-   * losing dropper. */
+  /* On each frame update, move the target if it moves, turning around at the
+   * ends of its range; anyone sitting on the target moves along with it. */
   update(deltaT) {
-    // We have nothing to do if there are no droppers.
-    if (this.droppers.length === 0) {
+    if (this.speed === 0) {
       return;
     }
 
-    // If there's more than one dropper currently sitting on the target, then
-    // only the one with the highest score is allowed to remain; the others will
-    // be forcibly ejected as losers.
-    if (this.droppers.length > 1) {
-      let highDropper = undefined;
-
-      // Scan over all droppers and try to find the one with the highest score.
-      // Anything we find that's got a lower score than the current dropper
-      // gets marked ass a loser.
-      for (let i = 0 ; i < this.droppers.length ; i++) {
-        if (highDropper === undefined || this.droppers[i].dropScore > highDropper.dropScore) {
-          // If we have an existing high score, this dropper is higher, so bye.
-          if (highDropper !== undefined) {
-            this.ditchLoser(highDropper, false);
-          }
-          highDropper = this.droppers[i];
-        } else {
-          this.ditchLoser(this.droppers[i], false);
-        }
-      }
-
-      // Adjust the list of droppers to contain only the high scorer.
-      this.droppers.length = 0;
-      this.droppers.push(highDropper);
+    let newX = this.x + (this.direction * this.speed * deltaT / 1000);
+    if (newX <= this.minX || newX >= this.maxX) {
+      newX = Math.min(this.maxX, Math.max(this.minX, newX));
+      this.direction *= -1;
     }
 
-    // There is now exactly one dropper. If there's no winner yet, or there is a
-    // winner but the name isn't the same as the single remaining dropper, then
-    // declare a new winner. The second case is for when a new dropper
-    // "bumps" an existing one due to a higher score.
-    if (this.winner === null || this.winner.name !== this.droppers[0].name) {
-        this.declareWinner(this.droppers[0]);
-    }
+    const deltaX = newX - this.x;
+    this.setPos(newX, this.y);
+
+    this.droppers.forEach(dropper => {
+      dropper.x += deltaX;
+      dropper.reposition();
+    });
   }
 }
 
@@ -391,13 +406,14 @@ class Target extends Sprite {
 class ParachuteDropper extends SpriteContainer {
   /* Create a dropper inside of the parent container given, ready to display
    * itself at a specific position. The dropper is also associated with the
-   * target that it's aiming for. */
-  constructor(container, className, x, y, target, parachuteSheet, emoteSheet, name, notifySocket) {
+   * list of targets that it could land on and the wind that blows it around. */
+  constructor(container, className, x, y, targets, wind, parachuteSheet, emoteSheet, name, notifySocket) {
     super(container, className, x, y);
 
-    // Keep a reference to our drop target and the socket we should notify of
-    // results.
-    this.target = target;
+    // Keep a reference to our drop targets, the wind and the socket we should
+    // notify of results.
+    this.targets = targets;
+    this.wind = wind;
     this.notifySocket = notifySocket;
 
     // Create our child items.
@@ -527,6 +543,11 @@ class ParachuteDropper extends SpriteContainer {
     this.nameBox.element.innerText = name;
     this.name = name;
 
+    // The ID that the back end gave this drop, which is set by the engine
+    // after we're randomized and is used to report our landing and to find us
+    // when the back end tells us what happened.
+    this.dropId = undefined;
+
     // Randomize the frame used for the parachute.
     this.parachute.setFrame(this.parachute.sheet.randomFrame());
 
@@ -550,11 +571,16 @@ class ParachuteDropper extends SpriteContainer {
       ? 0
       : Utils.randomFloatInRange(DropConfig.CutRange[0], DropConfig.CutRange[1]);
 
-    // We have not won and we're not complete (and thus, the death clock is empty).
+    // We have not won or lost and we're not complete (and thus, the death clock
+    // is empty).
     this.winner = false;
+    this.lost = false;
     this.dropComplete = false;
     this.deathClock = 0;
 
+    // We haven't landed on any of the targets yet.
+    this.landedTarget = null;
+
     // We have not scored yet.
     this.dropScore = 0;
 
@@ -613,8 +639,9 @@ class ParachuteDropper extends SpriteContainer {
    * Handle the logic related to the dropper if it'a landed at the bottom of
    * the screen and is no longer moving. */
   landed_update(deltaT) {
-    // We don't need to do anything special if we're a winner or already done.
-    if (this.winner === true || this.dropComplete === true) {
+    // We don't need to do anything special until we've lost, or if we're
+    // already done.
+    if (this.lost === false || this.dropComplete === true) {
       return;
     }
 
@@ -687,6 +714,17 @@ class ParachuteDropper extends SpriteContainer {
     this.cutRequested = true;
   }
 
+  /* Steer this dropper in the given direction (-1 for left or 1 for right),
+   * which nudges how fast it's drifting sideways; this does nothing once
+   * we've landed. The back end limits how many times this can happen. */
+  steer(direction) {
+    if (this.landed === true) {
+      return;
+    }
+
+    this.xSpeed += direction * DropConfig.SteerSpeed;
+  }
+
   /* Called from update()
    *
    * Called when we land on the bottom of the screen. */
@@ -724,8 +762,10 @@ class ParachuteDropper extends SpriteContainer {
       this.cut_update(deltaT);
     }
 
-    // Move ourselves on the screen.
-    this.x += this.xSpeed;
+    // Move ourselves on the screen; while our parachute is open, it catches
+    // the wind, which pushes us sideways as well.
+    const windSpeed = (this.deployed === true && this.cutTriggered === false) ? this.wind.speed : 0;
+    this.x += this.xSpeed + windSpeed;
     this.y += this.ySpeed;
 
     // If we're past the braking height, slow down until we hit a good threshold;
@@ -746,32 +786,35 @@ class ParachuteDropper extends SpriteContainer {
       this.deploy_chute(deltaT);
     }
 
+    // Bounce on the left and right viewport edges; we also stay inside of
+    // them, since the wind might be pushing us harder than we bounce back.
+    const minX = -this.emote.x;
+    const maxX = this.container.clientWidth - this.emote.width - this.emote.x;
+    if (this.x <= minX || this.x >= maxX) {
+      this.xSpeed = (this.x <= minX) ? Math.abs(this.xSpeed) : -Math.abs(this.xSpeed);
+      this.x = Math.min(maxX, Math.max(minX, this.x));
+    }
+
     // Get the relative position of the emote in the dropper so we can use it's
     // bounding as the collision bounds; this is an alias to make the code
     // below look nicer..
     const emoteX = this.x + this.emote.x;
     const emoteY = this.y + this.emote.y;
 
-    // Bounce on the left and right viewport edges.
-    if ((emoteX <= 0) || (emoteX >= this.container.clientWidth - this.emote.width))
-      this.xSpeed = -1 * this.xSpeed;
-
     // When we touch down, indicate that we've landed so that we stop updating,
-    if (emoteY >= this.container.clientHeight - this.emote.height - (0.25 * this.target.height)) {
+    if (emoteY >= this.container.clientHeight - this.emote.height - (0.25 * this.targets[0].height)) {
       this.land(deltaT);
 
-      // In order to be considered a winner, the emote has to land so that at
-      // least one pixel of it's bounding box is touching on the left or the
-      // right side of the bounding box of the target.
-      if (emoteX > this.target.x - this.emote.width && emoteX < this.target.x + this.target.width) {
-        this.handleWin();
-      } else {
-        this.handleLose();
-
-        // We're not on the target, and we also didn't win. Trigger the back end
-        // to tell them the status.
-        this.transmitDropStatus(false, false)
+      // In order to be on a target, the emote has to land so that at least
+      // one pixel of it's bounding box is touching on the left or the right
+      // side of the bounding box of that target.
+      const target = this.targets.find(target => emoteX > target.x - this.emote.width && emoteX < target.x + target.width);
+      if (target !== undefined) {
+        this.handleTargetHit(target);
       }
+
+      // Tell the back end where we landed; it will tell us if we won or lost.
+      this.transmitLanding(target !== undefined);
     }
 
     // All moves are finalized, so reposition ourselves in the viewport now.
@@ -782,38 +825,24 @@ class ParachuteDropper extends SpriteContainer {
     if (this.emote !== null) this.emote.update(deltaT);
   }
 
-  /* This is invoked whenever a dropper finishes a drop (success or fail),
-   * including when a drop that was previously considered to be a win is now
-   * considered to be a loss because someone else landed closer to the center
-   * of the target.
-   *
-   * onTarget:  Did the dropper land on the target? false if the initial drop
-   *            didn't hit the target, and true otherwise
-   * winner:    Is this drop considered to be a winner? true when a drop hits
-   *            the target, false for a dropper that was on the target but got
-   *            kicked off.
-   * voluntary: Did the dropper get kicked off the target voluntarily? This is
-   *            only true when the user abdicates.
-   *
-   * NOTE: It is possible for this to be invoked "true, true" followed by
-   *       "true, false" in close succession, which is an indication that the
-   *       dropper landed on the target, but was not the high score.
-   * */
-  transmitDropStatus(onTarget, winner, voluntary) {
-    this.notifySocket.emit('drop-game-drop-result', {
+  /* This is invoked whenever a dropper lands, to tell the back end where it
+   * landed; onTarget is true if the dropper is on a target, in which case
+   * the score and the index of the target that was hit are also reported. The
+   * back end decides if this makes the dropper a winner or a loser. */
+  transmitLanding(onTarget) {
+    this.notifySocket.emit('drop-game-landed', {
+      'id': this.dropId,
       'onTarget': onTarget,
-      'winner': winner,
       'score': this.dropScore,
-      'voluntary': voluntary,
-      'name': this.name
+      'target': this.landedTarget?.index ?? null
     });
   }
 
-  /* Mark the dropper as a winner. This sets up the appropriate internal state
-   * and also updates our display accordingly for being a winner based on the
-   * score we actually got. */
-  handleWin() {
-    this.winner = true;
+  /* Handle the dropper landing on the given target. This calculates our score
+   * and updates our display accordingly; whether we're the winner is up to the
+   * back end. */
+  handleTargetHit(target) {
+    this.landedTarget = target;
 
     // Calculate our score
     this.dropScore = this.score();
@@ -824,15 +853,35 @@ class ParachuteDropper extends SpriteContainer {
     this.scoreBox.element.classList.toggle('hide');
     this.scoreBox.element.classList.toggle('fadeIn');
 
-    // Tell the target that we landed on that we've landed on it, so that it's
-    // logic will fire.
-    this.target.addDropper(this);
+    // Tell the target that we landed on that we've landed on it, so that it
+    // knows we're sitting on it.
+    target.addDropper(this);
+  }
+
+  /* Put the dropper straight down in the middle of the given target with the
+   * given score, without it having to fall there; this is used to put back a
+   * dropper that the back end says has already landed, such as the winner
+   * when the overlay is reloaded. */
+  placeOnTarget(target, score) {
+    this.landed = true;
+    this.landedTarget = target;
+    this.dropScore = score;
+
+    this.setPos(target.x + (target.width / 2) - (this.emote.width / 2) - this.emote.x,
+                this.container.clientHeight - this.emote.height - (0.25 * target.height) - this.emote.y);
+
+    this.scoreBox.element.innerText = this.dropScore.toFixed(3);
+    this.scoreBox.element.classList.remove('hide');
+    this.scoreBox.element.classList.add('fadeIn');
+
+    target.addDropper(this);
   }
 
   /* Mark the dropper as a loser. This sets up the appropriate internal state
    * and also visually changes our appearance. */
   handleLose() {
     this.winner = false;
+    this.lost = true;
     this.element.classList.toggle('loser');
     this.nameBox.element.classList.toggle('ghost');
   }
@@ -841,21 +890,24 @@ class ParachuteDropper extends SpriteContainer {
    *
    * This assumes that the dropper has landed at the bottom of the screen and
    * that its position has been calculated such that we know that it's
-   * definitely a winner. */
+   * definitely on the target it landed on, whose multiplier is applied to the
+   * score. */
   score() {
+    const target = this.landedTarget;
+
     // Calculate the positions that are the center of the target and the center
     // of the emote; note that the emote is relative to our bounding box.
-    const midTarget = this.target.x + (this.target.width / 2);
+    const midTarget = target.x + (target.width / 2);
     const midEmote = this.x + this.emote.x + (this.emote.width / 2);
 
     // The maximum possible distance apart that the emote and the center of the
     // target can be if this is a winner.
-    const maxDist = (this.target.width / 2) + (this.emote.width / 2);
+    const maxDist = (target.width / 2) + (this.emote.width / 2);
 
     // Calculate the score as a percentage of how far apart the two values are
     // from each other. This gives a score of 100 at the center an almost zero
-    // score on the edges.
-    return 100 - ((Math.abs(midTarget - midEmote) / maxDist) * 100.0);
+    // score on the edges, which the target then scales.
+    return (100 - ((Math.abs(midTarget - midEmote) / maxDist) * 100.0)) * target.multiplier;
   }
 }
 
@@ -884,6 +936,162 @@ class EntityPool {
 // =============================================================================
 
 
+/* This class displays the state of a round of the game when the back end is
+ * running one; while the drop window of the round is open it counts down the
+ * time left to drop, and once the round is over it displays the winner for a
+ * while. */
+class RoundDisplay {
+  /* The display uses the element in the page that's set aside for it, and
+   * tracks when the drop window closes along with the timer that is updating
+   * or hiding the display, if any. */
+  constructor() {
+    this.element = document.getElementById('round-info');
+    this.closesAt = 0;
+    this.timer = undefined;
+  }
+
+  /* Display the given text. */
+  show(text) {
+    this.element.innerText = text;
+    this.element.classList.remove('hide');
+  }
+
+  /* Stop any timer that is running, and optionally hide the display. */
+  reset(hide) {
+    clearInterval(this.timer);
+    clearTimeout(this.timer);
+    this.timer = undefined;
+
+    if (hide === true) {
+      this.element.classList.add('hide');
+    }
+  }
+
+  /* Update the countdown for the time left in the drop window. */
+  update() {
+    const seconds = Math.max(0, Math.ceil((this.closesAt - new Date().getTime()) / 1000));
+    this.show(`Drop now! ${seconds}s left`);
+  }
+
+  /* The drop window of a new round is open for the given number of
+   * milliseconds. */
+  start(remaining) {
+    this.reset();
+
+    if (DropConfig.RoundCountdown === false) {
+      return this.show('Drop now!');
+    }
+
+    this.closesAt = new Date().getTime() + remaining;
+    this.update();
+    this.timer = setInterval(() => this.update(), 250);
+  }
+
+  /* The drop window of the round has closed; the round is over once all of the
+   * droppers in it land. */
+  close() {
+    this.reset();
+    this.show('Drops are closed');
+  }
+
+  /* The round is over, and was won by the winner given (an object with a name
+   * and a score), or by nobody if the winner is null. */
+  end(winner) {
+    this.reset();
+    this.show((winner !== null)
+      ? `${winner.name} wins the round with ${winner.score.toFixed(2)}`
+      : 'Nobody wins the round');
+
+    this.timer = setTimeout(() => this.reset(true), DropConfig.RoundResultTime);
+  }
+}
+
+
+// =============================================================================
+
+
+/* This class tracks the wind that blows droppers sideways while their
+ * parachutes are open, and displays it in the overlay. The wind blows in a
+ * random direction at a random strength, which are picked again whenever a
+ * session or a round of the game starts; every so often it gusts, blowing
+ * harder for a short time. */
+class Wind {
+  /* The display uses the element in the page that's set aside for it. The
+   * gust clock counts down the time until the next gust starts, or until the
+   * current one ends. */
+  constructor() {
+    this.element = document.getElementById('wind-info');
+    this.direction = 1;
+    this.strength = 0;
+    this.gusting = false;
+    this.gustClock = 0;
+  }
+
+  /* Obtain the speed (in pixels per frame) that the wind is currently blowing
+   * at; this is negative when it blows to the left. */
+  get speed() {
+    const factor = (this.gusting === true) ? DropConfig.WindGustFactor : 1;
+    return this.direction * this.strength * factor;
+  }
+
+  /* Return back how long (in milliseconds) it should be until the next gust;
+   * when gusts are turned off, there is never another one. */
+  nextGust() {
+    if (DropConfig.WindGustInterval === null) {
+      return Infinity;
+    }
+
+    return Utils.randomFloatInRange(DropConfig.WindGustInterval[0], DropConfig.WindGustInterval[1]);
+  }
+
+  /* Pick a new direction and strength for the wind and display it. */
+  randomize() {
+    this.direction = (Utils.randomFloatInRange(0, 1) <= 0.5) ? -1 : 1;
+    this.strength = Utils.randomFloatInRange(DropConfig.WindStrength[0], DropConfig.WindStrength[1]);
+    this.gusting = false;
+    this.gustClock = this.nextGust();
+
+    this.show();
+  }
+
+  /* Display the current direction and speed of the wind; when there is no
+   * wind, nothing is displayed. */
+  show() {
+    if (this.strength === 0) {
+      return this.hide();
+    }
+
+    const arrow = (this.direction < 0) ? '\u2190' : '\u2192';
+    this.element.innerText = `Wind ${arrow} ${Math.abs(this.speed).toFixed(1)}` + ((this.gusting === true) ? ' Gust!' : '');
+    this.element.classList.toggle('gust', this.gusting);
+    this.element.classList.remove('hide');
+  }
+
+  /* Stop displaying the wind. */
+  hide() {
+    this.element.classList.add('hide');
+  }
+
+  /* On each frame update, tick the gust clock, starting or stopping a gust
+   * when it runs out. */
+  update(deltaT) {
+    if (this.strength === 0) {
+      return;
+    }
+
+    this.gustClock -= deltaT;
+    if (this.gustClock <= 0) {
+      this.gusting = !this.gusting;
+      this.gustClock = (this.gusting === true) ? DropConfig.WindGustDuration : this.nextGust();
+      this.show();
+    }
+  }
+}
+
+
+// =============================================================================
+
+
 /* This class drives the entire simulation, and is responsible for the render
  * loop running and moving all of the droppers. */
 class DropEngine {
@@ -891,7 +1099,7 @@ class DropEngine {
 
   /* Set up the overall state for the engine. This does not kick off the render
    * loop though; do to that, you must invoke it manually one time. */
-  constructor(notifySocket) {
+  constructor(notifySocket, targets) {
     // Save the socket that we should use to transmit results back to; this is
     // given to all droppers when they're created.
     this.notifySocket = notifySocket;
@@ -900,6 +1108,11 @@ class DropEngine {
     this.viewport = document.getElementById('viewport');
     this.button = document.getElementById('button');
 
+    // The display for the state of the current round, if any, and the wind
+    // that blows the droppers around.
+    this.round = new RoundDisplay();
+    this.wind = new Wind();
+
     // The list of sprites that we're updating.
     this.sprites = [];
 
@@ -912,42 +1125,42 @@ class DropEngine {
     this.fps = 0;
 
     // As long as this is true, the animation loop will keep running. At initial
-    // load time, the loop is not running. It starts when the first drop
-    // happens.
-    //
-    // While the loop is running, the idleTime is the amount of time the game
-    // has spent rendering frames with no more than two or fewer entities in the
-    // sprite list (the target and possibly a winner). When it hits a predefined
-    // state, the render loop stops.
+    // load time, the loop is not running; the back end tells us when a session
+    // of the game starts and ends, and the loop runs for the whole session.
     this.running = false;
-    this.idleTime = 0;
 
     // Create the sprite sheets for our test emotes and the parachute sprites.
     this.emoteSheet = new SpriteSheet('emote', DropConfig.EmoteSpriteInfo, 56, 56);
     this.parachuteSheet = new SpriteSheet('parachute', DropConfig.ParachuteSpriteInfo, 120, 120);
     this.targetSheet = new SpriteSheet('target', DropConfig.TargetSpriteInfo, 390, 110);
 
-    // Create the target that the droppers are aiming for.
-    this.target = new Target(this.viewport, this.targetSheet);
-    this.positionTarget();
+    // Create the targets that the droppers are aiming for; there is one for
+    // each of the targets in the back end configuration, spread out evenly
+    // across the bottom of the overlay.
+    this.targets = targets.map((info, index) => new Target(this.viewport, this.targetSheet, index, info));
+    this.positionTargets();
 
-    // The engine isn't running at launch, so make sure that the target is
+    // The engine isn't running at launch, so make sure that the targets are
     // hiding.
-    this.target.element.classList.add('ghost');
-
-    this.sprites.push(this.target);
+    this.targets.forEach(target => {
+      target.element.classList.add('ghost');
+      this.sprites.push(target);
+    });
   }
 
-  /* Every time this is called, the target is randomly positioned on the screen,
-   * near the bottom at a set height and within a range of the whole screen
-   * constrained by the size of the emotes used in the dropper. */
-  positionTarget() {
-    this.target.setPos(
-      Utils.randomIntInRange(
-        this.emoteSheet.spriteW * 1.5,
-        this.viewport.clientWidth - this.targetSheet.spriteW - (this.emoteSheet.spriteW * 1.5)
-      ),
-      this.viewport.clientHeight - (0.75 * this.targetSheet.spriteH));
+  /* Every time this is called, the targets are randomly positioned on the
+   * screen, near the bottom at a set height. The width of the screen, less a
+   * margin based on the size of the emotes used in the dropper, is split evenly
+   * between the targets, and each is placed (and moves) within its own part. */
+  positionTargets() {
+    const margin = this.emoteSheet.spriteW * 1.5;
+    const laneW = (this.viewport.clientWidth - (margin * 2)) / this.targets.length;
+    const y = this.viewport.clientHeight - (0.75 * this.targetSheet.spriteH);
+
+    this.targets.forEach((target, index) => {
+      const minX = margin + (laneW * index);
+      target.place(minX, minX + laneW, y);
+    });
   }
 
   /* Starts the render loop running, including setting up or reinitializing all
@@ -955,13 +1168,22 @@ class DropEngine {
    *
    * This kicks off the loop by making an initial render loop call. */
   startRenderLoop() {
-    this.positionTarget();
-    this.target.element.classList.remove('ghost', 'fadeOut');
-    this.target.element.classList.add('fadeIn');
-    this.target.setFrame(this.target.sheet.randomFrame());
+    if (this.running === true) {
+      return;
+    }
 
-    // When the loop starts the game is fresh, so make sure there's no winner.
-    this.target.winner = null;
+    // When the loop starts the game is fresh, so make sure there's no winner
+    // and that the targets are back to full size.
+    this.positionTargets();
+    this.targets.forEach(target => {
+      target.element.classList.remove('ghost', 'fadeOut');
+      target.element.classList.add('fadeIn');
+      target.setFrame(target.sheet.randomFrame());
+      target.winner = null;
+    });
+
+    // Every session of the game has its own wind.
+    this.wind.randomize();
 
     // Reset frame timings whenever the loop restarts, since the delta between
     // the last frame and this frame is used to update things, and that can
@@ -974,15 +1196,31 @@ class DropEngine {
   }
 
   /* Stops a running render loop, doing all of the cleanup needed along with
-   * setting the flag that stops the loop from re-starting itself. */
+   * setting the flag that stops the loop from re-starting itself. Every dropper
+   * is removed, whether it's on the target or still in the air. */
   stopRenderLoop() {
-    for (let i = 0 ; i < this.target.droppers.length ; i++) {
-      this.target.droppers[i].kill();
+    if (this.running === false) {
+      return;
     }
-    this.target.droppers = [];
 
-    this.target.element.classList.add('ghost', 'fadeOut');
-    this.target.element.classList.remove('fadeIn');
+    this.sprites.forEach(sprite => {
+      if (this.targets.includes(sprite) === false && sprite.dead === false) {
+        sprite.kill();
+      }
+    });
+    this.sprites = this.sprites.filter(sprite => sprite.dead === false);
+
+    // Any round that was in progress is over along with the session, and the
+    // wind dies down.
+    this.round.reset(true);
+    this.wind.hide();
+
+    this.targets.forEach(target => {
+      target.droppers = [];
+      target.winner = null;
+      target.element.classList.add('ghost', 'fadeOut');
+      target.element.classList.remove('fadeIn');
+    });
     this.running = false;
   }
 
@@ -993,9 +1231,17 @@ class DropEngine {
     this.nameSuffix++;
   }
 
+  /* Return back the dropper that the back end knows by the given ID, if it's
+   * in the game; the return value is undefined if it isn't. */
+  findDropper(dropId) {
+    return this.sprites.find(sprite => sprite.dropId === dropId && sprite.dead === false);
+  }
+
   /* Create and drop a parachute dropper in the viewport, using the given
-   * name, or a placeholder name if one is not provided. */
-  drop(name, emoteId) {
+   * name, or a placeholder name if one is not provided. The ID is the one that
+   * the back end gave the drop; whether the drop is allowed at all is up to
+   * the back end. */
+  drop(dropId, name, emoteId) {
     // We're about to drop; if the render loop isn't already running, then we
     // should start it now.
     if (this.running === false) {
@@ -1008,18 +1254,10 @@ class DropEngine {
     //   emoteId = '306898610';
     // }
 
-    // Scan existing droppers to see if there's one with this name. If there is,
-    // then this user is not allowed to drop again, so leave.
-    for (let i = 0 ; i < this.sprites.length ; i++) {
-      if (this.sprites[i].name === name) {
-        return;
-      }
-    }
-
     // Try to get a dropper out of the pool.
     let dropper = EntityPool.get();
     if (dropper === undefined) {
-      dropper = new ParachuteDropper(this.viewport, 'dropper', 0, 0, this.target,
+      dropper = new ParachuteDropper(this.viewport, 'dropper', 0, 0, this.targets, this.wind,
                                      this.parachuteSheet, this.emoteSheet, name,
                                      this.notifySocket);
     } else {
@@ -1028,6 +1266,8 @@ class DropEngine {
       dropper.display();
     }
 
+    dropper.dropId = dropId;
+
     if (emoteId !== undefined) {
       // For an emote ID, we need to make sure that the standard emote class is
       // gone and that the custom twitch one is applied.
@@ -1063,40 +1303,82 @@ class DropEngine {
     this.sprites.push(dropper);
   }
 
-  /* If there is currently an actively dropping dropper with the provided name,
-   * cut it's parachute so that it drops quicker. This adds a small amount of
-   * skill to the game. */
-  cut(name) {
-    if (DropConfig.CutAllowed === false) {
-      return;
+  /* Put back the droppers that the back end says are in the game, which it
+   * tells us when we connect, so that a reloaded overlay carries on from
+   * where the old one left off. Droppers that were in the air drop again from
+   * the top, while those that have landed go straight back onto their
+   * target; the one with the given ID is the current winner. */
+  restore(droppers, winnerId) {
+    droppers.forEach(info => {
+      if (this.findDropper(info.id) !== undefined) {
+        return;
+      }
+
+      this.drop(info.id, info.name, info.emoteId);
+      if (info.landed === false) {
+        return;
+      }
+
+      const dropper = this.findDropper(info.id);
+      const target = this.targets[info.target];
+      if (target !== undefined) {
+        dropper.placeOnTarget(target, info.score);
+        if (info.id === winnerId) {
+          target.winner = dropper;
+          dropper.winner = true;
+        }
+      }
+    });
+  }
+
+  /* If the dropper with the given ID is in the game, cut it's parachute so
+   * that it drops quicker. This adds a small amount of skill to the game. */
+  cut(dropId) {
+    const dropper = this.findDropper(dropId);
+    if (dropper !== undefined) {
+      dropper.cut_chute();
     }
+  }
 
-    // A cut can't happen if the render loop isn't running, because in that case
-    // there aren't any droppers.
-    if (this.running === false) {
-      return;
+  /* If the dropper with the given ID is in the game, steer it in the given
+   * direction, which is either 'left' or 'right'. */
+  steer(dropId, direction) {
+    const dropper = this.findDropper(dropId);
+    if (dropper !== undefined) {
+      dropper.steer((direction === 'left') ? -1 : 1);
     }
+  }
 
-    name = name || 'SampleNickGoesHere' + this.nameSuffix;
+  /* A new round of the game has started, with a drop window that is open for
+   * the given number of milliseconds; every round has its own wind. */
+  startRound(remaining) {
+    this.round.start(remaining);
+    this.wind.randomize();
+  }
 
-    // Scan existing droppers to see if there's one with this name. If there is,
-    // then cut it's chute.
-    for (let i = 0 ; i < this.sprites.length ; i++) {
-      if (this.sprites[i].name === name) {
-        return this.sprites[i].cut_chute();
-      }
+  /* The back end has decided that the dropper with the given ID is the new
+   * winner of the game; only a dropper on a target can win. */
+  declareWinner(dropId) {
+    const dropper = this.findDropper(dropId);
+    if (dropper !== undefined && dropper.landedTarget !== null) {
+      dropper.landedTarget.declareWinner(dropper);
     }
   }
 
-  /* If there is currently a dropper with the name provided sitting on the
-   * target, then this will make that dropper abdicate their throne (i.e. they
-   * get marked as a Loser), allowing them to play again. */
-  abdicate(name) {
-    if (DropConfig.AbdicateAllowed === false) {
+  /* The back end has decided that the dropper with the given ID is a loser,
+   * either because it missed the target, got a lower score than the winner, or
+   * was the winner and got bumped off the target or abdicated. */
+  declareLoser(dropId) {
+    const dropper = this.findDropper(dropId);
+    if (dropper === undefined) {
       return;
     }
 
-    this.target.abdicateDropper(name || 'SampleNickGoesHere' + this.nameSuffix);
+    if (dropper.landedTarget !== null) {
+      dropper.landedTarget.ditchLoser(dropper);
+    } else {
+      dropper.handleLose();
+    }
   }
 
   /* Render this frame; this will keep calling itself in a loop as long as the
@@ -1112,12 +1394,8 @@ class DropEngine {
       this.elapsedTime -= 1000;
     }
 
-    // If we have been idle for an appropriate period of time, then stop the
-    // render loop from running; this also needs to kill all items that are
-    // sitting on the target.
-    if (DropConfig.IdleTime !== 0 && this.idleTime >= DropConfig.IdleTime) {
-      this.stopRenderLoop();
-    }
+    // Let the wind gust before anything moves in it.
+    this.wind.update(deltaT);
 
     // Trigger an update on all sprites and sprite containers added to the main
     // sprite list. Any containers are responsible for updating their children,
@@ -1129,22 +1407,9 @@ class DropEngine {
       }
     }
 
-    // The game is considered to be idle when there are no active droppers,
-    // where an active dropper is any dropper currently falling OR any dropper
-    // sitting on the target waiting for it's death time (i.e. there is some
-    // other dropper that has a higher score).
-    //
-    // For that reason, we're idle if the sprite count is 1 (target only) or
-    // 2 (target, and the number of items sitting on the target are 0).
-    this.idleTime = (this.sprites.length == 1 || (this.sprites.length == 2 && this.target.droppers.length == 1))
-        ? this.idleTime + deltaT
-        : 0;
-
     // Schedule another call for the next frame as long as we're still running.
     if (this.running === true) {
       window.requestAnimationFrame(() => this.renderLoop());
-    } else {
-      this.idleTime = 0;
     }
   }
 }
@@ -1162,26 +1427,49 @@ async function setup() {
   const socket = getWebSocket(location.hostname, config.socketPort, 'dropgame');
 
   /* Initialize the drop engine. */
-  const engine = new DropEngine(socket);
-  if (DropConfig.IdleTime === 0) {
-    engine.startRenderLoop();
-  }
+  const engine = new DropEngine(socket, config.dropTargets ?? [{ multiplier: 1, speed: 0 }]);
+
+  /* The back end decides when a session of the game is running; it tells us
+   * when we connect, and whenever a session starts or ends. When we connect
+   * in the middle of a session, it also tells us who is in the game. */
+  socket.on('drop-game-state', state => {
+    if (state.running === true) {
+      engine.startRenderLoop();
+      engine.restore(state.droppers, state.winner);
+    } else {
+      engine.stopRenderLoop();
+    }
+
+    if (state.round !== null) {
+      if (state.round.windowOpen === true) {
+        engine.round.start(state.round.remaining);
+      } else {
+        engine.round.close();
+      }
+    }
+  });
+
+  socket.on('drop-game-start', () => engine.startRenderLoop());
+  socket.on('drop-game-end', () => engine.stopRenderLoop());
 
   /* Listen for events from the back end that tell us to take drop actions,
-   * and trigger the appropriate part of the engine in reposonse. The engine
-   * will be smart enough to either take the action or ignore the request as
-   * needed. */
+   * and trigger the appropriate part of the engine in reposonse. The back end
+   * has already decided that the action is allowed; the engine will ignore
+   * requests for droppers that it doesn't know about. */
   socket.on('drop-game-drop', dropInfo => {
-    engine.drop(dropInfo.name, dropInfo.emoteId);
+    engine.drop(dropInfo.id, dropInfo.name, dropInfo.emoteId);
   });
 
-  socket.on('drop-game-cut', name => {
-    engine.cut(name);
-  });
+  socket.on('drop-game-cut', dropId => engine.cut(dropId));
+  socket.on('drop-game-steer', steer => engine.steer(steer.id, steer.direction));
+  socket.on('drop-game-winner', dropId => engine.declareWinner(dropId));
+  socket.on('drop-game-loser', dropId => engine.declareLoser(dropId));
 
-  socket.on('drop-game-abdicate', name => {
-    engine.abdicate(name);
-  });
+  /* When the back end is running a round of the game, it tells us when the
+   * drop window opens and closes, and who won the round once it's over. */
+  socket.on('drop-game-round-start', round => engine.startRound(round.window));
+  socket.on('drop-game-round-closed', () => engine.round.close());
+  socket.on('drop-game-round-end', round => engine.round.end(round.winner));
 }
 
 
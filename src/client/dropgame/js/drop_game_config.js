@@ -2,21 +2,16 @@
 
 
 class DropConfig {
-    // The time in milliseconds that the game will run in an idle state before
-    // deciding that it's time to hide itself. If there are no active drops
-    // after this amount of time expires, the game will suspend itself and
-    // restart at the next drop.
-    //
-    // Setting this to 0 disables this feature, causing the game to run
-    // continuously.
-    static IdleTime = 1000 * 60 * 1.5;
+    // NOTE: The rules of the game, such as when a session of the game goes idle,
+    //       whether cutting chutes and abdicating are allowed, how many times
+    //       a drop can steer and which targets there are to land on, are
+    //       decided by the back end, and are set in the dropGame section of the
+    //       server configuration.
 
-    // If true, the user is allowed to trigger a cut of their parachute while
-    // they are currently dropping. When cutting is turned on, the CutRange
+    // When the user cuts their parachute while they are dropping, the CutRange
     // specifies an array of values that indicates what interval of time (in
     // milliseconds) the drop should happen after it's triggered. This can be
     // null to have cuts be instant.
-    static CutAllowed = true;
     static CutRange = [750, 1500];
 
     // When cuts are enabled, this is the Y position below which the cut cannot
@@ -24,11 +19,38 @@ class DropConfig {
     // a cut anywhere.
     static CutLockout = 500;
 
-    // If true, the user is allowed to abdicate their position on the board if
-    // they're a winner. When this is set to false, the only way for the user to
-    // get ejected from the board is if they get Highlandered or if the idle
-    // time is reached (or the page otherwise reloads).
-    static AbdicateAllowed = true;
+    // When a round of the game is in progress (which requires round mode to
+    // be turned on in the server configuration), the overlay displays some
+    // information about it. If RoundCountdown is true, the time left in the
+    // drop window is displayed while it's open. RoundResultTime is how long
+    // (in milliseconds) the winner of a round is displayed for once it's over.
+    static RoundCountdown = true;
+    static RoundResultTime = 10000;
+
+    // Every time someone wins on a target, its width is multiplied by
+    // TargetShrink to make it harder to win on again, but it will never shrink
+    // to less than TargetMinScale of its full size. The targets go back to
+    // their full size when a new session of the game starts. Set TargetShrink
+    // to 1 to stop targets from shrinking.
+    static TargetShrink = 0.9;
+    static TargetMinScale = 0.5;
+
+    // While their parachutes are open, droppers are blown sideways by the
+    // wind. Whenever a session or a round of the game starts, the wind picks a
+    // random direction and a strength in the WindStrength range, in pixels per
+    // frame; use [0, 0] to have no wind at all. The wind gusts at a random
+    // interval in the WindGustInterval range (in milliseconds), blowing
+    // WindGustFactor times as hard for WindGustDuration milliseconds. Set
+    // WindGustInterval to null to turn gusts off.
+    static WindStrength = [0, 1.5];
+    static WindGustInterval = [5000, 15000];
+    static WindGustDuration = 2000;
+    static WindGustFactor = 2.5;
+
+    // Using the !steer command nudges a dropper to the left or right by
+    // changing its sideways speed by SteerSpeed pixels per frame. How many
+    // times each drop can steer is decided by the back end.
+    static SteerSpeed = 1.5;
 
     ////////////////////////////////////////////////////////////////////////////
     // IMAGE CONFIGURATION                                                    //
@@ -0,0 +1,81 @@
+// =============================================================================
+
+
+const getConfig = require('../../common/js/config');
+const { getWebSocket, trackConnectionState } = require('../../common/js/websocket');
+
+
+// =============================================================================
+
+
+/* The DOM parser we use to turn our snippets of HTML into actual DOM nodes. */
+const domParser = new DOMParser();
+
+/* The high score tables that the back end keeps; each is displayed in the div
+ * in the page that has the ID of the table prefixed with 'drops-'. */
+const dropScopes = ['session', 'stream', 'all'];
+
+
+// =============================================================================
+
+
+/* Create and return a new div containing the rank, name and best score of the
+ * high score table entry provided. */
+function divForLeader(leader, rank) {
+  return domParser.parseFromString(
+    `<div class="drop-box">
+      <span class="rank">${rank}.</span>
+      <span class="name">${leader.displayName}</span>
+      (<span class="score">${leader.score.toFixed(2)}</span>)
+    </div>`, 'text/html').querySelector('div');
+}
+
+
+// =============================================================================
+
+
+/* Fetch the high score table with the given name from the back end and display
+ * it in the page; when the table isn't available, the reason is displayed in
+ * its place. */
+async function showHighScores(scope) {
+  const listBox = document.querySelector(`#drops-${scope} .drop-list`);
+
+  const response = await window.fetch('/drops/leaderboard?' + new URLSearchParams({ scope }));
+  const table = await response.json();
+
+  listBox.innerHTML = '';
+  if (table.success === false) {
+    listBox.innerHTML = `<div class="unavailable">Not available; ${table.reason}</div>`;
+    return;
+  }
+
+  if (table.leaders.length === 0) {
+    listBox.innerText = 'Nobody has landed on the target yet';
+    return;
+  }
+
+  table.leaders.forEach((leader, index) => listBox.appendChild(divForLeader(leader, index + 1)));
+}
+
+
+// =============================================================================
+
+
+/* Set up everything in the page; the high score tables are displayed right
+ * away, and fetched again whenever the back end tells us that they may have
+ * changed. */
+async function setup() {
+  const config = await getConfig();
+  const socket = getWebSocket(location.hostname, config.socketPort, 'drops',
+                              trackConnectionState('connection-state'));
+
+  dropScopes.forEach(scope => showHighScores(scope));
+
+  socket.on('drop-game-stats-update', () => dropScopes.forEach(scope => showHighScores(scope)));
+}
+
+
+// =============================================================================
+
+
+setup();
@@ -0,0 +1,209 @@
+// =============================================================================
+
+
+const humanize = require("humanize-duration").humanizer({
+  language: "shortEn",
+  languages: {
+    shortEn: {
+      y: () => "y",
+      mo: () => "mo",
+      w: () => "w",
+      d: () => "d",
+      h: () => "h",
+      m: () => "m",
+      s: () => "s",
+      ms: () => "ms",
+    },
+  },
+  round: true
+});
+
+
+// =============================================================================
+
+/* The DOM parser we use to turn our snippets of HTML into actual DOM nodes. */
+const domParser = new DOMParser();
+
+/* The portion of the page that lists all of the past giveaways, along with the
+ * button that allows the list to be fetched again. */
+const historyBox = document.getElementById('history-container');
+const historyListBox = document.getElementById('history-list');
+const refreshBtn = document.getElementById('history-refresh-btn');
+
+/* The portion of the page that displays the report for a single giveaway; the
+ * title, the general details, and the button to go back to the list. */
+const reportBox = document.getElementById('report-container');
+const reportTitleTxt = document.getElementById('report-title');
+const reportDetailsBox = document.getElementById('report-details');
+const backBtn = document.getElementById('report-back-btn');
+
+/* The list of winners of the drawing in the giveaway being reported on, and
+ * the div that wraps it so it can be hidden when there was no drawing. */
+const winnerBox = document.getElementById('report-winners');
+const winnerListBox = document.getElementById('winner-list');
+
+/* The leaderboards in the report, and the spans in their titles that indicate
+ * how many people are in each list. */
+const subListBox = document.getElementById('sub-list');
+const bitListBox = document.getElementById('bit-list');
+const subCountListBox = document.getElementById('sub-board-count');
+const bitCountListBox = document.getElementById('bit-board-count');
+
+/* The text that is used to display each of the states that a giveaway can be
+ * in. */
+const stateText = {
+  running: 'Running',
+  paused: 'Paused',
+  ended: 'Ended',
+  cancelled: 'Cancelled',
+};
+
+
+// =============================================================================
+
+
+/* Create and return a new div containing the name and score of the person
+ * provided. */
+function divForGifter(gifter) {
+  return domParser.parseFromString(
+    `<div class="gift-box">
+      <span class="name">${gifter.name}</span>
+      (<span class="score">${gifter.score}</span>)
+    </div>`, 'text/html').querySelector('div');
+}
+
+
+// =============================================================================
+
+
+/* Create and return a new div that represents the past giveaway provided in
+ * the list of giveaways; clicking on it will display the report for that
+ * giveaway. */
+function divForGiveaway(giveaway) {
+  const div = domParser.parseFromString(
+    `<div class="history-entry">
+      <div>
+        <span class="title">${giveaway.name}</span>:
+        <span class="when">${new Date(giveaway.startTime).toLocaleString()}</span>
+        (<span class="state-${giveaway.state}">${stateText[giveaway.state]}</span>)
+        for ${giveaway.ownerName}
+      </div>
+      <div class="totals">
+        ${giveaway.gifters} gifter(s); ${giveaway.bits} bits, ${giveaway.subs} sub(s)
+      </div>
+    </div>`, 'text/html').querySelector('div');
+
+  div.addEventListener('click', () => showReport(giveaway.id));
+  return div;
+}
+
+
+// =============================================================================
+
+
+/* Given a list of people and the field of each person to use as the score,
+ * populate the leaderboard div provided with the people that have a non-zero
+ * score, highest first; the count span is updated with the number of people
+ * in the list. */
+function populateLeaderboard(listBox, countBox, gifters, field) {
+  const leaders = gifters.filter(gifter => gifter[field] !== 0);
+  leaders.sort((left, right) => right[field] - left[field]);
+
+  listBox.innerHTML = '';
+  countBox.innerText = ` (${leaders.length})`;
+
+  leaders.forEach(gifter => {
+    listBox.appendChild(divForGifter({ name: gifter.displayName, score: gifter[field] }));
+  });
+}
+
+
+// =============================================================================
+
+
+/* Fetch the list of all past giveaways from the back end and display them in
+ * the page, most recent first. */
+async function showGiveawayList() {
+  reportBox.classList.add('hidden');
+  historyBox.classList.remove('hidden');
+
+  const response = await window.fetch('/history/giveaways');
+  const giveaways = await response.json();
+
+  historyListBox.innerHTML = '';
+  if (giveaways.length === 0) {
+    historyListBox.innerText = 'No giveaways have been run yet';
+    return;
+  }
+
+  giveaways.forEach(giveaway => historyListBox.appendChild(divForGiveaway(giveaway)));
+}
+
+
+// =============================================================================
+
+
+/* Fetch the report on the giveaway with the given ID from the back end and
+ * display it in the page in place of the list of giveaways. */
+async function showReport(id) {
+  const response = await window.fetch('/history/giveaway?' + new URLSearchParams({ id }));
+  const report = await response.json();
+
+  if (report.success === false) {
+    console.log(`Unable to fetch giveaway report: ${report.reason}`);
+    return showGiveawayList();
+  }
+
+  historyBox.classList.add('hidden');
+  reportBox.classList.remove('hidden');
+
+  // Display the overall details of the giveaway; the end time is only known if
+  // the giveaway ran to completion.
+  reportTitleTxt.innerText = `${report.name} for ${report.ownerName}`;
+  reportDetailsBox.innerHTML = '';
+  [
+    `State: ${stateText[report.state]}`,
+    `Started: ${new Date(report.startTime).toLocaleString()}`,
+    `Ended: ${report.endTime !== null ? new Date(report.endTime).toLocaleString() : 'Not yet'}`,
+    `Duration: ${humanize(report.duration)} (${humanize(Math.min(report.elapsedTime, report.duration))} elapsed)`,
+  ].forEach(line => {
+    const div = document.createElement('div');
+    div.innerText = line;
+    reportDetailsBox.appendChild(div);
+  });
+
+  // If a drawing was held, display who won it.
+  winnerListBox.innerHTML = '';
+  winnerBox.classList.toggle('hidden', report.winners.length === 0);
+  report.winners.forEach(winner => {
+    winnerListBox.appendChild(divForGifter({ name: winner.displayName, score: `${winner.entries.toFixed(2)} entries` }));
+  });
+
+  populateLeaderboard(bitListBox, bitCountListBox, report.gifters, 'bits');
+  populateLeaderboard(subListBox, subCountListBox, report.gifters, 'subs');
+}
+
+
+// =============================================================================
+
+
+/* Set up everything in the page; this fetches and displays the list of past
+ * giveaways, unless the URL specifies the ID of a giveaway, in which case the
+ * report for that giveaway is displayed instead. */
+async function setup() {
+  refreshBtn.addEventListener('click', () => showGiveawayList());
+  backBtn.addEventListener('click', () => showGiveawayList());
+
+  const id = new URLSearchParams(location.search).get('id');
+  if (id !== null) {
+    showReport(id);
+  } else {
+    showGiveawayList();
+  }
+}
+
+
+// =============================================================================
+
+
+setup();
@@ -34,14 +34,16 @@ function divForUserId(parentLeaderboard, userId) {
 
 
 /* Return back the placeholder HTML that should be used to fill out one of the
- * leaderboards (either bits or subs) when it's empty to let the viewers of the
- * stream know that they can gift in order to take the lead.
+ * leaderboards (bits, subs or channel points) when it's empty to let the
+ * viewers of the stream know that they can gift in order to take the lead.
  *
- * Valid values are 'subs' and 'bits'. */
+ * Valid values are 'subs', 'bits' and 'points'. */
 function placeHolderHTML(holderType) {
   let msg = 'Gift subs now to take the lead!'
   if (holderType === 'bits') {
     msg = 'Cheer now to take the lead!'
+  } else if (holderType === 'points') {
+    msg = 'Redeem channel points now to take the lead!'
   }
 
   // This needs to have the same class and attribute as a standard div gifter
@@ -3,7 +3,7 @@
 
 const getConfig = require('../../common/js/config');
 const { getWebSocket } = require('../../common/js/websocket');
-const { remainingDuration, giveawayRunning } = require('../../common/js/utils');
+const { remainingDuration, giveawayRunning, giveawaySelected, applySubsView } = require('../../common/js/utils');
 
 const { resizeGifterHeader, updateLeaderboard, placeHolderHTML } = require('./leaderboard');
 import { gsap } from 'gsap';
@@ -35,11 +35,42 @@ const humanize = require("humanize-duration").humanizer({
 /* The div that contains the current countdown text. */
 const countdownTxt = document.getElementById('countdown-clock');
 
-/* The overall divs that contain the leaderboards for subs and bits; these
- * elements contain the header as well as the container divs that ultimately
- * contain the gifter boxes. */
+/* The animation that flashes the amount of time that a contribution added to
+ * the giveaway, if one is currently running. */
+let extensionFlash = undefined;
+
+/* The overall divs that contain the leaderboards for subs, bits and channel
+ * points; these elements contain the header as well as the container divs that
+ * ultimately contain the gifter boxes. */
 const gifterSubBox = document.getElementById('gifters-subs');
 const gifterBitsBox = document.getElementById('gifters-bits');
+const gifterPointsBox = document.getElementById('gifters-points');
+
+/* The box that announces the winners of a prize drawing, and the div inside of
+ * it that holds the names of the winners. */
+const winnerBox = document.getElementById('giveaway-winner');
+const winnerListBox = document.getElementById('winner-list');
+
+/* The box that celebrates a gift bomb, and the element inside of it that says
+ * who gave the gift bomb and how big it was. */
+const giftBombBox = document.getElementById('gift-bomb');
+const giftBombTxt = document.getElementById('gift-bomb-text');
+
+/* The box that shows the progress of the giveaway towards its goals, the fill
+ * and label elements of the progress bars inside of it, and the element that
+ * describes the next milestone that will be reached. */
+const goalBox = document.getElementById('goal-progress');
+const goalBitsFill = document.querySelector('#goal-bits .fill');
+const goalBitsLabel = document.querySelector('#goal-bits .label');
+const goalSubsFill = document.querySelector('#goal-subs .fill');
+const goalSubsLabel = document.querySelector('#goal-subs .label');
+const goalMilestoneTxt = document.getElementById('goal-milestone');
+
+/* The most recent goal progress update, and whether or not the goal box is
+ * currently celebrating a milestone; while it is, the milestone text shows the
+ * milestone being celebrated and goal updates don't replace it. */
+let goalProgress = undefined;
+let celebratingMilestone = false;
 
 /* The native width of the headers for each of the boxes as defined in the HTML;
  * as the contents of the boxes change, the header needs to also change it's
@@ -47,11 +78,13 @@ const gifterBitsBox = document.getElementById('gifters-bits');
  * the text, or it will wrap in an unfortunate way. */
 let subGifterHeaderMinWidth = undefined;
 let bitGifterHeaderMinWidth = undefined;
+let pointGifterHeaderMinWidth = undefined;
 
 /* The divs that contain the actual list of subs and bits leaders in each of the
  * boards. This is an aliased element lookup from the main gifter boxes. */
 const subListBox = document.getElementById('sub-list');
 const bitListBox = document.getElementById('bit-list');
+const pointListBox = document.getElementById('point-list');
 
 /* When we need to animate items in and out of one of the leaderboards, we need
  * to know a specific position to which the element should go in order to get
@@ -61,6 +94,7 @@ const bitListBox = document.getElementById('bit-list');
  * dimensions of the placeholder item that is added to each list at startup. */
 let subListDim = undefined;
 let bitListDim = undefined;
+let pointListDim = undefined;
 
 /* This contains all of the details on the most recently created giveaway; this
  * might be a giveaway that's currently in operation OR it might be a giveaway
@@ -71,14 +105,27 @@ let bitListDim = undefined;
  * no giveaways can be created at all). */
 let giveaway = {};
 
-/* These lists contain the people that are currently displayed in the bits and
- * subs leaderboards; the arrays are empty when there are no participants of
- * that type in the giveaway, or when there is no giveaway.
+/* These lists contain the people that are currently displayed in the bits,
+ * subs and channel points leaderboards; the arrays are empty when there are no
+ * participants of that type in the giveaway, or when there is no giveaway.
  *
  * In all other cases the array contains a set of sorted user records that say
- * who the person is and how many bits or subs they have gifted. */
+ * who the person is and how many bits, subs or redemptions they have given. */
 let bitsLeaders = [];
 let subsLeaders = [];
+let pointsLeaders = [];
+
+/* The sub leaderboard can rank people by either the raw number of subs they
+ * have gifted or the weighted value of those subs; adding ?subs=raw or
+ * ?subs=weighted to the URL of the overlay selects which. When not given, the
+ * view configured in the back end is used. */
+const subsView = new URLSearchParams(location.search).get('subs');
+
+/* Several giveaways can run at the same time; adding ?giveaway= with either the
+ * ID or the name of a giveaway to the URL of the overlay selects which one it
+ * displays. When not given, the overlay follows whichever giveaway started
+ * most recently. */
+const giveawaySelection = new URLSearchParams(location.search).get('giveaway');
 
 
 // =============================================================================
@@ -197,14 +244,17 @@ function setupGiftBoxes(config) {
   // the placeholder.
   subListBox.innerHTML = placeHolderHTML('subs');
   bitListBox.innerHTML = placeHolderHTML('bits');
+  pointListBox.innerHTML = placeHolderHTML('points');
   subGifterHeaderMinWidth = resizeGifterHeader(gifterSubBox);
   bitGifterHeaderMinWidth = resizeGifterHeader(gifterBitsBox);
+  pointGifterHeaderMinWidth = resizeGifterHeader(gifterPointsBox);
 
   // Capture the dimensions of the gift boxes that we just added, so that as we
   // need to generate animations we can position them the same as they will
   // position themselves natively in the DOM.
   subListDim = getGiftElementSize(gifterSubBox);
   bitListDim = getGiftElementSize(gifterBitsBox);
+  pointListDim = getGiftElementSize(gifterPointsBox);
 
   // The gift children that we add to the gift boxes are positioned absolutely,
   // and so they are removed from the document flow and don't contribute to the
@@ -216,9 +266,17 @@ function setupGiftBoxes(config) {
   // visually be large enough to hold all children.
   const subBox = gifterSubBox.getBoundingClientRect();
   const bitBox = gifterBitsBox.getBoundingClientRect();
+  const pointBox = gifterPointsBox.getBoundingClientRect();
 
   gifterSubBox.style.height = `${subBox.height + (config.subsLeadersCount * subListDim.height)}px`;
   gifterBitsBox.style.height = `${bitBox.height + (config.bitsLeadersCount * bitListDim.height)}px`;
+  gifterPointsBox.style.height = `${pointBox.height + (config.pointsLeadersCount * pointListDim.height)}px`;
+
+  // The channel point leaderboard is optional; it's only displayed when it's
+  // configured to show at least one person.
+  if (config.pointsLeadersCount === 0) {
+    gifterPointsBox.style.display = 'none';
+  }
 }
 
 
@@ -258,6 +316,30 @@ function setupOverlays(overlays, socket) {
       onDragStart: function() { this.target.classList.add('border'); },
       onDragEnd: function () { dragEnder(this.target, socket); }
     });
+
+    Draggable.create(gifterPointsBox, {
+      bounds: document.getElementById('viewport'),
+      onDragStart: function() { this.target.classList.add('border'); },
+      onDragEnd: function () { dragEnder(this.target, socket); }
+    });
+
+    Draggable.create(winnerBox, {
+      bounds: document.getElementById('viewport'),
+      onDragStart: function() { this.target.classList.add('border'); },
+      onDragEnd: function () { dragEnder(this.target, socket); }
+    });
+
+    Draggable.create(giftBombBox, {
+      bounds: document.getElementById('viewport'),
+      onDragStart: function() { this.target.classList.add('border'); },
+      onDragEnd: function () { dragEnder(this.target, socket); }
+    });
+
+    Draggable.create(goalBox, {
+      bounds: document.getElementById('viewport'),
+      onDragStart: function() { this.target.classList.add('border'); },
+      onDragEnd: function () { dragEnder(this.target, socket); }
+    });
   }, 1000);
 
 }
@@ -273,10 +355,17 @@ function setupOverlays(overlays, socket) {
  * contents of the overlay hidden or visible; we don't care about the
  * authorization per se. */
 function handleAuthUpdate(authData) {
-  const overlayComponents = [countdownTxt, gifterSubBox, gifterBitsBox];
+  const overlayComponents = [countdownTxt, gifterSubBox, gifterBitsBox, gifterPointsBox];
   const opacity = authData.authorized === false ? 0 : 1;
 
   gsap.to(overlayComponents, { opacity, duration: 1 });
+
+  // The winner and gift bomb boxes are only ever visible while displaying the
+  // results of a drawing or celebrating, and the goal box only when the back
+  // end tells us about goals, so they only ever need to be hidden here.
+  if (authData.authorized === false) {
+    gsap.to([winnerBox, giftBombBox, goalBox], { opacity: 0, duration: 1 });
+  }
 }
 
 
@@ -352,8 +441,12 @@ function setGiveawayInformation(newGiveawayData) {
 /* This handles a tick of giveaway information, which only triggers when the
  * state of a giveaway we've previously been told about changes. We respond to
  * this by making sure that the various parts of the overlay are tracking as
- * expected. */
-function handleGiveawayTick(newGiveawayData) {
+ * expected.
+ *
+ * When the tick happened because a contribution extended the giveaway, the
+ * extension is the number of milliseconds that were added, which is flashed
+ * on the countdown clock. */
+function handleGiveawayTick(newGiveawayData, extension) {
   // This gets sent whenever the state of a giveaway whose information we got
   // via a giveaway-info event changes state, such as pausing, resuming,
   // time changing, etc.
@@ -378,6 +471,154 @@ function handleGiveawayTick(newGiveawayData) {
   if (giveaway.paused) {
     countdownTxt.classList.add('pause');
   }
+
+  if (extension !== undefined) {
+    flashExtension(extension);
+  }
+}
+
+
+// =============================================================================
+
+
+/* Flash the amount of time given (in milliseconds) on the countdown clock to
+ * show that it was added to the giveaway; the amount stays visible for a few
+ * seconds. If an earlier flash is still showing, this replaces it. */
+function flashExtension(extension) {
+  if (extensionFlash !== undefined) {
+    extensionFlash.kill();
+  }
+
+  countdownTxt.dataset.extension = `+${humanize(extension)}`;
+
+  extensionFlash = gsap.timeline()
+    .fromTo(countdownTxt, { scale: 1 }, { scale: 1.15, duration: 0.2, yoyo: true, repeat: 3 })
+    .set(countdownTxt, { scale: 1 })
+    .call(() => {
+      delete countdownTxt.dataset.extension;
+      extensionFlash = undefined;
+    }, [], '+=4');
+}
+
+
+// =============================================================================
+
+
+/* This handles the results of a prize drawing by populating the winner box with
+ * the names of the people that won and animating it into view; the names are
+ * revealed one after the other in the order that they were drawn. */
+function handleGiveawayWinner(drawing) {
+  winnerListBox.innerHTML = '';
+
+  const names = drawing.winners.map(winner => {
+    const div = document.createElement('div');
+    div.classList.add('name');
+    div.innerText = winner.displayName;
+
+    winnerListBox.appendChild(div);
+    return div;
+  });
+
+  gsap.timeline()
+    .fromTo(winnerBox, { opacity: 0, scale: 0.15, blur: 5 },
+                       { opacity: 1, scale: 1, blur: 0, duration: 1, ease: "elastic.out(1, 0.3)" })
+    .from(names, { opacity: 0, x: 200, duration: 1, ease: "elastic.out(1, 0.3)", stagger: 1.5 });
+}
+
+
+// =============================================================================
+
+
+/* This handles a gift bomb by popping up the gift bomb box with the name of the
+ * gifter and how many subs they gave, shaking it for emphasis, and then fading
+ * it away again after a few seconds. */
+function handleGiftBomb(bomb) {
+  giftBombTxt.innerHTML = '';
+
+  const name = document.createElement('span');
+  name.classList.add('name');
+  name.innerText = bomb.displayName;
+  giftBombTxt.append(name, ` just gifted ${bomb.count} subs!`);
+
+  gsap.timeline()
+    .fromTo(giftBombBox, { opacity: 0, scale: 0.15, blur: 5 },
+                         { opacity: 1, scale: 1, blur: 0, duration: 1, ease: "elastic.out(1, 0.3)" })
+    .to(giftBombBox, { rotation: 5, duration: 0.1, yoyo: true, repeat: 5 })
+    .to(giftBombBox, { rotation: 0, duration: 0.1 })
+    .to(giftBombBox, { opacity: 0, scale: 0.15, duration: 1, delay: 5 });
+}
+
+
+// =============================================================================
+
+
+/* This handles an update on the progress of the giveaway towards its goals by
+ * filling the progress bars and showing the next milestone that has not been
+ * reached yet. The goal box is only visible if the giveaway has a goal for
+ * bits or subs, or some milestones. */
+function handleGoalProgress(progress) {
+  goalProgress = progress;
+
+  if (progress.bitsGoal === 0 && progress.subsGoal === 0 && progress.milestones.length === 0) {
+    gsap.to(goalBox, { opacity: 0, duration: 1 });
+    return;
+  }
+
+  // Each bar only appears if there is a goal for it; the fill is the portion
+  // of the goal that has been reached so far.
+  const setBar = (fill, label, total, goal, kind) => {
+    fill.parentElement.style.display = (goal === 0) ? 'none' : 'block';
+    label.innerText = `${total} / ${goal} ${kind}`;
+    gsap.to(fill, { width: `${(goal === 0) ? 0 : Math.min(100, total / goal * 100)}%`, duration: 1 });
+  };
+  setBar(goalBitsFill, goalBitsLabel, progress.bits, progress.bitsGoal, 'bits');
+  setBar(goalSubsFill, goalSubsLabel, progress.subs, progress.subsGoal, 'subs');
+
+  // The milestones are sent in the order in which they will be reached for
+  // each kind; show whichever unreached one is closest to its target.
+  const totals = { bits: progress.bits, subs: progress.subs };
+  const pending = progress.milestones.filter(milestone => milestone.reached === false);
+  pending.sort((left, right) => (left.target - totals[left.kind]) - (right.target - totals[right.kind]));
+
+  if (celebratingMilestone === false) {
+    goalMilestoneTxt.innerHTML = '';
+  }
+  if (celebratingMilestone === false && pending.length !== 0) {
+    const name = document.createElement('span');
+    name.classList.add('name');
+    name.innerText = pending[0].description;
+    goalMilestoneTxt.append(`Next at ${pending[0].target} ${pending[0].kind}: `, name);
+  }
+
+  gsap.to(goalBox, { opacity: 1, duration: 1 });
+}
+
+
+// =============================================================================
+
+
+/* This handles a milestone being reached by shaking the goal box for emphasis
+ * and showing the milestone that was reached in place of the next one for a few
+ * seconds, after which the most recent goal progress is displayed again. */
+function handleMilestone(milestone) {
+  celebratingMilestone = true;
+  goalMilestoneTxt.innerHTML = '';
+
+  const name = document.createElement('span');
+  name.classList.add('name');
+  name.innerText = milestone.description;
+  goalMilestoneTxt.append(`Reached ${milestone.target} ${milestone.kind}: `, name);
+
+  gsap.timeline()
+    .to(goalBox, { opacity: 1, scale: 1.2, duration: 0.5, ease: "elastic.out(1, 0.3)" })
+    .to(goalBox, { rotation: 5, duration: 0.1, yoyo: true, repeat: 5 })
+    .to(goalBox, { rotation: 0, scale: 1, duration: 0.5 })
+    .call(() => {
+      celebratingMilestone = false;
+      if (goalProgress !== undefined && goalProgress.giveawayId === giveaway.id) {
+        handleGoalProgress(goalProgress);
+      }
+    }, [], '+=5');
 }
 
 
@@ -385,9 +626,9 @@ function handleGiveawayTick(newGiveawayData) {
 
 
 /* This handles an update from the back end telling us that the participants in
- * one of the leaderboards has changed. This can trigger for both bits and subs
- * and both are handled the same way other than being visualized in different
- * containers in the page.
+ * one of the leaderboards has changed. This can trigger for bits, subs and
+ * channel points, and all are handled the same way other than being visualized
+ * in different containers in the page.
  *
  * Updates are assumed to be either a list of people that have participated or
  * an empty list, if the list of participants has been cleared away (such as
@@ -411,8 +652,21 @@ function handleParticipantUpdate(config, eventName, updateData) {
         return resizeGifterHeader(gifterSubBox, bitGifterHeaderMinWidth);
       }
 
+      // The sub leaderboard can rank people by either the raw number of subs
+      // or their weighted value; the URL can pick which.
+      updateData = applySubsView(updateData, subsView);
       subsLeaders = updateLeaderboard(gifterSubBox, subListBox, subGifterHeaderMinWidth, subListDim, subsLeaders, config.subsLeadersCount, updateData);
       break;
+
+    case 'points':
+      if (updateData.length === 0) {
+        pointListBox.innerHTML = placeHolderHTML('points');
+        pointsLeaders = [];
+        return resizeGifterHeader(gifterPointsBox, pointGifterHeaderMinWidth);
+      }
+
+      pointsLeaders = updateLeaderboard(gifterPointsBox, pointListBox, pointGifterHeaderMinWidth, pointListDim, pointsLeaders, config.pointsLeadersCount, updateData);
+      break;
   }
 }
 
@@ -462,32 +716,102 @@ async function setup() {
   socket.on("giveaway-info", data => {
     console.log('giveaway-info', data);
 
+    // Information on giveaways other than the one we were asked to display is
+    // not of interest to us; an empty object always is, since it means that
+    // there are no giveaways at all.
+    if (Object.keys(data).length !== 0 && giveawaySelected(giveawaySelection, data) === false) {
+      return;
+    }
+
+    // If this is a different giveaway than the one we were displaying, the
+    // leaderboards are for the old one; clear them until the back end tells us
+    // who is participating in the new one.
+    if (data.id !== giveaway.id) {
+      handleParticipantUpdate(config, 'bits', []);
+      handleParticipantUpdate(config, 'subs', []);
+      handleParticipantUpdate(config, 'points', []);
+      gsap.to(goalBox, { opacity: 0, duration: 1 });
+    }
+
     // Use this information to set the information for the giveaway we're
     // tracking and update the overlay as appropriate.
     setGiveawayInformation(data);
+
+    // Any previously displayed winners are for some other giveaway, so they
+    // should no longer be visible.
+    gsap.to(winnerBox, { opacity: 0, duration: 1 });
   });
 
   // This event triggers whenever any state changes in a giveaway that we have
   // been told about in a giveawy-info event, such as time expiring, the
-  // giveaway ending, pause, resume or cancel, etc.
-  socket.on("giveaway-tick", data => {
+  // giveaway ending, pause, resume or cancel, etc; we only care about the one
+  // that we're displaying.
+  socket.on("giveaway-tick", (data, extension) => {
     // console.log('giveaway-tick', data);
 
-    handleGiveawayTick(data);
+    if (data.id === giveaway.id) {
+      handleGiveawayTick(data, extension);
+    }
   });
 
-  // The events that track updates to the bits and subs leaderboard data always
-  // send us an array, even if it might be empty. The array will be empty if
-  // there has never been a giveaway, the user is not authorized to start one,
-  // or a new fresh giveaway just started.
+  // The events that track updates to the bits, subs and points leaderboard data
+  // always send us an array, even if it might be empty. The array will be empty
+  // if there has never been a giveaway, the user is not authorized to start
+  // one, or a new fresh giveaway just started.
   //
   // If the array has any items in it at all, it's because of a state change in
   // the peopl;e that are participating in the giveaway.
   //
   // For both of these events we take the same actions, except that the list of
-  // participants and the container that wraps them are different.
-  socket.on('leaderboard-bits-update', data => handleParticipantUpdate(config, 'bits', data));
-  socket.on('leaderboard-subs-update', data => handleParticipantUpdate(config, 'subs', data));
+  // participants and the container that wraps them are different. Updates for
+  // giveaways other than the one being displayed are ignored; an update with
+  // no giveaway ID means that there are no giveaways at all.
+  const leaderboardUpdate = (eventName, data, giveawayId) => {
+    if (giveawayId === undefined || giveawayId === giveaway.id) {
+      handleParticipantUpdate(config, eventName, data);
+    }
+  };
+  socket.on('leaderboard-bits-update', (data, giveawayId) => leaderboardUpdate('bits', data, giveawayId));
+  socket.on('leaderboard-subs-update', (data, giveawayId) => leaderboardUpdate('subs', data, giveawayId));
+  socket.on('leaderboard-points-update', (data, giveawayId) => leaderboardUpdate('points', data, giveawayId));
+
+  // When a prize drawing is held for the giveaway we're displaying, display
+  // the winners.
+  socket.on('giveaway-winner', data => {
+    console.log('giveaway-winner', data);
+
+    if (data.giveawayId === giveaway.id) {
+      handleGiveawayWinner(data);
+    }
+  });
+
+  // When someone gifts a bunch of subs at once to the giveaway we're
+  // displaying, celebrate it.
+  socket.on('giveaway-gift-bomb', data => {
+    console.log('giveaway-gift-bomb', data);
+
+    if (data.giveawayId === giveaway.id) {
+      handleGiftBomb(data);
+    }
+  });
+
+  // When the progress of the giveaway we're displaying towards its goals
+  // changes, update the goal box; when it reaches a milestone, celebrate it.
+  socket.on('giveaway-goal', data => {
+    console.log('giveaway-goal', data);
+
+    if (data.giveawayId === giveaway.id) {
+      handleGoalProgress(data);
+    }
+  });
+
+  socket.on('giveaway-milestone', data => {
+    console.log('giveaway-milestone', data);
+
+    if (data.giveawayId === giveaway.id) {
+      handleMilestone(data);
+    }
+  });
 
   // When we're told that an overlay moved, react to it. Currently this will
   // foolishly update the overlay item that caused this event to trigger, but
@@ -36,8 +36,17 @@ const authLink = document.getElementById('auth-link');
 const authBtn = document.getElementById('authorize-btn');
 
 /* The panel controls that relate to starting, pausing, cancelling and showing
- * the current status of active giveaways. */
+ * the current status of active giveaways; the selector picks which of the
+ * giveaways the rest of the panel controls, or that a new one should start. */
+const giveawaySel = document.getElementById('giveaway-select');
+const nameFld = document.getElementById('giveaway-name');
 const durationFld = document.getElementById('giveaway-duration');
+const bitsGoalFld = document.getElementById('giveaway-bits-goal');
+const subsGoalFld = document.getElementById('giveaway-subs-goal');
+const milestonesFld = document.getElementById('giveaway-milestones');
+const extendSubFld = document.getElementById('giveaway-extend-sub');
+const extendBitsFld = document.getElementById('giveaway-extend-bits');
+const extendMaxFld = document.getElementById('giveaway-extend-max');
 const startBtn = document.getElementById('giveaway-start-btn');
 const cancelBtn = document.getElementById('giveaway-cancel-btn');
 const warningTxt = document.getElementById('warning');
@@ -50,25 +59,86 @@ const adjGiveawayBtn = document.getElementById('adjust-giveaway-duration-btn');
 
 /* The panel controls that relate to adjusting the number of bits and subs
  * for a specific user. */
+const adjUserModeSel = document.getElementById('adjust-participant-mode');
 const adjUserNameFld = document.getElementById('adjust-participant-name');
 const adjUserBitsFld = document.getElementById('adjust-participant-bits');
 const adjUserSubsFld = document.getElementById('adjust-participant-subs');
+const adjUserActorFld = document.getElementById('adjust-participant-actor');
+const adjUserReasonFld = document.getElementById('adjust-participant-reason');
 const adjUserBtn = document.getElementById('adjust-participant-btn');
 
+/* The text of the button that adjusts a participant, based on the adjustment
+ * mode that is selected. */
+const adjUserBtnText = {
+  add: 'Add Bits and Subs',
+  set: 'Set Bits and Subs',
+  remove: 'Remove From Giveaway',
+};
+
+/* The panel controls that relate to holding a prize drawing for a giveaway
+ * that has ended, and displaying the results of that drawing. */
+const drawCountFld = document.getElementById('draw-winner-count');
+const drawExcludeFld = document.getElementById('draw-winner-exclude');
+const drawBtn = document.getElementById('draw-winner-btn');
+const drawResultsTxt = document.getElementById('draw-winner-results');
+
+/* The panel controls that relate to queueing up giveaways to start at some
+ * point in the future, and the list that displays what's in the queue. */
+const scheduleListBox = document.getElementById('schedule-list');
+const scheduleNameFld = document.getElementById('schedule-name');
+const scheduleStartFld = document.getElementById('schedule-start');
+const scheduleDurationFld = document.getElementById('schedule-duration');
+const scheduleBtn = document.getElementById('schedule-btn');
+const scheduleCancelBtn = document.getElementById('schedule-cancel-edit-btn');
+
+/* The panel controls that relate to the actions that are taken when channel
+ * point rewards are redeemed, and the list that displays those actions. */
+const rewardListBox = document.getElementById('reward-action-list');
+const rewardSel = document.getElementById('reward-select');
+const rewardActionSel = document.getElementById('reward-action-type');
+const rewardEntriesFld = document.getElementById('reward-action-entries');
+const rewardRoleFld = document.getElementById('reward-action-role');
+const rewardEventFld = document.getElementById('reward-action-event');
+const rewardTextFld = document.getElementById('reward-action-text');
+const rewardEnabledChk = document.getElementById('reward-action-enabled');
+const rewardBtn = document.getElementById('reward-action-btn');
+const rewardCancelBtn = document.getElementById('reward-action-cancel-edit-btn');
+const rewardErrorTxt = document.getElementById('reward-action-error');
+
 /* The user that is currently authorized (if any); the data that's sent up to
  * us about giveaways and the data that is associated with them associates with
  * this user. */
 let user = { authorized: false, userName: undefined } ;
 
-/* The status of the currently active giveaway. When this is an empty object,
- * we don't know anything about any giveaways. This will be true when the page
+/* All of the giveaways that the back end has told us about, keyed on their ID;
+ * several of them can be running at the same time. This is empty when the page
  * loads, and if a currently authenticated revokes their authorization for the
- * app.
+ * app. */
+let giveaways = {};
+
+/* The status of the giveaway selected in the panel. When this is an empty
+ * object, the panel is set up to start a brand new giveaway.
  *
  * In all other cases, this is an object that tells us the properties of the
  * giveaway we're currently visualizing. */
 let giveaway = {};
 
+/* The list of giveaways that are queued up to start in the future, as last
+ * sent to us by the back end, and the ID of the entry in that list that is
+ * currently being edited, if any. */
+let schedule = [];
+let scheduleEditId = undefined;
+
+/* The list of actions that are taken when channel point rewards are redeemed,
+ * as last sent to us by the back end, and the ID of the action in that list
+ * that is currently being edited, if any. */
+let rewardActions = [];
+let rewardEditId = undefined;
+
+/* The list of custom channel point rewards in the channel of the authorized
+ * user, as looked up by the back end; each has an ID, title and cost. */
+let channelRewards = [];
+
 
 // =============================================================================
 
@@ -85,6 +155,60 @@ let giveaway = {};
  * negative value) or null if the text could not be parsed. */
 const parseAdjustmentDuration = text => parse(text.replace(/-\s*/g, '-'));
 
+/* Given some text, try to parse it as the goal for a giveaway, which is a
+ * number of bits or subs that is 0 or more; an empty field means that there
+ * is no goal, which is the same as a goal of 0.
+ *
+ * The return value is the goal, or NaN if the text could not be parsed. */
+const parseGoal = text => {
+  const goal = (text.trim() === '') ? 0 : Number(text.trim());
+  return (Number.isInteger(goal) && goal >= 0) ? goal : NaN;
+}
+
+
+// =============================================================================
+
+
+/* Given some text, try to parse it as one of the durations that control how a
+ * giveaway is extended by contributions; an empty field means that there is
+ * no extension (or no cap on the duration), which is the same as 0.
+ *
+ * The return value is the duration in milliseconds, or NaN if the text could
+ * not be parsed. */
+const parseExtension = text => {
+  const extension = (text.trim() === '') ? 0 : parse(text);
+  return (extension !== null && extension >= 0) ? extension : NaN;
+}
+
+
+// =============================================================================
+
+
+/* Given the text of the milestones field, which has one milestone per line in
+ * the form "5000 bits: the artist adds a hat" (or subs), return back a list of
+ * the milestones it describes, each with a kind, target and description. Blank
+ * lines are ignored.
+ *
+ * The return value is null if any of the lines is not a valid milestone. */
+function parseMilestones(text) {
+  const milestones = [];
+
+  for (const line of text.split('\n').map(line => line.trim()).filter(line => line !== '')) {
+    const match = /^(\d+)\s*(bits?|subs?)\s*:\s*(.+)$/i.exec(line);
+    if (match === null || parseInt(match[1], 10) < 1) {
+      return null;
+    }
+
+    milestones.push({
+      kind: match[2].toLowerCase().startsWith('bit') ? 'bits' : 'subs',
+      target: parseInt(match[1], 10),
+      description: match[3].trim()
+    });
+  }
+
+  return milestones;
+}
+
 
 // =============================================================================
 
@@ -106,11 +230,12 @@ const toggleConfirmState = () => {
 /* This gets invoked whenever the button for starting/pausing/resuming a
  * giveaway is pressed.
  *
- * If there's a giveaway that's currently running, this will either pause or
+ * If the selected giveaway is currently running, this will either pause or
  * unpause depending on the curent state of the giveaway.
  *
- * When there's no giveaway actively running, this wil instead start one going
- * by using the content in the duration field.
+ * When the selected giveaway isn't running, this wil instead start a new one
+ * going by using the content in the name and duration fields; other giveaways
+ * can be running at the same time.
  *
  * The button is expected to be disabled if the duration field is not valid,
  * so that in the case that a giveaway should be started, all preconditions
@@ -120,15 +245,25 @@ const startOrPauseGiveaway = () => {
   // back end to get it to either pause or unpause as appropriate.
   if (giveawayRunning(giveaway) === true) {
     const pause_map = { true: 'unpause', false: 'pause' };
-    return window.fetch(`/giveaway/${pause_map[giveaway.paused]}`);
+    return window.fetch(`/giveaway/${pause_map[giveaway.paused]}?` + new URLSearchParams({
+      giveawayId: giveaway.id
+    }));
   }
 
 
-  // Gather the duration out of the duration field and use it to request that a
-  // new giveaway be started. We can't be called unless the duration field is a
-  // valid duration.
+  // Gather the name, duration, goals and extensions out of their fields and
+  // use them to request that a new giveaway be started. We can't be called
+  // unless the duration field is a valid duration and the goals and extensions
+  // are valid; everything but the duration is optional.
   window.fetch('/giveaway/start?' + new URLSearchParams({
+    name: nameFld.value.trim(),
     duration: parseAdjustmentDuration(durationFld.value),
+    bitsGoal: parseGoal(bitsGoalFld.value),
+    subsGoal: parseGoal(subsGoalFld.value),
+    milestones: JSON.stringify(parseMilestones(milestonesFld.value)),
+    extendPerSub: parseExtension(extendSubFld.value),
+    extendPer100Bits: parseExtension(extendBitsFld.value),
+    extendMaxDuration: parseExtension(extendMaxFld.value),
     userId: user.userId
   }));
 }
@@ -137,6 +272,45 @@ const startOrPauseGiveaway = () => {
 // =============================================================================
 
 
+/* This performs a validation check on the fields that are used to start a new
+ * giveaway, enabling the start button only if the duration is valid and the
+ * goals, milestones and extensions (which are optional) are valid if they're
+ * given. */
+function validateStartFields() {
+  const duration = parseAdjustmentDuration(durationFld.value);
+
+  startBtn.disabled = (duration === null || duration < 1000) ||
+                      isNaN(parseGoal(bitsGoalFld.value)) ||
+                      isNaN(parseGoal(subsGoalFld.value)) ||
+                      parseMilestones(milestonesFld.value) === null ||
+                      [extendSubFld, extendBitsFld, extendMaxFld].some(field => isNaN(parseExtension(field.value)));
+}
+
+
+// =============================================================================
+
+
+/* Update the fields for the goals and extensions of a giveaway; when they're
+ * editable (for starting a new giveaway), they're cleared out so that new
+ * values can be entered, and otherwise they display the values of the selected
+ * giveaway. */
+function updateGoalControls(editable) {
+  bitsGoalFld.value = (editable || !giveaway.bitsGoal) ? '' : giveaway.bitsGoal;
+  subsGoalFld.value = (editable || !giveaway.subsGoal) ? '' : giveaway.subsGoal;
+  milestonesFld.value = '';
+
+  extendSubFld.value = (editable || !giveaway.extendPerSub) ? '' : humanize(giveaway.extendPerSub);
+  extendBitsFld.value = (editable || !giveaway.extendPer100Bits) ? '' : humanize(giveaway.extendPer100Bits);
+  extendMaxFld.value = (editable || !giveaway.extendMaxDuration) ? '' : humanize(giveaway.extendMaxDuration);
+
+  [bitsGoalFld, subsGoalFld, milestonesFld, extendSubFld, extendBitsFld, extendMaxFld].forEach(
+    field => field.disabled = ! editable);
+}
+
+
+// =============================================================================
+
+
 /* This gets invoked whenever the button for adjusting the duration of a
  * giveaway is pressed.
  *
@@ -153,6 +327,7 @@ const adjustGiveawayDuration = () => {
   //
   // We can't be called unless the duration field is a valid duration.
   window.fetch('/giveaway/adjust?' + new URLSearchParams({
+    giveawayId: giveaway.id,
     duration: parseAdjustmentDuration(adjGiveawayFld.value)
   }));
 
@@ -168,22 +343,475 @@ const adjustGiveawayDuration = () => {
  * giveaway participant is pressed.
  *
  * This should only be active when there is a username in the username field,
- * and the bit and sub fields are numbers or empty, with at least one of them
- * having a value so that there's something to update.
+ * a reason for the adjustment, and the bit and sub fields are numbers or empty,
+ * with at least one of them having a value so that there's something to update
+ * (unless the participant is being removed).
  *
- * If there's not a giveaway running, or the user provided is not a valid twitch
- * username, nothing happens. */
+ * If there's no giveaway, or the user provided is not a valid twitch username,
+ * nothing happens. */
 const adjustGiveawayParticipant = () => {
   window.fetch('/participant/adjust?' + new URLSearchParams({
+    giveawayId: giveaway.id,
+    mode: adjUserModeSel.value,
     userName: adjUserNameFld.value.trim(),
     bits: adjUserBitsFld.value.trim(),
     subs: adjUserSubsFld.value.trim(),
+    actor: adjUserActorFld.value.trim(),
+    reason: adjUserReasonFld.value.trim(),
   }));
 
-  // Now that we sent off the message, we can clear the values.
+  // Now that we sent off the message, we can clear the values; the name of the
+  // person making adjustments is left, since it's likely to be the same next
+  // time.
+  adjUserNameFld.value = '';
+  adjUserBitsFld.value = '';
+  adjUserSubsFld.value = '';
+  adjUserReasonFld.value = '';
+  validateParicipantAdjustFields();
+}
+
+
+// =============================================================================
+
+
+/* Enable or disable the controls for adjusting participants based on the
+ * current giveaway; participants can be adjusted in any giveaway that is known
+ * and was not cancelled, including one that has ended, so that mistakes can be
+ * corrected before the prizes are drawn.
+ *
+ * The fields are cleared, and the button is disabled until the fields are
+ * filled out with something valid. */
+function updateParticipantControls() {
+  const enabled = Object.keys(giveaway).length !== 0 && giveaway.cancelled !== true;
+
   adjUserNameFld.value = '';
   adjUserBitsFld.value = '';
   adjUserSubsFld.value = '';
+  adjUserReasonFld.value = '';
+
+  [adjUserModeSel, adjUserNameFld, adjUserActorFld, adjUserReasonFld].forEach(field => field.disabled = ! enabled);
+  validateParicipantAdjustFields();
+}
+
+
+// =============================================================================
+
+
+/* This gets invoked whenever the button for holding a prize drawing is
+ * pressed.
+ *
+ * This should only be active when there is a giveaway that has ended without
+ * being cancelled; the back end will draw the winners and then let everyone
+ * know who they are via a 'giveaway-winner' event. If winners were already
+ * drawn, drawing again has to be confirmed first. */
+const drawGiveawayWinners = () => {
+  const redraw = (giveaway.winners !== null && giveaway.winners !== undefined);
+  if (redraw === true && window.confirm('Winners have already been drawn; draw again?') === false) {
+    return;
+  }
+
+  window.fetch('/giveaway/draw?' + new URLSearchParams({
+    giveawayId: giveaway.id,
+    count: drawCountFld.value.trim(),
+    exclude: drawExcludeFld.value.trim(),
+    redraw,
+  }));
+}
+
+
+// =============================================================================
+
+
+/* Update the state of the controls that allow for a prize drawing to be held;
+ * these are only enabled when there's an authorized user and the giveaway that
+ * we know about has run to completion without being cancelled.
+ *
+ * The number of winners is optional, but if it's given it has to be a number
+ * that's at least 1 for the button to be enabled. */
+function updateDrawControls() {
+  const enabled = user.authorized === true &&
+                  Object.keys(giveaway).length !== 0 &&
+                  giveaway.cancelled === false &&
+                  giveawayRunning(giveaway) === false;
+
+  const countText = drawCountFld.value.trim();
+  const count = parseInt(countText, 10);
+
+  drawCountFld.disabled = ! enabled;
+  drawExcludeFld.disabled = ! enabled;
+  drawBtn.disabled = ! enabled || (countText !== '' && (isNaN(count) || count < 1));
+}
+
+
+// =============================================================================
+
+
+/* Display the results of a prize drawing in the panel; this is invoked when the
+ * back end tells us about a drawing and can also be invoked with undefined to
+ * clear away any displayed results. */
+function displayDrawResults(drawing) {
+  if (drawing === undefined) {
+    drawResultsTxt.innerText = '';
+    drawResultsTxt.classList.add('hidden');
+    return;
+  }
+
+  const names = drawing.winners.map(winner => `${winner.displayName} (${winner.entries.toFixed(2)} entries)`);
+  drawResultsTxt.innerText = `Winners: ${names.join(', ')}\nSeed: ${drawing.seed}`;
+  drawResultsTxt.classList.remove('hidden');
+}
+
+
+// =============================================================================
+
+
+/* Given a Date, return back a string version of it in the local time zone that
+ * is suitable for use as the value of a datetime-local input field. */
+function toLocalInputValue(date) {
+  const local = new Date(date.getTime() - (date.getTimezoneOffset() * 60 * 1000));
+  return local.toISOString().slice(0, 16);
+}
+
+
+// =============================================================================
+
+
+/* This gets invoked whenever the button for scheduling a giveaway is pressed.
+ *
+ * Depending on whether or not an entry in the schedule is currently being
+ * edited, this will either add a new giveaway to the queue or update the
+ * existing one; in either case the back end will send us the new schedule. */
+const scheduleGiveaway = () => {
+  const params = {
+    name: scheduleNameFld.value.trim(),
+    startTime: new Date(scheduleStartFld.value).toISOString(),
+    duration: parseAdjustmentDuration(scheduleDurationFld.value),
+  };
+
+  if (scheduleEditId !== undefined) {
+    window.fetch('/schedule/update?' + new URLSearchParams({ id: scheduleEditId, ...params }));
+  } else {
+    window.fetch('/schedule/add?' + new URLSearchParams({ userId: user.userId, ...params }));
+  }
+
+  stopEditingSchedule();
+}
+
+
+// =============================================================================
+
+
+/* Put the scheduling controls into a mode where they edit the scheduled
+ * giveaway provided, rather than adding a new one. */
+function startEditingSchedule(entry) {
+  scheduleEditId = entry.id;
+  scheduleNameFld.value = entry.name;
+  scheduleStartFld.value = toLocalInputValue(new Date(entry.startTime));
+  scheduleDurationFld.value = humanize(entry.duration);
+
+  scheduleBtn.innerText = 'Update Scheduled Giveaway';
+  scheduleCancelBtn.classList.remove('hidden');
+  validateScheduleFields();
+}
+
+
+// =============================================================================
+
+
+/* Take the scheduling controls out of edit mode (if they're in it) and clear
+ * them, ready to schedule a new giveaway. */
+function stopEditingSchedule() {
+  scheduleEditId = undefined;
+  scheduleNameFld.value = '';
+  scheduleStartFld.value = '';
+  scheduleDurationFld.value = '';
+
+  scheduleBtn.innerText = 'Schedule Giveaway';
+  scheduleCancelBtn.classList.add('hidden');
+  validateScheduleFields();
+}
+
+
+// =============================================================================
+
+
+/* This performs a validation check on the fields used to schedule a giveaway,
+ * enabling the button that sends the request only if there's an authorized
+ * user, the start time is in the future and the duration is valid. */
+function validateScheduleFields() {
+  scheduleNameFld.disabled = ! (user.authorized === true);
+  scheduleStartFld.disabled = ! (user.authorized === true);
+  scheduleDurationFld.disabled = ! (user.authorized === true);
+
+  const startTime = new Date(scheduleStartFld.value);
+  const duration = parseAdjustmentDuration(scheduleDurationFld.value);
+
+  scheduleBtn.disabled = user.authorized !== true ||
+                         isNaN(startTime.getTime()) || startTime.getTime() <= Date.now() ||
+                         !(duration >= 1000);
+}
+
+
+// =============================================================================
+
+
+/* Given the list of scheduled giveaways from the back end, store it and then
+ * populate the list in the panel with an entry for each, along with the
+ * buttons that allow that entry to be edited or removed. */
+function displaySchedule(newSchedule) {
+  schedule = newSchedule;
+  scheduleListBox.innerHTML = '';
+
+  // If the entry we're editing is no longer in the queue (because it started
+  // or was removed), then we can't be editing it any longer.
+  if (scheduleEditId !== undefined && schedule.find(entry => entry.id === scheduleEditId) === undefined) {
+    stopEditingSchedule();
+  }
+
+  if (schedule.length === 0) {
+    scheduleListBox.innerText = 'No giveaways are scheduled';
+    return;
+  }
+
+  schedule.forEach(entry => {
+    const row = document.createElement('div');
+    row.classList.add('schedule-entry');
+
+    const details = document.createElement('span');
+    details.innerText = `${entry.name}: ${new Date(entry.startTime).toLocaleString()} for ${humanize(entry.duration)}`;
+
+    const editBtn = document.createElement('button');
+    editBtn.innerText = 'Edit';
+    editBtn.addEventListener('click', () => startEditingSchedule(entry));
+
+    const deleteBtn = document.createElement('button');
+    deleteBtn.innerText = 'Delete';
+    deleteBtn.addEventListener('click', () => window.fetch('/schedule/delete?' + new URLSearchParams({ id: entry.id })));
+
+    row.append(details, editBtn, deleteBtn);
+    scheduleListBox.appendChild(row);
+  });
+}
+
+
+// =============================================================================
+
+
+/* Ask the back end for the list of custom channel point rewards in the channel
+ * of the authorized user, and use it to populate the list of rewards that
+ * actions can be set up for. */
+async function loadChannelRewards() {
+  channelRewards = [];
+  if (user.authorized === true) {
+    const response = await window.fetch('/rewards/list');
+    const result = await response.json();
+    if (result.success === true) {
+      channelRewards = result.rewards;
+    } else {
+      rewardErrorTxt.innerText = result.reason;
+    }
+  }
+
+  populateRewardSelect();
+}
+
+
+// =============================================================================
+
+
+/* Populate the list of rewards that actions can be set up for with the rewards
+ * in the channel, keeping the current selection if possible.
+ *
+ * Rewards that have actions but which are not in the channel any longer (or
+ * that can't be looked up) still appear in the list, so that their actions can
+ * be edited. */
+function populateRewardSelect() {
+  const rewards = [...channelRewards];
+  rewardActions.filter(action => rewards.find(reward => reward.id === action.rewardId) === undefined)
+               .forEach(action => rewards.push({ id: action.rewardId, title: action.rewardTitle || action.rewardId }));
+
+  const selected = rewardSel.value;
+  rewardSel.options.length = 1;
+  rewards.forEach(reward => {
+    const text = (reward.cost !== undefined) ? `${reward.title} (${reward.cost})` : reward.title;
+    rewardSel.add(new Option(text, reward.id));
+  });
+  rewardSel.value = selected;
+
+  validateRewardActionFields();
+}
+
+
+// =============================================================================
+
+
+/* This gets invoked whenever the button for adding or updating a reward action
+ * is pressed; depending on whether or not an action is being edited, this will
+ * either add a new action or update the existing one. Once the back end accepts
+ * the change, it sends us the new list of actions. */
+async function saveRewardAction() {
+  const params = {
+    rewardId: rewardSel.value,
+    rewardTitle: channelRewards.find(reward => reward.id === rewardSel.value)?.title ||
+                 rewardActions.find(action => action.rewardId === rewardSel.value)?.rewardTitle || '',
+    action: rewardActionSel.value,
+    entries: rewardEntriesFld.value.trim() || '1',
+    role: rewardRoleFld.value.trim(),
+    event: rewardEventFld.value.trim(),
+    text: rewardTextFld.value.trim(),
+    enabled: rewardEnabledChk.checked,
+  };
+
+  const url = (rewardEditId !== undefined) ? '/rewards/update' : '/rewards/add';
+  if (rewardEditId !== undefined) {
+    params.id = rewardEditId;
+  }
+
+  rewardErrorTxt.innerText = '';
+  const response = await window.fetch(`${url}?` + new URLSearchParams(params));
+  const result = await response.json();
+  if (result.success === false) {
+    rewardErrorTxt.innerText = result.reason;
+    return;
+  }
+
+  stopEditingRewardAction();
+}
+
+
+// =============================================================================
+
+
+/* Put the reward action controls into a mode where they edit the action
+ * provided, rather than adding a new one. */
+function startEditingRewardAction(entry) {
+  rewardEditId = entry.id;
+  rewardSel.value = entry.rewardId;
+  rewardActionSel.value = entry.action;
+  rewardEntriesFld.value = (entry.action === 'entries') ? entry.entries : '';
+  rewardRoleFld.value = entry.role;
+  rewardEventFld.value = entry.event;
+  rewardTextFld.value = entry.text;
+  rewardEnabledChk.checked = entry.enabled;
+
+  rewardBtn.innerText = 'Update Reward Action';
+  rewardCancelBtn.classList.remove('hidden');
+  validateRewardActionFields();
+}
+
+
+// =============================================================================
+
+
+/* Take the reward action controls out of edit mode (if they're in it) and clear
+ * them, ready to add a new action. */
+function stopEditingRewardAction() {
+  rewardEditId = undefined;
+  rewardSel.value = '';
+  rewardActionSel.value = 'chat';
+  rewardEntriesFld.value = '';
+  rewardRoleFld.value = '';
+  rewardEventFld.value = '';
+  rewardTextFld.value = '';
+  rewardEnabledChk.checked = true;
+
+  rewardBtn.innerText = 'Add Reward Action';
+  rewardCancelBtn.classList.add('hidden');
+  validateRewardActionFields();
+}
+
+
+// =============================================================================
+
+
+/* This performs a validation check on the fields used to set up a reward
+ * action; only the fields that the selected action uses are enabled, and the
+ * button that sends the request is enabled only if there's an authorized user,
+ * a reward is selected and the fields for the action are valid. */
+function validateRewardActionFields() {
+  const authorized = user.authorized === true;
+  const action = rewardActionSel.value;
+
+  rewardSel.disabled = !authorized;
+  rewardActionSel.disabled = !authorized;
+  rewardEnabledChk.disabled = !authorized;
+  rewardTextFld.disabled = !authorized || action !== 'chat';
+  rewardEntriesFld.disabled = !authorized || action !== 'entries';
+  rewardRoleFld.disabled = !authorized || action !== 'socket';
+  rewardEventFld.disabled = !authorized || action !== 'socket';
+
+  let valid = authorized && rewardSel.value !== '';
+  switch (action) {
+    case 'chat':
+      valid = valid && rewardTextFld.value.trim() !== '';
+      break;
+
+    case 'entries': {
+      const entries = Number(rewardEntriesFld.value.trim() || '1');
+      valid = valid && Number.isInteger(entries) && entries >= 1;
+      break;
+    }
+
+    case 'socket':
+      valid = valid && /^[a-z0-9_-]+$/i.test(rewardRoleFld.value.trim()) &&
+                       /^[a-z0-9_-]+$/i.test(rewardEventFld.value.trim());
+      break;
+  }
+
+  rewardBtn.disabled = !valid;
+}
+
+
+// =============================================================================
+
+
+/* Given the list of reward actions from the back end, store it and then
+ * populate the list in the panel with an entry for each, along with the
+ * buttons that allow that entry to be edited or removed. */
+function displayRewardActions(newRewardActions) {
+  rewardActions = newRewardActions;
+  rewardListBox.innerHTML = '';
+  populateRewardSelect();
+
+  // If the action we're editing is no longer in the list, then we can't be
+  // editing it any longer.
+  if (rewardEditId !== undefined && rewardActions.find(entry => entry.id === rewardEditId) === undefined) {
+    stopEditingRewardAction();
+  }
+
+  if (rewardActions.length === 0) {
+    rewardListBox.innerText = 'No channel point rewards have actions';
+    return;
+  }
+
+  const describe = {
+    chat: entry => `say "${entry.text}"`,
+    drop: () => 'make a drop',
+    entries: entry => `give ${entry.entries} bonus giveaway ${entry.entries === 1 ? 'entry' : 'entries'}`,
+    socket: entry => `send '${entry.event}' to '${entry.role}'`,
+  };
+
+  rewardActions.forEach(entry => {
+    const row = document.createElement('div');
+    row.classList.add('reward-entry');
+    if (entry.enabled === false) {
+      row.classList.add('disabled');
+    }
+
+    const details = document.createElement('span');
+    details.innerText = `${entry.rewardTitle || entry.rewardId}: ${describe[entry.action](entry)}`;
+
+    const editBtn = document.createElement('button');
+    editBtn.innerText = 'Edit';
+    editBtn.addEventListener('click', () => startEditingRewardAction(entry));
+
+    const deleteBtn = document.createElement('button');
+    deleteBtn.innerText = 'Delete';
+    deleteBtn.addEventListener('click', () => window.fetch('/rewards/delete?' + new URLSearchParams({ id: entry.id })));
+
+    row.append(details, editBtn, deleteBtn);
+    rewardListBox.appendChild(row);
+  });
 }
 
 
@@ -196,19 +824,32 @@ const adjustGiveawayParticipant = () => {
  * The button for sending the request will be enabled if all validations pass
  * and disabled if not.
  *
- * To be valid, there needs to be a user name given, as well as a non-zer and
- * positive number in at least one of the two number fields. If any number field
- * is 0 or lower or not a number, the validation fails. */
+ * To be valid, there needs to be a user name and a reason given. When adding,
+ * there also needs to be a non-zero number in at least one of the two number
+ * fields; when setting, there needs to be a number that is 0 or higher. When
+ * removing a participant, the number fields are not used. */
 function validateParicipantAdjustFields() {
-  // adjUserNameFld, adjUserBitsFld, adjUserSubsFld].forEach(field => {
-  // const adjUserBtn = document.getElementById('adjust-participant-btn');
+  const mode = adjUserModeSel.value;
   let valid = true;
 
-  // The update is not valid if there's no user available for it.
-  if (adjUserNameFld.value.trim() === '') {
+  // The text of the button reflects what the adjustment will do, and the bits
+  // and subs are only relevant when not removing someone.
+  adjUserBtn.innerText = adjUserBtnText[mode];
+  adjUserBitsFld.disabled = adjUserModeSel.disabled || mode === 'remove';
+  adjUserSubsFld.disabled = adjUserModeSel.disabled || mode === 'remove';
+
+  // The update is not valid if there's no user available for it, or no reason
+  // given for why it's happening.
+  if (adjUserModeSel.disabled || adjUserNameFld.value.trim() === '' || adjUserReasonFld.value.trim() === '') {
     valid = false;
   }
 
+  // Removing someone doesn't need any numbers, so we're done.
+  if (mode === 'remove') {
+    adjUserBtn.disabled = ! valid;
+    return;
+  }
+
   // Convert the bits and subs fields into numbers; this will give us ints or
   // it will give us NaN if the input isn't valid.
   let bits = parseInt(adjUserBitsFld.value, 10);
@@ -227,8 +868,13 @@ function validateParicipantAdjustFields() {
     valid = false;
   }
 
-  // One of the values is a number; to be valid it has to be > 0
-  if ((isNaN(bits) === false && bits <= 0) || (isNaN(subs) === false && subs <= 0)) {
+  // When adding, a value of 0 doesn't change anything; when setting, you can't
+  // go below 0.
+  if (mode === 'add' && (bits === 0 || subs === 0)) {
+    valid = false;
+  }
+
+  if (mode === 'set' && (bits < 0 || subs < 0)) {
     valid = false;
   }
 
@@ -248,6 +894,50 @@ function updateUserAuthControls(newUserData) {
   // which will depend on wether or not there's currently someone authorized.
   authBtn.innerText = user.authorized ? `Deauthorize ${user.userName}` : 'Authorize with Twitch';
   authLink.href = user.authorized ? '/deauth' : '/auth';
+
+  // Scheduling a giveaway requires an authorized user to schedule it for, and
+  // the channel point rewards that actions can be set up for come from the
+  // channel of that user.
+  validateScheduleFields();
+  loadChannelRewards();
+}
+
+
+// =============================================================================
+
+
+/* Given a giveaway object, return back the text that is used to represent it in
+ * the list of giveaways that can be selected, which includes its name and what
+ * state it is in. */
+function giveawayOptionText(entry) {
+  let state = 'running';
+  if (entry.cancelled === true) {
+    state = 'cancelled';
+  } else if (giveawayRunning(entry) === false) {
+    state = 'ended';
+  } else if (entry.paused === true) {
+    state = 'paused';
+  }
+
+  return `${entry.name} (${state})`;
+}
+
+
+// =============================================================================
+
+
+/* Populate the list of giveaways that can be selected with all of the
+ * giveaways that we know about, oldest first, after the entry that is used to
+ * start a new giveaway. The currently selected giveaway remains selected. */
+function populateGiveawaySelect() {
+  giveawaySel.innerHTML = '';
+  giveawaySel.appendChild(new Option('Start a new giveaway', ''));
+
+  Object.values(giveaways)
+        .sort((left, right) => new Date(left.startTime) - new Date(right.startTime))
+        .forEach(entry => giveawaySel.appendChild(new Option(giveawayOptionText(entry), entry.id)));
+
+  giveawaySel.value = giveaway.id || '';
 }
 
 
@@ -272,14 +962,20 @@ function updateUserAuthControls(newUserData) {
  * state does not matter).
  *
  * The giveaway variable is an empty object if we don't know about any giveaway,
- * such as when the database is completely empty or the user is not authorized.
- * In all other cases it has some giveaway data in it, even if it's not a
- * current one. */
+ * such as when the database is completely empty or the user is not authorized,
+ * or if the user selected that they want to start a new giveaway. In all other
+ * cases it has some giveaway data in it, even if it's not a current one. */
 function setGiveawayInformation(newGiveawayData) {
   // Keep this information as the current giveaway; this update always comes
-  // from a 'giveaway-info' event, which is always considered to be gospel.
+  // from either a 'giveaway-info' event, which is always considered to be
+  // gospel, or from the user picking one of the giveaways we know about.
   giveaway = newGiveawayData;
 
+  // Make sure the list of giveaways shows the one that we're now controlling;
+  // it can only be used if there's a logged in user.
+  giveawaySel.value = giveaway.id || '';
+  giveawaySel.disabled = ! (user.authorized === true);
+
   // If the object that we got is empty, then there's no information on any
   // particular giveaway, either past or present. In that case the controls
   // should be set such that we can start a new giveaway.
@@ -291,12 +987,17 @@ function setGiveawayInformation(newGiveawayData) {
   // If there's no authorized user, this also needs to trigger except that the
   // controls in the panel are disabled to stop you from starting a giveaway.
   if (Object.keys(giveaway).length === 0 || giveawayRunning(giveaway) === false || user.authorized === false) {
-    // Allow the user to enter a duration for the giveaway into the field, which
-    // should be empty of any previous text it might have. The field can only be
-    // enabled if there's a logged in user, since we need user credentials to
-    // start a new giveaway.
+    // Allow the user to enter a name and duration for the giveaway into the
+    // fields; the name starts as the name of the giveaway that's over (if any)
+    // so that it's easy to run it again, but the duration should be empty of
+    // any previous text it might have. The fields can only be enabled if
+    // there's a logged in user, since we need user credentials to start a new
+    // giveaway.
+    nameFld.value = giveaway.name || '';
+    nameFld.disabled = ! (user.authorized === true);
     durationFld.value = '';
     durationFld.disabled = ! (user.authorized === true);
+    updateGoalControls(user.authorized === true);
 
     // The button should allow us to start a giveaway, but it also requires
     // that the user type a valid duration into the input field first, so the
@@ -314,15 +1015,14 @@ function setGiveawayInformation(newGiveawayData) {
     adjGiveawayFld.disabled = true;
     adjGiveawayBtn.disabled = true;
 
-    // Similarly, since the back end only allows updates when there's a giveaway
-    // in progress, if there isn't one, then you can't adjust squat-doodle.
-    adjUserNameFld.value = '';
-    adjUserNameFld.disabled = true;
-    adjUserBitsFld.value = '';
-    adjUserBitsFld.disabled = true;
-    adjUserSubsFld.value = '';
-    adjUserSubsFld.disabled = true;
-    adjUserBtn.disabled = true;
+    // Participants can still be adjusted in a giveaway that has ended, but if
+    // there isn't one or it was cancelled, then you can't adjust squat-doodle.
+    updateParticipantControls();
+
+    // If the giveaway has ended, a drawing can be held for it; show the result
+    // of any drawing that was already held.
+    updateDrawControls();
+    displayDrawResults(giveaway.winners ? { seed: giveaway.drawSeed, winners: JSON.parse(giveaway.winners) } : undefined);
     return;
   }
 
@@ -330,8 +1030,12 @@ function setGiveawayInformation(newGiveawayData) {
   // running; In that case we need to update the controls.
   //
   // Start by creating a human readable version of the duration and set it into
-  // the field; the duration field also needs to be disabled, since you can't
-  // type into it while a giveaway is running.
+  // the field; the name and duration fields also need to be disabled, since you
+  // can't type into them while a giveaway is running.
+  nameFld.value = giveaway.name;
+  nameFld.disabled = true;
+  updateGoalControls(false);
+
   const remain = humanize(remainingDuration(giveaway));
   durationFld.value = giveaway.paused ? `Giveaway is paused (${remain} remain)` : `${remain} remaining`;
   durationFld.disabled = true;
@@ -351,18 +1055,13 @@ function setGiveawayInformation(newGiveawayData) {
   // fields is what causes the buttons to enable, assuming they have valid
   // input.
   adjGiveawayFld.value = '';
-  adjUserNameFld.value = '';
-  adjUserBitsFld.value = '';
-  adjUserSubsFld.value = '';
-  adjGiveawayFld.value = '';
-
   adjGiveawayFld.disabled = false;
   adjGiveawayBtn.disabled = true;
-  adjUserNameFld.disabled = false;
-  adjUserBitsFld.disabled = false;
-  adjUserSubsFld.disabled = false;
-  adjUserBtn.disabled = true;
+  updateParticipantControls();
 
+  // A drawing can't be held while the giveaway is running.
+  updateDrawControls();
+  displayDrawResults(undefined);
 }
 
 
@@ -397,12 +1096,15 @@ function handleGiveawayTick(newGiveawayData) {
   // If the giveaway has been cancelled or has finished running, then trigger an
   // update that clears away the known data.
   if (giveaway.cancelled === true || remainingDuration(giveaway) <= 0) {
-    // Allow the user to enter a duration for the giveaway into the field, which
-    // should be empty of any previous text it might have. The field can only be
-    // enabled if there's a logged in user, since we need user credentials to
-    // start a new giveaway.
+    // Allow the user to enter a name and duration for the giveaway into the
+    // fields; the name is left as it is so that it's easy to run the same
+    // giveaway again, but the duration should be empty of any previous text it
+    // might have. The fields can only be enabled if there's a logged in user,
+    // since we need user credentials to start a new giveaway.
+    nameFld.disabled = ! (user.authorized === true);
     durationFld.value = '';
     durationFld.disabled = ! (user.authorized === true);
+    updateGoalControls(user.authorized === true);
 
     // The button should allow us to start a giveaway, but it also requires
     // that the user type a valid duration into the input field first, so the
@@ -424,13 +1126,13 @@ function handleGiveawayTick(newGiveawayData) {
     adjGiveawayFld.disabled = true;
     adjGiveawayBtn.disabled = true;
 
-    adjUserNameFld.value = '';
-    adjUserNameFld.disabled = true;
-    adjUserBitsFld.value = '';
-    adjUserBitsFld.disabled = true;
-    adjUserSubsFld.value = '';
-    adjUserSubsFld.disabled = true;
-    adjUserBtn.disabled = true;
+    // Participants can still be adjusted after the giveaway ends, but not if
+    // it was cancelled.
+    updateParticipantControls();
+
+    // Now that the giveaway is over, a drawing can be held (assuming that it
+    // wasn't cancelled).
+    updateDrawControls();
   }
 }
 
@@ -450,6 +1152,10 @@ function handleGiveawayTick(newGiveawayData) {
  * been pre-sanitized and is safe to use without further checks, and provides
  * visual feedback to the user that indicates why they can't take actions. */
 function setupControlEvents() {
+  // Selecting a giveaway from the list makes the rest of the panel control it;
+  // the first entry in the list sets up to start a brand new giveaway.
+  giveawaySel.addEventListener('change', () => setGiveawayInformation(giveaways[giveawaySel.value] || {}));
+
   // The start button either starts a new giveaway or pauses the existing
   // one, depending on the current state.
   startBtn.addEventListener('click', () => startOrPauseGiveaway());
@@ -464,20 +1170,22 @@ function setupControlEvents() {
   // record for the given user.
   adjUserBtn.addEventListener('click', () => adjustGiveawayParticipant());
 
-  // Every time the text in the duration field changes, check to see if the
-  // value will parse and enable or disable the start button as appropriate
-  durationFld.addEventListener('input', () => {
-    const duration = parseAdjustmentDuration(durationFld.value);
-    startBtn.disabled = (duration === null || duration < 1000);
+  // Every time the text in the duration, goal or extension fields changes,
+  // check to see if the values will parse and enable or disable the start button as
+  // appropriate
+  [durationFld, bitsGoalFld, subsGoalFld, milestonesFld, extendSubFld, extendBitsFld, extendMaxFld].forEach(field => {
+    field.addEventListener('input', () => validateStartFields());
   });
 
-  // When new input is commited into the duration field, trigger a fake event
-  // on the start button. This won't fire while entering text, only when enter
-  // is pressed.
-  durationFld.addEventListener('keydown', event => {
-    if (event.code === 'Enter' && startBtn.disabled === false) {
-      startBtn.dispatchEvent(new Event('click', {}))
-    }
+  // When new input is commited into the name, duration, goal or extension
+  // fields, trigger a fake event on the start button. This won't fire while entering text, only
+  // when enter is pressed.
+  [nameFld, durationFld, bitsGoalFld, subsGoalFld, extendSubFld, extendBitsFld, extendMaxFld].forEach(field => {
+    field.addEventListener('keydown', event => {
+      if (event.code === 'Enter' && startBtn.disabled === false) {
+        startBtn.dispatchEvent(new Event('click', {}))
+      }
+    })
   });
 
   // Every time the text in the duration adjustment field changes, check to see
@@ -500,7 +1208,8 @@ function setupControlEvents() {
   // For all of the fields that are for adjusting the information for a
   // particular user, check to see if the adjustment button should be enabled
   // or not.
-  [adjUserNameFld, adjUserBitsFld, adjUserSubsFld].forEach(field => {
+  adjUserModeSel.addEventListener('change', () => validateParicipantAdjustFields());
+  [adjUserNameFld, adjUserBitsFld, adjUserSubsFld, adjUserActorFld, adjUserReasonFld].forEach(field => {
     field.addEventListener('input', () => validateParicipantAdjustFields())
     field.addEventListener('keydown', event => {
       if (event.code === 'Enter' && adjUserBtn.disabled === false) {
@@ -509,6 +1218,50 @@ function setupControlEvents() {
     })
   });
 
+  // The button for holding a prize drawing sends the count and exclusion list
+  // off to the back end; the result comes back as a socket event.
+  drawBtn.addEventListener('click', () => drawGiveawayWinners());
+
+  // Every time the drawing fields change, check to see if the drawing button
+  // should be enabled or not.
+  [drawCountFld, drawExcludeFld].forEach(field => {
+    field.addEventListener('input', () => updateDrawControls());
+    field.addEventListener('keydown', event => {
+      if (event.code === 'Enter' && drawBtn.disabled === false) {
+        drawBtn.dispatchEvent(new Event('click', {}))
+      }
+    })
+  });
+
+  // The button for scheduling a giveaway either adds a new one to the queue or
+  // updates the one being edited; the cancel button stops the editing.
+  scheduleBtn.addEventListener('click', () => scheduleGiveaway());
+  scheduleCancelBtn.addEventListener('click', () => stopEditingSchedule());
+
+  // Every time the scheduling fields change, check to see if the scheduling
+  // button should be enabled or not.
+  [scheduleNameFld, scheduleStartFld, scheduleDurationFld].forEach(field => {
+    field.addEventListener('input', () => validateScheduleFields());
+    field.addEventListener('keydown', event => {
+      if (event.code === 'Enter' && scheduleBtn.disabled === false) {
+        scheduleBtn.dispatchEvent(new Event('click', {}))
+      }
+    })
+  });
+
+  // The button for reward actions either adds a new action or updates the one
+  // being edited; the cancel button stops the editing.
+  rewardBtn.addEventListener('click', () => saveRewardAction());
+  rewardCancelBtn.addEventListener('click', () => stopEditingRewardAction());
+
+  // Every time the reward action fields change, check to see if the button
+  // should be enabled or not; the action that is selected controls which of
+  // the other fields are used.
+  [rewardSel, rewardActionSel].forEach(field => field.addEventListener('change', () => validateRewardActionFields()));
+  [rewardEntriesFld, rewardRoleFld, rewardEventFld, rewardTextFld].forEach(field => {
+    field.addEventListener('input', () => validateRewardActionFields());
+  });
+
   // Whenever the cancel button is clicked, display the portion of the panel
   // that asks you to confirm that you want to actually cancel. A timeout is
   // set after which the controls go back to their original state.
@@ -527,9 +1280,9 @@ function setupControlEvents() {
     window.clearTimeout(toggleID);
     toggleConfirmState();
 
-    // If there is actually a giveaway running, cancel it.
+    // If the selected giveaway is actually running, cancel it.
     if (giveawayRunning(giveaway) === true) {
-      window.fetch('/giveaway/cancel');
+      window.fetch('/giveaway/cancel?' + new URLSearchParams({ giveawayId: giveaway.id }));
     }
   });
 
@@ -566,18 +1319,30 @@ async function setup() {
     updateUserAuthControls(data);
   });
 
-  // This event fires to give us information on the current giveaway; this
-  // triggers whenever Twitch authorizes or deauthorizes, right after we connect
-  // our socket to the back end, and when giveaways start.
+  // This event fires to give us information on a giveaway; this triggers
+  // whenever Twitch authorizes or deauthorizes, right after we connect our
+  // socket to the back end (once for each giveaway), and when giveaways start.
   //
   // The data that we get is either an empty object if there is no giveaway
   // information for the current user, or it's information on a giveaway. That
-  // giveaway may be complete, but we get information on it anyway.
+  // giveaway may be complete, but we get information on it anyway; it replaces
+  // any giveaway with the same name that we already know about.
   socket.on("giveaway-info", data => {
     // console.log('giveaway-info', data);
 
+    if (Object.keys(data).length === 0) {
+      giveaways = {};
+    } else {
+      Object.values(giveaways)
+            .filter(entry => entry.name === data.name && entry.id !== data.id)
+            .forEach(entry => delete giveaways[entry.id]);
+      giveaways[data.id] = data;
+    }
+
     // Use this information to set the information for the giveaway we're
-    // tracking and update the controls as appropriate.
+    // tracking and update the controls as appropriate; the panel follows the
+    // giveaway that we were most recently told about.
+    populateGiveawaySelect();
     setGiveawayInformation(data);
   });
 
@@ -592,9 +1357,51 @@ async function setup() {
   socket.on("giveaway-tick", data => {
     // console.log('giveaway-tick', data);
 
-    // Use this information to see how the state is changing and update as
-    // appropriate.
-    handleGiveawayTick(data);
+    // Keep our copy of the giveaway up to date, and update how it appears in
+    // the list of giveaways in case its state changed.
+    giveaways[data.id] = data;
+    const option = [...giveawaySel.options].find(entry => entry.value === data.id);
+    if (option !== undefined) {
+      option.text = giveawayOptionText(data);
+    }
+
+    // If this is the giveaway that the panel is controlling, use this
+    // information to see how the state is changing and update as appropriate.
+    if (data.id === giveaway.id) {
+      handleGiveawayTick(data);
+    }
+  });
+
+  // This event fires whenever a prize drawing is held for a giveaway; we
+  // remember the result, and display who won if it's the giveaway that the
+  // panel is controlling, so that the streamer can see the result.
+  socket.on("giveaway-winner", data => {
+    // console.log('giveaway-winner', data);
+
+    if (giveaways[data.giveawayId] !== undefined) {
+      giveaways[data.giveawayId].drawSeed = data.seed;
+      giveaways[data.giveawayId].winners = JSON.stringify(data.winners);
+    }
+
+    if (data.giveawayId === giveaway.id) {
+      displayDrawResults(data);
+    }
+  });
+
+  // This event fires whenever the queue of scheduled giveaways changes, and
+  // carries the complete list of giveaways that are still waiting to start.
+  socket.on("giveaway-schedule", data => {
+    // console.log('giveaway-schedule', data);
+
+    displaySchedule(data);
+  });
+
+  // This event fires whenever the actions that are taken for channel point
+  // rewards change, and carries the complete list of them.
+  socket.on("reward-actions", data => {
+    // console.log('reward-actions', data);
+
+    displayRewardActions(data);
   });
 
   // Handle an incoming notification of bits and subs being broadcast from the
@@ -3,7 +3,7 @@
 
 const getConfig = require('../../common/js/config');
 const { getWebSocket } = require('../../common/js/websocket');
-const { remainingDuration, giveawayRunning } = require('../../common/js/utils');
+const { remainingDuration, giveawayRunning, giveawaySelected, applySubsView } = require('../../common/js/utils');
 
 const humanize = require("humanize-duration").humanizer({
   language: "shortEn",
@@ -31,16 +31,45 @@ const domParser = new DOMParser();
 /* The header that contains the current countdown duration text. */
 const countdownTxt = document.getElementById('countdown-clock');
 
-/* The overall divs that contain the leaderboards for subs and bits; these
- * elements are what will contain the overall divs that represent the contents
- * of the leaderboards in the panel. */
+/* The overall divs that contain the leaderboards for subs, bits and channel
+ * points; these elements are what will contain the overall divs that represent
+ * the contents of the leaderboards in the panel. */
 const subListBox = document.getElementById('sub-list');
 const bitListBox = document.getElementById('bit-list');
+const pointListBox = document.getElementById('point-list');
 
 /* These the spans inside of the title div elements for each of the leaderboard
  * titles, which we can use to indicate how many people are in each list. */
 const subCountListBox = document.getElementById('sub-board-count');
 const bitCountListBox = document.getElementById('bit-board-count');
+const pointCountListBox = document.getElementById('point-board-count');
+
+/* The channel point leaderboard is optional, and only displayed when it is
+ * configured to show at least one person. */
+const gifterPointsBox = document.getElementById('gifters-points');
+
+/* The button that flips the sub leaderboard between ranking people by the raw
+ * number of subs they gifted and the weighted value of those subs. */
+const subsViewBtn = document.getElementById('subs-view-btn');
+
+/* The view that the sub leaderboard is currently using ('raw' or 'weighted')
+ * and the most recent update to the sub leaderboard, so that it can be
+ * displayed again when the view changes. */
+let subsView = 'weighted';
+let subsUpdate = [];
+
+/* The container for the links that download the results of the giveaway, and
+ * the links themselves; these are only visible when there's a giveaway. */
+const exportBox = document.getElementById('export-container');
+const exportCsvLink = document.getElementById('export-csv-link');
+const exportJsonLink = document.getElementById('export-json-link');
+
+/* Several giveaways can run at the same time; adding ?giveaway= with either the
+ * ID or the name of a giveaway to the URL selects which one is displayed. When
+ * not given, the page follows whichever giveaway started most recently. The
+ * ID of the giveaway being displayed (if any) is tracked alongside. */
+const giveawaySelection = new URLSearchParams(location.search).get('giveaway');
+let giveawayId = undefined;
 
 
 // =============================================================================
@@ -60,6 +89,24 @@ function divForGifter(gifter) {
 // =============================================================================
 
 
+/* Update the links that download the results of a giveaway so that they refer
+ * to the giveaway provided; if the giveaway is empty, the links are hidden
+ * since there's nothing to download. */
+function updateExportLinks(giveaway) {
+  if (Object.keys(giveaway).length === 0) {
+    exportBox.classList.add('hidden');
+    return;
+  }
+
+  exportCsvLink.href = '/giveaway/export?' + new URLSearchParams({ id: giveaway.id, format: 'csv' });
+  exportJsonLink.href = '/giveaway/export?' + new URLSearchParams({ id: giveaway.id, format: 'json' });
+  exportBox.classList.remove('hidden');
+}
+
+
+// =============================================================================
+
+
 /* This handles an authorization event update from the back end, which tells us
  * when a user either authorizes the panel or removes existing authorization.
  *
@@ -77,11 +124,14 @@ function handleAuthUpdate(authData) {
   // reset, since the user is no longer authorized.
   bitListBox.innerHTML = '';
   subListBox.innerHTML = '';
+  pointListBox.innerHTML = '';
   bitCountListBox.innerText = '';
   subCountListBox.innerText = '';
+  pointCountListBox.innerText = '';
 
   countdownTxt.innerText = 'No giveaway yet; hold tight!';
   countdownTxt.classList.remove('pause');
+  updateExportLinks({});
 }
 
 
@@ -99,6 +149,10 @@ function setGiveawayInformation(giveaway) {
   // giveaway is actually paused.
   countdownTxt.classList.remove('pause');
 
+  // The results of whatever giveaway we were told about can be downloaded,
+  // whether it's still running or not.
+  updateExportLinks(giveaway);
+
   // If the object that we got is empty, then there's no information on any
   // particular giveaway, either past or present. In that case the remaining
   // duration should say that there's not any giveaway yet.
@@ -159,9 +213,9 @@ function handleGiveawayTick(giveaway) {
 
 
 /* This handles an update from the back end telling us that the participants in
- * one of the leaderboards has changed. This can trigger for both bits and subs
- * and both are handled the same way other than being visualized in different
- * containers in the page.
+ * one of the leaderboards has changed. This can trigger for bits, subs and
+ * channel points, and all are handled the same way other than being visualized
+ * in different containers in the page.
  *
  * We don't store this information, so this just causes a direct update to the
  * content of the panel with the given update data. */
@@ -180,14 +234,25 @@ function handleParticipantUpdate(config, eventName, updateData) {
       break;
 
     case 'subs':
+      subsUpdate = updateData;
       subListBox.innerHTML = '';
       subCountListBox.innerText = ` (${updateData.length})`;
 
-      updateData.forEach(gifter => {
+      applySubsView(updateData, subsView).forEach(gifter => {
         const div = divForGifter({ name: gifter.name, score: gifter.score });
         subListBox.appendChild(div);
       });
       break;
+
+    case 'points':
+      pointListBox.innerHTML = '';
+      pointCountListBox.innerText = ` (${updateData.length})`;
+
+      updateData.forEach(gifter => {
+        const div = divForGifter({ name: gifter.name, score: gifter.score });
+        pointListBox.appendChild(div);
+      });
+      break;
   }
 }
 
@@ -195,6 +260,19 @@ function handleParticipantUpdate(config, eventName, updateData) {
 // =============================================================================
 
 
+/* Set the view that the sub leaderboard uses to rank people, which is either
+ * 'raw' or 'weighted', and display the most recent update again using it. */
+function setSubsView(config, view) {
+  subsView = (view === 'raw') ? 'raw' : 'weighted';
+  subsViewBtn.innerText = (subsView === 'raw') ? 'Show Weighted Sub Values' : 'Show Raw Sub Counts';
+
+  handleParticipantUpdate(config, 'subs', subsUpdate);
+}
+
+
+// =============================================================================
+
+
 /* Set up everything in the panel. This initializes the state of everything,
  * ensures that we're connected to the back end socket server, and sets up the
  * appropriate handlers for knowing when key events occur. */
@@ -204,6 +282,17 @@ async function setup() {
   const config = await getConfig();
   const socket = getWebSocket(location.hostname, config.socketPort, 'results');
 
+  // Only display the channel point leaderboard if it's turned on.
+  if (config.pointsLeadersCount !== 0) {
+    gifterPointsBox.classList.remove('hidden');
+  }
+
+  // The sub leaderboard starts in the view given in the URL (?subs=raw or
+  // ?subs=weighted) or the one configured in the back end if not given; the
+  // button flips between them.
+  setSubsView(config, new URLSearchParams(location.search).get('subs') || config.subsView);
+  subsViewBtn.addEventListener('click', () => setSubsView(config, subsView === 'raw' ? 'weighted' : 'raw'));
+
   // This event triggers whenever the authorization state changes in the overlay
   // to either say someone is authorized, or remove their authorization and go
   // back to a default state.
@@ -224,18 +313,29 @@ async function setup() {
   socket.on("giveaway-info", data => {
     console.log('giveaway-info', data);
 
+    // Information on giveaways other than the one we were asked to display is
+    // not of interest to us; an empty object always is, since it means that
+    // there are no giveaways at all.
+    if (Object.keys(data).length !== 0 && giveawaySelected(giveawaySelection, data) === false) {
+      return;
+    }
+
     // Use this information to set the information for the giveaway we're
     // tracking and update the display as appropriate.
+    giveawayId = data.id;
     setGiveawayInformation(data);
   });
 
   // This event triggers whenever any state changes in a giveaway that we have
   // been told about in a giveawy-info event, such as time expiring, the
-  // giveaway ending, pause, resume or cancel, etc.
+  // giveaway ending, pause, resume or cancel, etc; we only care about the one
+  // that we're displaying.
   socket.on("giveaway-tick", data => {
     // console.log('giveaway-tick', data);
 
-    handleGiveawayTick(data);
+    if (data.id === giveawayId) {
+      handleGiveawayTick(data);
+    }
   });
 
   // The events that track updates to the bits and subs leaderboard data always
@@ -244,9 +344,17 @@ async function setup() {
   // or a new fresh giveaway just started.
   //
   // For our purposes here, we handle these events by just throwing away
-  // everything we've seen in that leaderboard and populating it fresh.
-  socket.on('leaderboard-bits-update', data => handleParticipantUpdate(config, 'bits', data));
-  socket.on('leaderboard-subs-update', data => handleParticipantUpdate(config, 'subs', data));
+  // everything we've seen in that leaderboard and populating it fresh. Updates
+  // for giveaways other than the one being displayed are ignored; an update
+  // with no giveaway ID means that there are no giveaways at all.
+  const leaderboardUpdate = (eventName, data, updateId) => {
+    if (updateId === undefined || updateId === giveawayId) {
+      handleParticipantUpdate(config, eventName, data);
+    }
+  };
+  socket.on('leaderboard-bits-update', (data, updateId) => leaderboardUpdate('bits', data, updateId));
+  socket.on('leaderboard-subs-update', (data, updateId) => leaderboardUpdate('subs', data, updateId));
+  socket.on('leaderboard-points-update', (data, updateId) => leaderboardUpdate('points', data, updateId));
 }
 
 
@@ -20,6 +20,8 @@ const sGifter = document.getElementById('sub-gifter');
 const sSubCount = document.getElementById('sub-amount');
 const sStrigger = document.getElementById('sub-test');
 const sGift = document.getElementById('sub-is-gift');
+const sTier = document.getElementById('sub-tier');
+const sMonths = document.getElementById('sub-months');
 
 
 // =============================================================================
@@ -102,13 +104,17 @@ async function setup() {
     // will force itself to be a single if this isn't a gift sub.
     const count = isGift ? Math.trunc(sSubCount.value) : 1;
 
+    // How many months does each gift cover? This is always 1 for subs that are
+    // not gifts.
+    const months = isGift ? (Math.trunc(sMonths.value) || 1) : 1;
+
     await Promise.all(Array(count)
       .fill(null).map(
           () => window.fetch('/test/subs', {
             method: 'post',
             body: JSON.stringify({
               cumulativeMonths: 1,
-              giftDuration: isGift ? 1 : null,
+              giftDuration: isGift ? months : null,
               gifterDisplayName: gifter.displayName,
               gifterId: gifter.userId,
               gifterName: gifter.userName,
@@ -118,7 +124,7 @@ async function setup() {
               message: null,
               months: 1,
               streakMonths: 0,
-              subPlan: 1000,
+              subPlan: sTier.value,
               time: new Date(),
               userDisplayName: giftee.displayName,
               userId: giftee.userId,
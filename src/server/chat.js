@@ -5,7 +5,8 @@ const { config } = require('./config');
 
 const { ChatClient } = require('@twurple/chat');
 const { CommandParser } = require('./cmd_parser.js');
-const { drop_cmd, cut_cmd, abdicate_cmd } = require('./drop_commands.js');
+const { registerCommand, findCommand, commandPermitted, availableCommands } = require('./commands');
+const { cooldownRemaining, startCooldown } = require('./cooldowns');
 
 
 // =============================================================================
@@ -31,13 +32,56 @@ let chat = {
 const cmdParser = new CommandParser();
 
 
-/* This maps the list of commands that we know how to respond to in chat to the
- * handler functions that know how to invoke them. */
-const cmd_map = {
-  '!drop': drop_cmd,
-  '!cut': cut_cmd,
-  '!abdicate': abdicate_cmd,
-};
+/* People use command prefixes for all sorts of things (including the commands
+ * of other bots in the channel), so rather than logging every unknown command
+ * that we see, each one is logged at most once per this many milliseconds,
+ * along with how many times it was seen in between. This tracks, for each
+ * unknown command, when it was last logged and how often it's been seen since
+ * then. */
+const unknownLogInterval = 10 * 60 * 1000;
+const unknownCommands = {};
+
+
+// =============================================================================
+
+
+/* Make a note that someone used a command that we don't know; this is logged,
+ * but only occasionally for any particular command, so that the log doesn't
+ * fill up with them. */
+function noteUnknownCommand(name) {
+  const now = Date.now();
+  const entry = unknownCommands[name] = unknownCommands[name] || { lastLogged: 0, count: 0 };
+
+  entry.count++;
+  if (now - entry.lastLogged >= unknownLogInterval) {
+    console.log(`* ignoring unknown command '${name}' (seen ${entry.count} time(s) since last noted)`);
+    entry.lastLogged = now;
+    entry.count = 0;
+  }
+}
+
+
+// =============================================================================
+
+
+/* Handle the !help command, which tells the user that invokes it what commands
+ * they're allowed to use; when it's given the name of a command, it instead
+ * says what that command does and how to use it. */
+function help_cmd(cmd, userInfo) {
+  if (cmd.words.length !== 0) {
+    const name = cmd.words[0].startsWith('!') ? cmd.words[0] : `!${cmd.words[0]}`;
+    const command = findCommand(name);
+    if (command === undefined || commandPermitted(command, userInfo) === false) {
+      return chatSay(`There is no ${name} command that you can use`, cmd.rawMsg);
+    }
+
+    const aliases = (command.aliases.length !== 0) ? ` (also ${command.aliases.join(', ')})` : '';
+    return chatSay(`${command.name} ${command.usage}`.trim() + `${aliases}: ${command.description}`, cmd.rawMsg);
+  }
+
+  const names = availableCommands(userInfo).map(command => command.name);
+  chatSay(`Commands you can use: ${names.join(', ')}; use !help <command> for details`, cmd.rawMsg);
+}
 
 
 // =============================================================================
@@ -45,8 +89,11 @@ const cmd_map = {
 
 /* This will do the work necessary to connect the back end system to the Twitch
  * channel of the currently authorized user. We set up a couple of simple event
- * listeners here to allow us to monitor the system. */
-async function enterTwitchChat(twitch) {
+ * listeners here to allow us to monitor the system.
+ *
+ * Every message that is seen in the chat is broadcast over the event bridge
+ * provided as a 'chat-message' event, whether or not it's a command. */
+async function enterTwitchChat(twitch, bridge) {
   // If we've already set up Twitch chat or haven't set up Twitch access, we
   // can't proceed.
   if (chat.client !== undefined || twitch.authProvider === undefined) {
@@ -74,6 +121,7 @@ async function enterTwitchChat(twitch) {
   chat.listeners = [
     chat.client.onMessage((channel, user, message, rawMsg) => {
       console.log(`${channel}:<${user}> ${message}`);
+      bridge.emit('chat-message', { channel, user, message, rawMsg });
 
       // Parse the message to see if it looks like it might be a command.
       const details = cmdParser.parse(message, channel, rawMsg);
@@ -82,13 +130,50 @@ async function enterTwitchChat(twitch) {
       }
 
       // console.log(details);
-      const handler = cmd_map[details.name];
-      if (handler === undefined) {
-        console.log(`* ignoring unknown command '${details.name}`);
+      const command = findCommand(details.name);
+      if (command === undefined) {
+        noteUnknownCommand(details.name);
+        return;
+      }
+
+      // Commands can only be used by people that have permission.
+      if (commandPermitted(command, rawMsg.userInfo) === false) {
+        console.log(`* ignoring '${details.name}' from ${user}; not permitted`);
+        return;
+      }
+
+      // Commands that declare a schema for their parameters have them checked
+      // and converted; a command that can't be parsed is replied to with the
+      // problem and how to use the command. Commands without a schema take
+      // whatever they're given.
+      const error = (command.params !== undefined) ? cmdParser.validate(details, command.params) : undefined;
+      if (error !== undefined) {
+        console.log(`* rejecting '${details.name}' from ${user}; ${error.message}`);
+        chatSay(`${error.message}; usage: ${command.name} ${command.usage}`.trim(), rawMsg);
+        return;
+      }
+
+      // Commands that are still on cooldown are ignored, optionally letting
+      // the user know how long they need to wait; otherwise, using the
+      // command starts the cooldown.
+      const cooldown = config.get('commands.cooldowns')[command.name] || {};
+      const remaining = cooldownRemaining(command.name, rawMsg.userInfo.userId);
+      if (remaining !== 0) {
+        console.log(`* ignoring '${details.name}' from ${user}; on cooldown`);
+        if (cooldown.reply === true) {
+          chatSay(config.get('commands.cooldownText')
+                    .replace('%COMMAND%', details.name)
+                    .replace('%REMAINING%', `${Math.ceil(remaining / 1000)}s`), rawMsg);
+        }
         return;
       }
+      startCooldown(command.name, cooldown, rawMsg.userInfo.userId);
 
-      handler(details, rawMsg.userInfo)
+      // Handlers may or may not be async; either way, a handler that fails
+      // should only cost that one command, not the whole server.
+      Promise.resolve()
+        .then(() => command.handler(details, rawMsg.userInfo))
+        .catch(err => console.log(`* error while handling '${details.name}' from ${user}: ${err}`));
     }),
 
     // Display a notification when the chat connects,.
@@ -224,9 +309,17 @@ async function chatAnnounce(text) {
 /* This sets up our Twitch chat functionality by listening for events that are
  * broadcast from the Twitch subsystem over the provided event bridge, reacting
  * to a user being authorized or unauthorized by either entering or leaving
- * the chat, as appropriate. */
+ * the chat, as appropriate. The built in commands are also registered. */
 function setupTwitchChat(bridge) {
-  bridge.on('twitch-authorize', twitch => enterTwitchChat(twitch));
+  registerCommand({
+    name: '!help',
+    aliases: ['!commands'],
+    description: 'Lists the commands that you can use, or describes one of them',
+    usage: '[command]',
+    handler: help_cmd
+  });
+
+  bridge.on('twitch-authorize', twitch => enterTwitchChat(twitch, bridge));
   bridge.on('twitch-deauthorize', twitch => leaveTwitchChat(twitch));
 }
 
@@ -1,6 +1,13 @@
 // =============================================================================
 
 
+// For parsing parameters that are durations
+const parse = require('parse-duration').default;
+
+
+// =============================================================================
+
+
 /* The list of characters which are valid to start a command; these are the
  * characters which are less likely to be used as the start of the first word
  * in any message. */
@@ -20,6 +27,33 @@ function isValidCmdName(name) {
 // =============================================================================
 
 
+/* This class describes a problem that was found while parsing a command, such
+ * that the command can't be run; it contains a code that says what kind of
+ * problem it was, the name of the parameter that the problem is with (if any)
+ * and a message that is suitable for replying to the user with.
+ *
+ * The codes are:
+ *   - 'unterminated-quote'  a quoted value was never closed
+ *   - 'unknown-param'       a parameter that the command doesn't take was given
+ *   - 'missing-param'       a required parameter was not given
+ *   - 'invalid-value'       a parameter has a value that is not valid for its
+ *                           type */
+class CommandError {
+    code;
+    param;
+    message;
+
+    constructor(code, param, message) {
+      this.code = code;
+      this.param = param;
+      this.message = message;
+    }
+}
+
+
+// =============================================================================
+
+
 /* This class wraps the results of parsing an incoming Twitch message from the
  * chat into a command and it's arguments.
  *
@@ -45,10 +79,18 @@ class CommandDetails {
     name;
 
     // The parameters to the command stored as a Map, which are specified as
-    // key=value pairs at the start of the incoming text. If name is the empty
-    // string, this map will be empty.
+    // key=value pairs (where the value may be quoted) and --flag switches at
+    // the start of the incoming text; flags have a value of true. If name is
+    // the empty string, this map will be empty.
+    //
+    // Once the parameters have been validated against a schema, their values
+    // are converted into the types that the schema says they are.
     params;
 
+    // If there was a problem parsing the command, this is a CommandError that
+    // describes it; otherwise this is undefined.
+    error;
+
     // The channel the command was invoked inside of.
     channel;
 
@@ -57,10 +99,11 @@ class CommandDetails {
     // bits and emotes used in the message.
     rawMsg;
 
-    constructor(line, name, params, text, words, channel, rawMsg) {
+    constructor(line, name, params, text, words, channel, rawMsg, error) {
       this.line = line;
       this.name = name;
       this.params = params;
+      this.error = error;
 
       this.channel = undefined;
       this.rawMsg = undefined;
@@ -77,6 +120,137 @@ class CommandDetails {
 // =============================================================================
 
 
+/* Split the given text up into tokens, which are separated from each other by
+ * whitespace. Double quotes can be used to include whitespace in a token, and
+ * a backslash can be used to include a literal quote (or backslash) in one;
+ * the quotes themselves are not a part of the token. This allows for tokens
+ * like: title="Big Drop".
+ *
+ * The return value is an object that contains the list of tokens and, for each
+ * one, the offset in the text at which it started; if a quote is not closed,
+ * the object also contains a CommandError that says so. */
+function tokenize(text) {
+  const tokens = [];
+  const offsets = [];
+
+  let token = undefined;
+  let inQuote = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+
+    // Outside of quotes, whitespace ends the current token, if any.
+    if (inQuote === false && /\s/.test(ch)) {
+      if (token !== undefined) {
+        tokens.push(token);
+        token = undefined;
+      }
+      continue;
+    }
+
+    if (token === undefined) {
+      token = '';
+      offsets.push(i);
+    }
+
+    if (ch === '\\' && (text[i + 1] === '"' || text[i + 1] === '\\')) {
+      token += text[++i];
+    } else if (ch === '"') {
+      inQuote = !inQuote;
+    } else {
+      token += ch;
+    }
+  }
+
+  if (token !== undefined) {
+    tokens.push(token);
+  }
+
+  const error = inQuote ? new CommandError('unterminated-quote', undefined, 'a quoted value is missing its closing quote') : undefined;
+  return { tokens, offsets, error };
+}
+
+
+// =============================================================================
+
+
+/* Given the name of a parameter, the schema entry for it and the text value
+ * that it was given (or true for a flag), return back the value converted to
+ * the type in the schema, or a CommandError if the value is not valid.
+ *
+ * The types are:
+ *   - 'string'    the value is used as is; this is the default
+ *   - 'int'       a whole number, optionally limited by a min and max
+ *   - 'duration'  a duration like 1h30m, converted to milliseconds; it can only
+ *                 be negative (-15m) if the schema says that it's signed
+ *   - 'username'  a Twitch user name, with any leading @ removed, lowercased
+ *   - 'enum'      one of the given values (case does not matter)
+ *   - 'flag'      a boolean; given as --name, or as name=true or name=false */
+function convertParam(name, schema, value) {
+  const invalid = reason => new CommandError('invalid-value', name, `${name} ${reason}`);
+
+  // Only flags can be given as a switch with no value.
+  if (value === true && schema.type !== 'flag') {
+    return invalid('needs a value');
+  }
+
+  switch (schema.type || 'string') {
+    case 'string':
+      return value;
+
+    case 'int': {
+      const number = /^-?\d+$/.test(value) ? parseInt(value, 10) : NaN;
+      if (isNaN(number) || number < (schema.min ?? -Infinity) || number > (schema.max ?? Infinity)) {
+        const range = (schema.min !== undefined && schema.max !== undefined) ? ` from ${schema.min} to ${schema.max}`
+                    : (schema.min !== undefined) ? ` of ${schema.min} or more`
+                    : (schema.max !== undefined) ? ` of ${schema.max} or less` : '';
+        return invalid(`must be a whole number${range}`);
+      }
+      return number;
+    }
+
+    case 'duration': {
+      const duration = parse(value);
+      if (duration === null || duration === undefined || (duration < 0 && schema.signed !== true)) {
+        return invalid('must be a duration, like 30s or 1h30m');
+      }
+      return duration;
+    }
+
+    case 'username': {
+      const userName = value.replace(/^@/, '');
+      if (/^[a-zA-Z0-9_]{1,25}$/.test(userName) === false) {
+        return invalid('must be a Twitch user name');
+      }
+      return userName.toLowerCase();
+    }
+
+    case 'enum': {
+      const match = schema.values.find(entry => entry.toLowerCase() === value.toLowerCase());
+      if (match === undefined) {
+        return invalid(`must be one of: ${schema.values.join(', ')}`);
+      }
+      return match;
+    }
+
+    case 'flag':
+      if (value === true || value.toLowerCase() === 'true') {
+        return true;
+      }
+      if (value.toLowerCase() === 'false') {
+        return false;
+      }
+      return invalid('must be true or false');
+
+    default:
+      throw new Error(`unknown parameter type '${schema.type}' for ${name}`);
+  }
+}
+
+
+// =============================================================================
+
+
 /* Parse an incoming chat message into a potential command, it's arguments and
  * the remaining trailing text.
  *
@@ -85,13 +259,17 @@ class CommandDetails {
  * be considered just a line of normal text.
  *
  * The command may take any number of optional parameters in the form of
- * 'parm=value'; these must all occur immediately after the command name and be
- * separated from each other with whitespace.
+ * 'parm=value' (where the value can be quoted to include spaces) or '--flag';
+ * these must all occur immediately after the command name and be separated
+ * from each other with whitespace.
  *
  * Everything following the command name and the optional parameters is
  * considered to be the trailing text, and is provided both as a single string
  * of text as well as that same text split into words, since this is a common
- * requirement of a command. */
+ * requirement of a command; quoted words in the text are kept together.
+ *
+ * Commands can declare a schema for their parameters, which validate() uses to
+ * check and convert them. */
 class CommandParser {
     constructor() {
     }
@@ -103,31 +281,123 @@ class CommandParser {
      * details object will not contain any parameters or a command name, making
      * it easy to detect this situation. */
     parse(message, channel, rawMsg) {
-      // Tokenize the original message into words. The first word is the name
-      // of the command, and the remainder are potential arguments.
-      let [name, ...parts] = message.split(/ +/).map(s => s.trim()).filter(s => s !== '');
+      // Lines that don't start with a valid command prefix are just text; for
+      // them, the words are split on whitespace with no regard for quotes.
+      const words = message.split(/\s+/).filter(s => s !== '');
       const params = new Map();
 
-      // If the name of the command has a valid prefix, parse the potential
-      // arguments out of the incoming parts of the text.
-      //
-      // When the command has no valid prefix, put it back into the parts
-      // array and turn it into the empty string.
-      if (name !== undefined && isValidCmdName(name) === true) {
-        // As long as the first word in the parts list is a potential key/value
-        // pair, remove it and add it to the parameter list.
+      if (words.length === 0 || isValidCmdName(words[0]) === false) {
+        return new CommandDetails(message, '', params, words.join(' '), words, channel, rawMsg);
+      }
+
+      // Tokenize the original message into words, respecting quotes. The first
+      // word is the name of the command, and the remainder are potential
+      // arguments.
+      const { tokens, offsets, error } = tokenize(message);
+
+      // If the quotes don't match up, the message is split on whitespace with
+      // the quotes left as they are, the way that all commands used to be;
+      // commands without a schema accept this, while the error stops those
+      // that have one.
+      if (error !== undefined) {
+        const [name, ...parts] = words;
         while (parts.length !== 0 && parts[0].indexOf('=') !== -1) {
           const [key, ...value] = parts.shift().split('=');
           params.set(key, value.join('='));
         }
-      } else {
-        // The command does not have a valid prefix; put the command name
-        // back into the parts list and redact it.
-        parts.splice(0, 0, name);
-        name = '';
+
+        return new CommandDetails(message, name, params, parts.join(' '), parts, channel, rawMsg, error);
+      }
+
+      const [name, ...parts] = tokens;
+      offsets.shift();
+
+      // As long as the first word in the parts list is a potential key/value
+      // pair or a flag, remove it and add it to the parameter list. A key is
+      // only recognized if the equals sign comes before any quotes.
+      while (parts.length !== 0) {
+        const raw = message.substring(offsets[0]);
+        if (/^--[^\s="]+(\s|$)/.test(raw)) {
+          params.set(parts.shift().substring(2), true);
+        } else if (/^[^\s="]+=/.test(raw)) {
+          const [key, ...value] = parts.shift().split('=');
+          params.set(key, value.join('='));
+        } else {
+          break;
+        }
+        offsets.shift();
+      }
+
+      // The text is whatever follows the parameters, as it appeared in the
+      // original message.
+      const text = (offsets.length !== 0) ? message.substring(offsets[0]).trim() : '';
+      return new CommandDetails(message, name, params, text, parts, channel, rawMsg, error);
+    }
+
+    /* Validate the parameters in the provided command details against the
+     * given schema, which is an object whose keys are the names of the
+     * parameters that the command takes; each value is an object with the
+     * type of the parameter (see convertParam()) along with anything that the
+     * type needs, and optionally whether the parameter is required and a
+     * default value to use if it's not given.
+     *
+     * A parameter with a position can also be given as the word at that
+     * position in the trailing text, when it's not given as key=value; such
+     * words are removed from the words and text of the details. The schema
+     * can also be a function that is given the details and returns the schema,
+     * for commands whose parameters depend on what the command is doing.
+     *
+     * The parameters in the details are replaced with their converted values
+     * (including defaults). The return value is undefined if everything is
+     * valid, or a CommandError that says what the problem is; the error is
+     * also stored in the details. */
+    validate(details, schema) {
+      if (details.error !== undefined) {
+        return details.error;
+      }
+
+      const fail = error => details.error = error;
+
+      if (typeof schema === 'function') {
+        schema = schema(details);
+      }
+
+      const unknown = [...details.params.keys()].find(key => schema[key] === undefined);
+      if (unknown !== undefined) {
+        return fail(new CommandError('unknown-param', unknown, `unknown parameter ${unknown}`));
+      }
+
+      // Pull out the words for any positional parameters that weren't given by
+      // name; the positions are those of the words before any are removed.
+      const positional = Object.entries(schema).filter(([key, entry]) => entry.position !== undefined &&
+                                                                          details.params.has(key) === false &&
+                                                                          entry.position < details.words.length);
+      positional.forEach(([key, entry]) => details.params.set(key, details.words[entry.position]));
+      if (positional.length !== 0) {
+        const used = positional.map(([key, entry]) => entry.position);
+        details.words = details.words.filter((word, index) => used.includes(index) === false);
+        details.text = details.words.join(' ');
+      }
+
+      for (const [key, entry] of Object.entries(schema)) {
+        if (details.params.has(key) === false) {
+          if (entry.required === true) {
+            return fail(new CommandError('missing-param', key, `${key} is required`));
+          }
+          if (entry.default !== undefined) {
+            details.params.set(key, entry.default);
+          }
+          continue;
+        }
+
+        const value = convertParam(key, entry, details.params.get(key));
+        if (value instanceof CommandError) {
+          return fail(value);
+        }
+        details.params.set(key, value);
       }
 
-      return new CommandDetails(message, name, params, parts.join(' '), parts, channel, rawMsg);
+      return undefined;
     }
 }
 
@@ -136,6 +406,7 @@ class CommandParser {
 
 
 module.exports = {
+  CommandError,
   CommandDetails,
   CommandParser
 };
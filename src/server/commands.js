@@ -0,0 +1,120 @@
+// =============================================================================
+
+
+const { config } = require('./config');
+const { hasPermission } = require('./permissions');
+
+
+// =============================================================================
+
+
+/* The registry of all of the commands that we know how to respond to in chat,
+ * keyed by the name of the command, and the aliases of those commands, which
+ * map each alias to the name of the command that it's an alias for. */
+const commands = {};
+const aliases = {};
+
+
+// =============================================================================
+
+
+/* Register a new command that can be used in chat, which replaces any existing
+ * command with the same name. The command is an object that contains:
+ *   - name         the name of the command, including the prefix ('!drop')
+ *   - aliases      an optional list of other names for the command
+ *   - description  a short description of what the command does
+ *   - usage        an optional string that shows the arguments the command
+ *                  takes ('<duration> [name]')
+ *   - params       an optional schema for the key=value, --flag and positional
+ *                  parameters that the command takes, which they are
+ *                  validated against and converted with before the handler is
+ *                  invoked; see CommandParser.validate()
+ *   - role         the minimum role that a user needs in order to use the
+ *                  command; defaults to everyone, and can be changed in the
+ *                  config
+ *   - handler      the function that handles the command; it's invoked with
+ *                  the details of the command and the user that invoked it
+ *   - custom       an optional flag that marks the command as one that was
+ *                  defined by the user at runtime, rather than built in
+ *
+ * This allows any part of the system to provide chat commands without the chat
+ * system needing to know about them. */
+function registerCommand(command) {
+  const entry = {
+    aliases: [],
+    usage: '',
+    role: 'everyone',
+    ...command
+  };
+
+  commands[entry.name] = entry;
+  entry.aliases.forEach(alias => aliases[alias] = entry.name);
+}
+
+
+// =============================================================================
+
+
+/* Remove the command with the given name from the registry, along with all of
+ * its aliases; this does nothing if there is no such command. */
+function unregisterCommand(name) {
+  const command = commands[name];
+  if (command === undefined) {
+    return;
+  }
+
+  command.aliases.forEach(alias => delete aliases[alias]);
+  delete commands[name];
+}
+
+
+// =============================================================================
+
+
+/* Given the name of a command as it was used in chat, return back the command
+ * that it refers to, which may be through an alias; the return value is
+ * undefined if there is no such command. */
+function findCommand(name) {
+  return commands[aliases[name] || name];
+}
+
+
+// =============================================================================
+
+
+/* Given a command and the Twurple ChatUser information of someone that is
+ * trying to use it, return back an indication of whether they are allowed to.
+ * The permissions in the config for the command (if any) take precedence over
+ * the ones that it was registered with. */
+function commandPermitted(command, userInfo) {
+  const permission = {
+    role: command.role,
+    ...config.get('commands.permissions')[command.name]
+  };
+
+  return hasPermission(permission, userInfo);
+}
+
+
+// =============================================================================
+
+
+/* Given the Twurple ChatUser information for someone in the chat, return back
+ * the list of commands that they are allowed to use, sorted by name. */
+function availableCommands(userInfo) {
+  return Object.values(commands)
+               .filter(command => commandPermitted(command, userInfo))
+               .sort((left, right) => left.name.localeCompare(right.name));
+}
+
+
+// =============================================================================
+
+
+module.exports = {
+  registerCommand,
+  unregisterCommand,
+  findCommand,
+  commandPermitted,
+  availableCommands,
+}
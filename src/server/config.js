@@ -6,6 +6,7 @@ const json5 = require('json5');
 const path = require('path');
 
 const { existsSync } = require('fs');
+const { roles } = require('./permissions');
 
 // Tell convict about json5 so that our configuration file can have comments in
 // it without the parser taking a dump on our heads.
@@ -47,6 +48,80 @@ const required_len_32 = value => {
 // =============================================================================
 
 
+/* This handler verifies that the value provided is a valid set of chat command
+ * permissions; this is an object whose keys are the names of commands and whose
+ * values are objects with an optional role (one of the known roles) and
+ * optional allow and deny lists of user names. */
+const command_permissions = value => {
+  if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+    throw new Error('Command permissions must be an object keyed by command name');
+  }
+
+  for (const [name, permission] of Object.entries(value)) {
+    if (permission.role !== undefined && roles.includes(permission.role) === false) {
+      throw new Error(`The role for ${name} must be one of: ${roles.join(', ')}`);
+    }
+    for (const list of ['allow', 'deny']) {
+      if (permission[list] !== undefined && Array.isArray(permission[list]) === false) {
+        throw new Error(`The ${list} list for ${name} must be an array of user names`);
+      }
+    }
+  }
+}
+
+
+// =============================================================================
+
+
+/* This handler verifies that the value provided is a valid set of chat command
+ * cooldowns; this is an object whose keys are the names of commands and whose
+ * values are objects with an optional per user and global cooldown in seconds
+ * and an optional flag that says if the bot should reply when the command is
+ * used while it is on cooldown. */
+const command_cooldowns = value => {
+  if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+    throw new Error('Command cooldowns must be an object keyed by command name');
+  }
+
+  for (const [name, cooldown] of Object.entries(value)) {
+    for (const field of ['user', 'global']) {
+      if (cooldown[field] !== undefined && (typeof cooldown[field] !== 'number' || cooldown[field] < 0)) {
+        throw new Error(`The ${field} cooldown for ${name} must be a number of seconds that is 0 or more`);
+      }
+    }
+    if (cooldown.reply !== undefined && typeof cooldown.reply !== 'boolean') {
+      throw new Error(`The reply flag for ${name} must be true or false`);
+    }
+  }
+}
+
+
+// =============================================================================
+
+
+/* This handler verifies that the value provided is a valid set of channel point
+ * redemption rules; this is an object whose keys are the IDs of rewards and
+ * whose values are objects with optional flags that say if redemptions of that
+ * reward should be marked as fulfilled when they're handled, and refunded when
+ * they can't be. */
+const redemption_rules = value => {
+  if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+    throw new Error('Redemption rules must be an object keyed by reward ID');
+  }
+
+  for (const [rewardId, rule] of Object.entries(value)) {
+    for (const field of ['fulfill', 'refund']) {
+      if (rule[field] !== undefined && typeof rule[field] !== 'boolean') {
+        throw new Error(`The ${field} flag for reward ${rewardId} must be true or false`);
+      }
+    }
+  }
+}
+
+
+// =============================================================================
+
+
 /* This sets the configuration schema to be used for the overlay. */
 const config = convict({
   // When we start up the configuration system, this value is populated with the
@@ -122,7 +197,19 @@ const config = convict({
   // the overlay to invoke commands in other bots, for example.
   //
   // These configuration settings control what the reward ID value is and what
-  // text to send out when they are redeemed.
+  // text to send out when they are redeemed. Any number of other rewards can be
+  // set up to take actions from the panel.
+  //
+  // Redemptions of rewards that are handled here are marked as fulfilled in the
+  // reward queue, or are refunded (with an explanation in the chat) if what
+  // they asked for can't be done, such as entering a giveaway when there isn't
+  // one. The rules can be changed for each reward; for example, this leaves
+  // the redemptions of one reward in the queue for the broadcaster to handle:
+  //
+  //   rules: { '648252cf-1b6d-409a-a901-1764f5abdd28': { fulfill: false, refund: false } }
+  //
+  // Twitch only allows the status of redemptions to be changed for rewards that
+  // were created by this application.
   pointRedeem: {
     rewardId: {
       doc: 'The GUID of the channel point redeem to handle',
@@ -135,6 +222,48 @@ const config = convict({
       format: '*',
       env: 'TWITCHLOYALTY_REWARD_TEXT',
       default: 'this would work better if this was configured properly'
+    },
+    fulfill: {
+      doc: 'Mark redemptions of handled rewards as fulfilled, unless the rules for the reward say otherwise',
+      format: Boolean,
+      env: 'TWITCHLOYALTY_REWARD_FULFILL',
+      default: true
+    },
+    refund: {
+      doc: 'Refund redemptions of handled rewards when none of what they ask for could be carried out, unless the rules for the reward say otherwise',
+      format: Boolean,
+      env: 'TWITCHLOYALTY_REWARD_REFUND',
+      default: true
+    },
+    refundText: {
+      doc: 'The text to send to the chat when a redemption is refunded; %USERNAME%, %REWARD% and %REASON% are filled in',
+      format: '*',
+      env: 'TWITCHLOYALTY_REWARD_REFUND_TEXT',
+      default: '@%USERNAME% your %REWARD% redemption was refunded because %REASON%'
+    },
+    rules: {
+      doc: 'Overrides for how redemptions are handled, keyed by reward ID; each has optional fulfill and refund flags',
+      format: redemption_rules,
+      default: {}
+    }
+  },
+
+  // Viewers that can't gift bits or subs can still take part in giveaways by
+  // redeeming a channel point reward; each redemption counts as a contribution
+  // to every running giveaway, up to a limit for each person. How many entries
+  // in a prize drawing each redemption is worth is set in the draw settings.
+  points: {
+    rewardId: {
+      doc: 'The GUID of the channel point reward whose redemptions count as giveaway contributions',
+      format: '*',
+      env: 'TWITCHLOYALTY_POINTS_REWARD_ID',
+      default: ''
+    },
+    maxPerUser: {
+      doc: 'The most redemptions that count for any one person in a single giveaway; 0 means no limit',
+      format: 'nat',
+      env: 'TWITCHLOYALTY_POINTS_MAX_PER_USER',
+      default: 10
     }
   },
 
@@ -170,6 +299,27 @@ const config = convict({
       default: true
     },
 
+    announceWinner: {
+      doc: 'Announce the winners when a prize drawing takes place',
+      format: Boolean,
+      env: 'TWITCHLOYALTY_GIVEAWAY_WINNER_ANNOUNCE',
+      default: true
+    },
+
+    announceMilestone: {
+      doc: 'Announce when a giveaway reaches one of its milestones',
+      format: Boolean,
+      env: 'TWITCHLOYALTY_GIVEAWAY_MILESTONE_ANNOUNCE',
+      default: true
+    },
+
+    scheduleWarning: {
+      doc: 'How many minutes before a scheduled giveaway starts to warn the chat about it; 0 disables the warning',
+      format: 'nat',
+      env: 'TWITCHLOYALTY_GIVEAWAY_SCHEDULE_WARNING',
+      default: 5
+    },
+
     // If announcements are turned on, these represent the messages that will
     // be used to make the announcement.
     text: {
@@ -188,38 +338,60 @@ const config = convict({
       },
 
       giveawayStart: {
-        doc: 'The text to send to the chat whenever a giveaway starts',
+        doc: 'The text to send to the chat whenever a giveaway starts; %NAME% is replaced with the name of the giveaway',
         format: '*',
         env: 'TWITCHLOYALTY_GIVEAWAY_START_TEXT',
         default: 'this would work better if this was configured properly'
       },
 
       giveawayEnd: {
-        doc: 'The text to send to the chat whenever a giveaway ends',
+        doc: 'The text to send to the chat whenever a giveaway ends; %NAME% is replaced with the name of the giveaway',
         format: '*',
         env: 'TWITCHLOYALTY_GIVEAWAY_END_TEXT',
         default: 'this would work better if this was configured properly'
       },
 
       giveawayPause: {
-        doc: 'The text to send to the chat whenever a giveaway pauses',
+        doc: 'The text to send to the chat whenever a giveaway pauses; %NAME% is replaced with the name of the giveaway',
         format: '*',
         env: 'TWITCHLOYALTY_GIVEAWAY_PAUSE_TEXT',
         default: 'this would work better if this was configured properly'
       },
 
       giveawayResume: {
-        doc: 'The text to send to the chat whenever a giveaway resumes',
+        doc: 'The text to send to the chat whenever a giveaway resumes; %NAME% is replaced with the name of the giveaway',
         format: '*',
         env: 'TWITCHLOYALTY_GIVEAWAY_UNPAUSE_TEXT',
         default: 'this would work better if this was configured properly'
       },
+
+      giveawayWarning: {
+        doc: 'The text to send to the chat before a scheduled giveaway starts; %MINUTES% is replaced with the time until the start and %NAME% with the name of the giveaway',
+        format: '*',
+        env: 'TWITCHLOYALTY_GIVEAWAY_WARNING_TEXT',
+        default: 'A giveaway is starting in %MINUTES% minutes!'
+      },
+
+      giveawayWinner: {
+        doc: 'The text to send to the chat when winners are drawn; %WINNERS% is replaced with their names and %NAME% with the name of the giveaway',
+        format: '*',
+        env: 'TWITCHLOYALTY_GIVEAWAY_WINNER_TEXT',
+        default: 'Congratulations to %WINNERS%!'
+      },
+
+      giveawayMilestone: {
+        doc: 'The text to send to the chat when a giveaway reaches a milestone; %MILESTONE% is replaced with its description, %TARGET% and %KIND% with the number of bits or subs it needed, and %NAME% with the name of the giveaway',
+        format: '*',
+        env: 'TWITCHLOYALTY_GIVEAWAY_MILESTONE_TEXT',
+        default: 'Milestone reached at %TARGET% %KIND%: %MILESTONE%!'
+      },
     }
   },
 
   // When displaying leaderboards in the overlay for the people that have gifted
   // subs and bits, this is the maximum number of people to display in the list,
-  // after sorting them based on their contributions.
+  // after sorting them based on their contributions. The leaderboard for
+  // channel point redemptions is only displayed if its count is not 0.
   leaderboard: {
     bitsLeadersCount: {
       doc: 'The number of gifters to show on the bit leaderboard',
@@ -232,6 +404,193 @@ const config = convict({
       format: 'nat',
       env: 'TWITCHLOYALTY_LEADERBOARD_SUBS',
       default: 3
+    },
+    pointsLeadersCount: {
+      doc: 'The number of people to show on the channel point leaderboard; 0 hides it',
+      format: 'nat',
+      env: 'TWITCHLOYALTY_LEADERBOARD_POINTS',
+      default: 0
+    },
+    subsView: {
+      doc: 'Rank the sub leaderboard by the raw number of subs or their weighted value, unless a page asks otherwise',
+      format: ['raw', 'weighted'],
+      env: 'TWITCHLOYALTY_LEADERBOARD_SUBS_VIEW',
+      default: 'weighted'
+    }
+  },
+
+  // Gifted subs are not all worth the same; a higher tier sub or a gift that
+  // covers several months is worth more than a single month of a tier 1 sub.
+  // These control how much each gifted sub is worth on the weighted view of
+  // the sub leaderboard; the raw count of subs is always tracked as well.
+  subWeight: {
+    tier1: {
+      doc: 'The value of a single month of a gifted tier 1 sub',
+      format: Number,
+      env: 'TWITCHLOYALTY_SUB_WEIGHT_TIER1',
+      default: 1
+    },
+    tier2: {
+      doc: 'The value of a single month of a gifted tier 2 sub',
+      format: Number,
+      env: 'TWITCHLOYALTY_SUB_WEIGHT_TIER2',
+      default: 2
+    },
+    tier3: {
+      doc: 'The value of a single month of a gifted tier 3 sub',
+      format: Number,
+      env: 'TWITCHLOYALTY_SUB_WEIGHT_TIER3',
+      default: 5
+    },
+    perMonth: {
+      doc: 'Multiply the value of a gifted sub by the number of months the gift covers',
+      format: Boolean,
+      env: 'TWITCHLOYALTY_SUB_WEIGHT_PER_MONTH',
+      default: true
+    }
+  },
+
+  // Community gifts (gift bombs) arrive as a burst of individual gifted subs;
+  // these control how such a burst is detected so that it can be recorded and
+  // celebrated as a single event.
+  giftBomb: {
+    window: {
+      doc: 'How long to wait (in milliseconds) for more gifted subs from the same gifter before recording them together; 0 records each gift right away',
+      format: 'nat',
+      env: 'TWITCHLOYALTY_GIFT_BOMB_WINDOW',
+      default: 2000
+    },
+    minimum: {
+      doc: 'The number of subs that need to be gifted together in order to be celebrated as a gift bomb',
+      format: 'nat',
+      env: 'TWITCHLOYALTY_GIFT_BOMB_MINIMUM',
+      default: 5
+    }
+  },
+
+  // Every chat command has a minimum role that someone needs to have in the
+  // channel in order to use it; this allows those to be changed, along with
+  // lists of people that are always or never allowed to use a command. For
+  // example, this would make the drop game subscriber only:
+  //
+  //   permissions: { '!drop': { role: 'subscriber', allow: ['someviewer'] } }
+  //
+  // Commands can also have cooldowns, both for each user and for everyone, and
+  // can either silently ignore a command used during its cooldown or reply to
+  // say how long is left. For example:
+  //
+  //   cooldowns: { '!drop': { user: 60, global: 5, reply: true } }
+  commands: {
+    permissions: {
+      doc: 'Overrides for who can use chat commands, keyed by command name; each has an optional role (everyone, subscriber, vip, moderator or broadcaster) and allow and deny lists of user names',
+      format: command_permissions,
+      default: {}
+    },
+    cooldowns: {
+      doc: 'Cooldowns for chat commands, keyed by command name; each has an optional per user and global cooldown in seconds, and whether to reply when the command is on cooldown',
+      format: command_cooldowns,
+      default: {}
+    },
+    cooldownText: {
+      doc: 'The reply to a command that is on cooldown; %COMMAND% is replaced with the command and %REMAINING% with the time until it can be used',
+      format: '*',
+      env: 'TWITCHLOYALTY_COMMAND_COOLDOWN_TEXT',
+      default: '%COMMAND% is on cooldown; try again in %REMAINING%'
+    }
+  },
+
+  // When a giveaway is over, a prize drawing can be held in which the people
+  // that participated are given a number of entries based on what they gifted.
+  // These control the exchange rate between bits, subs and channel point
+  // redemptions and entries in the drawing.
+  draw: {
+    bitsPerEntry: {
+      doc: 'The number of bits that are worth one entry in a prize drawing; 0 means bits are not counted',
+      format: 'nat',
+      env: 'TWITCHLOYALTY_DRAW_BITS_PER_ENTRY',
+      default: 100
+    },
+    entriesPerSub: {
+      doc: 'The number of entries in a prize drawing that each gifted sub is worth',
+      format: 'nat',
+      env: 'TWITCHLOYALTY_DRAW_ENTRIES_PER_SUB',
+      default: 5
+    },
+    entriesPerRedeem: {
+      doc: 'The number of entries in a prize drawing that each channel point redemption is worth',
+      format: 'nat',
+      env: 'TWITCHLOYALTY_DRAW_ENTRIES_PER_REDEEM',
+      default: 1
+    }
+  },
+
+  // The rules of the drop game; a session of the game starts with the first
+  // drop and ends once there have been no drops for the idle time (0 keeps a
+  // session running for as long as the overlay is open).
+  //
+  // In round mode, people can only drop while a moderator has opened a drop
+  // window with the !dropround command; once the window is closed and the last
+  // dropper lands, the best score in the round wins it. The round window is the
+  // number of seconds that the window stays open when the command doesn't say.
+  //
+  // Every drop in the drop game is recorded, so that high score tables can be
+  // kept for the current session of the game, the current stream and for all
+  // time. The leaders count is the number of people shown in those tables.
+  dropGame: {
+    idleTime: {
+      doc: 'The number of milliseconds without drops after which a drop game session ends; 0 never ends it',
+      format: 'nat',
+      env: 'TWITCHLOYALTY_DROPGAME_IDLE_TIME',
+      default: 1000 * 60 * 1.5
+    },
+    reconnectTime: {
+      doc: 'The number of milliseconds to wait for a drop game overlay to come back after the last one disconnects before the session ends',
+      format: 'nat',
+      env: 'TWITCHLOYALTY_DROPGAME_RECONNECT_TIME',
+      default: 1000 * 30
+    },
+    cutAllowed: {
+      doc: 'Allow people to cut the chute of their dropper while it is in the air',
+      format: Boolean,
+      env: 'TWITCHLOYALTY_DROPGAME_CUT',
+      default: true
+    },
+    abdicateAllowed: {
+      doc: 'Allow people to give up their place on the target so that they can drop again',
+      format: Boolean,
+      env: 'TWITCHLOYALTY_DROPGAME_ABDICATE',
+      default: true
+    },
+    steerUses: {
+      doc: 'How many times each drop can be steered to the left or right with !steer; 0 turns steering off',
+      format: 'nat',
+      env: 'TWITCHLOYALTY_DROPGAME_STEER_USES',
+      default: 3
+    },
+    targets: {
+      doc: 'The targets in the drop game; each is an object with the multiplier applied to the score of drops that land on it and the speed it moves at, in pixels per second',
+      format: Array,
+      default: [
+        { multiplier: 1, speed: 0 }
+      ]
+    },
+    roundMode: {
+      doc: 'Only allow drops while a drop round has its window open',
+      format: Boolean,
+      env: 'TWITCHLOYALTY_DROPGAME_ROUNDS',
+      default: false
+    },
+    roundWindow: {
+      doc: 'The default number of seconds that the window of a drop round stays open',
+      format: 'nat',
+      env: 'TWITCHLOYALTY_DROPGAME_ROUND_WINDOW',
+      default: 60
+    },
+    leadersCount: {
+      doc: 'The number of people to show in the drop game high score tables',
+      format: 'nat',
+      env: 'TWITCHLOYALTY_DROPGAME_LEADERS',
+      default: 5
     }
   }
 });
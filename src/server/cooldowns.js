@@ -0,0 +1,67 @@
+// =============================================================================
+
+
+/* The times at which the cooldowns for chat commands expire; this is kept here
+ * on the server so that the cooldowns survive anything on the front end (such
+ * as an overlay) being reloaded.
+ *
+ * The global cooldowns are keyed by command name, while the user cooldowns are
+ * keyed by command name and then by the user ID of the person that used the
+ * command. */
+const globalCooldowns = {};
+const userCooldowns = {};
+
+
+// =============================================================================
+
+
+/* Given the name of a command and the user ID of the person that is trying to
+ * use it, return back the number of milliseconds until they can use it again;
+ * this is 0 if the command is not on cooldown for them. */
+function cooldownRemaining(name, userId) {
+  const now = Date.now();
+  const globalEnd = globalCooldowns[name] || 0;
+  const userEnd = userCooldowns[name]?.[userId] || 0;
+
+  return Math.max(0, globalEnd - now, userEnd - now);
+}
+
+
+// =============================================================================
+
+
+/* Given the name of a command, its cooldown and the user ID of the person that
+ * just used it, start the command cooldowns running. Expired user cooldowns for
+ * the command are thrown away while we're here, so that they don't build up
+ * forever.
+ *
+ * A cooldown is an object with an optional number of seconds that a user has
+ * to wait between uses of the command and an optional number of seconds that
+ * everyone has to wait after anyone uses it. */
+function startCooldown(name, cooldown, userId) {
+  const now = Date.now();
+
+  if (cooldown.global) {
+    globalCooldowns[name] = now + cooldown.global * 1000;
+  }
+
+  if (cooldown.user) {
+    const users = userCooldowns[name] = userCooldowns[name] || {};
+    for (const [id, end] of Object.entries(users)) {
+      if (end <= now) {
+        delete users[id];
+      }
+    }
+
+    users[userId] = now + cooldown.user * 1000;
+  }
+}
+
+
+// =============================================================================
+
+
+module.exports = {
+  cooldownRemaining,
+  startCooldown,
+}
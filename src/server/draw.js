@@ -0,0 +1,158 @@
+// =============================================================================
+
+
+const { config } = require('./config');
+const crypto = require('crypto');
+
+
+// =============================================================================
+
+
+/* Create and return a brand new seed value for a prize drawing. The seed is a
+ * string of random hex digits; the same seed given to seededRandom() will
+ * always produce the same sequence of numbers, which is what allows a drawing
+ * to be audited after the fact. */
+function createSeed() {
+  return crypto.randomBytes(16).toString('hex');
+}
+
+
+// =============================================================================
+
+
+/* Given a seed string, return back a function that when invoked will return
+ * the next number in a repeatable sequence of pseudo random numbers in the
+ * range [0, 1), similar to Math.random().
+ *
+ * The seed is hashed to produce the initial state for an SFC32 generator; this
+ * is not cryptographically strong, but it's fair and reproducible, which is
+ * what we need to be able to verify the results of a drawing. */
+function seededRandom(seed) {
+  const hash = crypto.createHash('sha256').update(String(seed)).digest();
+  let [a, b, c, d] = [0, 4, 8, 12].map(offset => hash.readUInt32LE(offset));
+
+  return () => {
+    a >>>= 0; b >>>= 0; c >>>= 0; d >>>= 0;
+    let t = (a + b) | 0;
+    a = b ^ (b >>> 9);
+    b = (c + (c << 3)) | 0;
+    c = (c << 21) | (c >>> 11);
+    d = (d + 1) | 0;
+    t = (t + d) | 0;
+    c = (c + t) | 0;
+    return (t >>> 0) / 4294967296;
+  };
+}
+
+
+// =============================================================================
+
+
+/* Return back the exchange rates that are currently configured for turning
+ * bits, subs and channel point redemptions into entries in a prize drawing;
+ * these are recorded along with a drawing, since the configuration can change
+ * after it's held. */
+function drawRates() {
+  return {
+    bitsPerEntry: config.get('draw.bitsPerEntry'),
+    entriesPerSub: config.get('draw.entriesPerSub'),
+    entriesPerRedeem: config.get('draw.entriesPerRedeem')
+  };
+}
+
+
+// =============================================================================
+
+
+/* Given a gifter record (anything with a bits and a subs field), return back
+ * the number of entries that gifter has in a prize drawing, based on the
+ * exchange rates for bits, subs and channel point redemptions (the configured
+ * ones, if none are given), plus any bonus entries that the gifter was given
+ * by channel point rewards.
+ *
+ * The value returned is not necessarily a whole number; someone that cheered
+ * less than the number of bits needed for an entry still gets a proportional
+ * chance to win. */
+function entryWeight(gifter, rates) {
+  const { bitsPerEntry, entriesPerSub, entriesPerRedeem } = rates || drawRates();
+
+  const bitEntries = (bitsPerEntry !== 0) ? gifter.bits / bitsPerEntry : 0;
+  return bitEntries + (gifter.subs * entriesPerSub) + ((gifter.points || 0) * entriesPerRedeem) +
+         (gifter.entries || 0);
+}
+
+
+// =============================================================================
+
+
+/* Given the list of gifter records provided, return back the list of the
+ * candidates in a prize drawing using the given exchange rates; this is
+ * everyone that has at least some entries, except for anyone whose user name
+ * or display name appears in the exclusion list (which is expected to be lower
+ * case).
+ *
+ * Each candidate has the userId, userName and displayName of the gifter along
+ * with their number of entries. The candidates are sorted by userId, so that
+ * given the same gifters, the list is always the same. */
+function drawCandidates(gifters, exclude, rates) {
+  return gifters.map(entry => ({
+      userId: entry.userId,
+      userName: entry.gifter.userName,
+      displayName: entry.gifter.displayName || entry.gifter.userName,
+      entries: entryWeight(entry, rates)
+    }))
+    .filter(entry => entry.entries > 0)
+    .filter(entry => exclude.includes(entry.userName.toLowerCase()) === false &&
+                     exclude.includes(entry.displayName.toLowerCase()) === false)
+    .sort((left, right) => left.userId.localeCompare(right.userId));
+}
+
+
+// =============================================================================
+
+
+/* Perform a weighted drawing over the list of candidates provided (as returned
+ * by drawCandidates()), selecting at most count winners.
+ *
+ * Each candidate has a chance to win proportional to their entries, and no
+ * candidate can be selected more than once; given the same candidates and the
+ * same seed, the result is always the same.
+ *
+ * The return value is a (possibly empty) list of the winners, in the order in
+ * which they were drawn. */
+function drawWinners(candidates, count, seed) {
+  const random = seededRandom(seed);
+  candidates = [...candidates];
+
+  // Pick winners one at a time by choosing a random point along the total
+  // number of entries and seeing whose entries it lands on; that person is
+  // then removed from the pool before the next drawing.
+  const winners = [];
+  while (winners.length < count && candidates.length !== 0) {
+    const total = candidates.reduce((sum, entry) => sum + entry.entries, 0);
+    let pick = random() * total;
+
+    let index = candidates.findIndex(entry => (pick -= entry.entries) < 0);
+    if (index === -1) {
+      index = candidates.length - 1;
+    }
+
+    winners.push(candidates[index]);
+    candidates.splice(index, 1);
+  }
+
+  return winners;
+}
+
+
+// =============================================================================
+
+
+module.exports = {
+  createSeed,
+  seededRandom,
+  drawRates,
+  entryWeight,
+  drawCandidates,
+  drawWinners,
+}
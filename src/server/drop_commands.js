@@ -1,19 +1,36 @@
 // =============================================================================
 
 
-const { sendSocketMessage } = require('./socket');
+const { config } = require('./config');
+const { registerCommand } = require('./commands');
+const { setupDropGameState, startDrop, openRound, cutDrop, steerDrop, abdicateDrop } = require('./drop_game');
 
 
 // =============================================================================
 
 
-/* This command triggers the drop game running in the overlay, providing the
- * name of the user doing the drop, optionally also the ID of the emote that was
- * used.
+/* Trigger a drop in the drop game, providing the information on the user doing
+ * the drop (their userId, userName and displayName) and optionally also the ID
+ * of the emote to use for them.
  *
- * The overlay will use this to enable the game if it's not currently running,
- * generate a new dropper, and launch it. */
-function drop_cmd(cmd, userInfo) {
+ * This will start a new session of the game if one isn't currently running,
+ * and tell the overlay to generate a new dropper and launch it.
+ *
+ * The return value is an object with a success field that indicates whether
+ * the drop could happen; it can't if the drop game overlay isn't open or the
+ * user already has a dropper in the game, in which case the reason field says
+ * why. */
+function triggerDrop(user, emoteId) {
+  return startDrop(user, emoteId);
+}
+
+
+// =============================================================================
+
+
+/* This command triggers a drop for the user that invokes it, optionally using
+ * the emote that they provide with the command. */
+function drop_cmd(cmd, userInfo, chatSay) {
   // Parse the raw message to get things like the emotes out.
   const rawParts = cmd.rawMsg.parseEmotes();
 
@@ -22,37 +39,80 @@ function drop_cmd(cmd, userInfo) {
   // message, then the emote to use is the ID of that emote.
   const emoteId = (rawParts.length >= 2 && rawParts[1].type === 'emote' && rawParts[1].name === cmd.words[0]) ? rawParts[1].id : undefined;
 
-  console.log(`drop-game-drop { name: ${userInfo.displayName}, emoteId: ${emoteId} }`);
-  sendSocketMessage('dropgame', 'drop-game-drop', {
-    name: userInfo.displayName,
-    emoteId
-  });
+  const result = triggerDrop(userInfo, emoteId);
+  if (result.success === false) {
+    chatSay(`Unable to drop; ${result.reason}`, cmd.rawMsg);
+  }
 }
 
 
 // =============================================================================
 
 
-/* This command sends a message to the dropper overlay asking it to cut the
- * chute of the active dropper for the user that invokes the command. */
-function cut_cmd(cmd, userInfo) {
-  console.log(`drop-game-cut { name: ${userInfo.displayName} }`);
+/* This command cuts the chute of the active dropper for the user that invokes
+ * the command; they're told if they don't have a dropper in the air. */
+function cut_cmd(cmd, userInfo, chatSay) {
+  const result = cutDrop(userInfo.userId);
+  if (result.success === false) {
+    chatSay(`Unable to cut your chute; ${result.reason}`, cmd.rawMsg);
+  }
+}
+
+
+// =============================================================================
+
+
+/* This command steers the active dropper for the user that invokes the command
+ * to the left or the right; they're told if they don't have a dropper in the
+ * air. */
+function steer_cmd(cmd, userInfo, chatSay) {
+  const result = steerDrop(userInfo.userId, cmd.params.get('direction'));
+  if (result.success === false) {
+    chatSay(`Unable to steer; ${result.reason}`, cmd.rawMsg);
+  }
+}
+
+
+// =============================================================================
+
 
-  sendSocketMessage('dropgame', 'drop-game-cut', userInfo.displayName);
+/* This command gets rid of the dropper for the user that invokes it, if it
+ * happens to be sitting on the target. This allows such a user to do another
+ * drop, trying to better their score, at the risk of scoring lower; they're
+ * told if they don't have a dropper on the target. */
+function abdicate_cmd(cmd, userInfo, chatSay) {
+  const result = abdicateDrop(userInfo.userId);
+  if (result.success === false) {
+    chatSay(`Unable to abdicate; ${result.reason}`, cmd.rawMsg);
+  }
 }
 
 
 // =============================================================================
 
 
-/* This command sends a message to the dropper overlay asking it to get rid of
- * the dropper for the named user, if it happens to be sitting on the target.
- * This allows such a user to do another drop, trying to better their score, at
- * the risk of scoring lower. */
-function abdicate_cmd(cmd, userInfo) {
-  console.log(`drop-game-abdicate { name: ${userInfo.displayName} }`);
+/* This command opens a new round of the drop game, whose drop window stays open
+ * for the number of seconds given, or the configured round window if no time
+ * is given. */
+function dropround_cmd(cmd, userInfo, chatSay) {
+  const result = openRound(cmd.params.get('seconds') ?? config.get('dropGame.roundWindow'));
+  if (result.success === false) {
+    chatSay(`Unable to start a drop round; ${result.reason}`, cmd.rawMsg);
+  }
+}
+
+
+// =============================================================================
+
 
-  sendSocketMessage('dropgame', 'drop-game-abdicate', userInfo.displayName);
+/* This is invoked with the information on a round of the drop game that has
+ * just ended, to announce who won it. */
+function receive_round_end(round, chatSay) {
+  if (round.winner === null) {
+    chatSay(`The drop round is over, and nobody landed on the target`);
+  } else {
+    chatSay(`The drop round is over; ${round.winner.name} wins it with a score of ${round.winner.score.toFixed(2)}`);
+  }
 }
 
 
@@ -92,16 +152,51 @@ function receive_drop_result(result, chatSay) {
 // =============================================================================
 
 
-/* This sets up our drop game functionality by listening for an incoming socket
- * connection from the drop overlay and connecting up the appropriate handler
- * to be able to do something with the result. */
+/* This sets up our drop game functionality by setting up the tracking of the
+ * state of the game, registering the chat commands that play it and listening
+ * for the results of drops to be able to do something with them. */
 function setupDropGame(bridge, chatSay) {
-  bridge.on('socket-connect', connection => {
-    if (connection.role === 'dropgame') {
-      console.log('Setting up event listener for drop game results');
-      connection.socket.on('drop-game-drop-result', data => receive_drop_result(data, chatSay));
-    }
+  setupDropGameState(bridge);
+
+  registerCommand({
+    name: '!drop',
+    description: 'Jump out of the plane and try to land on the target',
+    usage: '[emote]',
+    handler: (cmd, userInfo) => drop_cmd(cmd, userInfo, chatSay)
+  });
+  registerCommand({
+    name: '!cut',
+    description: 'Cut the chute of your dropper so that it falls faster',
+    handler: (cmd, userInfo) => cut_cmd(cmd, userInfo, chatSay)
   });
+  registerCommand({
+    name: '!steer',
+    description: 'Nudge your dropper to the left or the right while it falls',
+    usage: 'left|right',
+    params: {
+      direction: { type: 'enum', values: ['left', 'right'], required: true, position: 0 }
+    },
+    handler: (cmd, userInfo) => steer_cmd(cmd, userInfo, chatSay)
+  });
+  registerCommand({
+    name: '!abdicate',
+    description: 'Give up your place on the target so that you can drop again',
+    handler: (cmd, userInfo) => abdicate_cmd(cmd, userInfo, chatSay)
+  });
+  registerCommand({
+    name: '!dropround',
+    description: 'Open a drop window for a new round of the drop game',
+    usage: '[seconds]',
+    params: {
+      seconds: { type: 'int', min: 1, position: 0 }
+    },
+    role: 'moderator',
+    handler: (cmd, userInfo) => dropround_cmd(cmd, userInfo, chatSay)
+  });
+
+  bridge.on('drop-game-result', data => receive_drop_result(data, chatSay));
+  bridge.on('drop-game-round-start', round => chatSay(`A drop round is open for the next ${round.window} seconds; use !drop to play!`));
+  bridge.on('drop-game-round-end', round => receive_round_end(round, chatSay));
 }
 
 
@@ -109,8 +204,6 @@ function setupDropGame(bridge, chatSay) {
 
 
 module.exports = {
-  drop_cmd,
-  cut_cmd,
-  abdicate_cmd,
   setupDropGame,
+  triggerDrop,
 }
\ No newline at end of file
@@ -0,0 +1,687 @@
+// =============================================================================
+
+/* The state of the drop game is tracked here rather than in the overlay, so
+ * that it survives the overlay being reloaded and so that having more than one
+ * overlay open doesn't cause results to be counted more than once. The overlay
+ * only renders the game; it reports back where each dropper landed, and is
+ * told here who won and lost.
+ *
+ * A session of the game starts with the first drop, and ends once there have
+ * been no drops in the air for the configured idle time, or when the last
+ * overlay has been gone for longer than the configured reconnect time; in that
+ * case any droppers still in the air lose, since there's nothing left to land
+ * them, and any round in progress ends. While a session is running, each user
+ * can have a single dropper in the game at a time, either in the air or
+ * sitting on the target as the current winner.
+ *
+ * In round mode, drops are only allowed while a round that a moderator opened
+ * has its drop window open. Opening a round clears the target, and once the
+ * window has closed and the last dropper in the round has landed, the round is
+ * over and the dropper on the target (if any) wins it. The start and end of
+ * each round are raised on the event bridge as 'drop-game-round-start' events,
+ * whose body contains the number of seconds the window is open for (window),
+ * and 'drop-game-round-end' events, whose body contains the id, startTime,
+ * endTime, window and number of drops of the round, along with a winner that
+ * is an object with the name, userId, userName and score of the winner, or
+ * null if nobody won.
+ *
+ * Every result of a drop is raised on the event bridge as a 'drop-game-result'
+ * event, whose body is an object that contains the name, userId and userName of
+ * the user, the emoteId they used (if any), the score, whether this is the
+ * result of the landing or a later change (landing), whether the dropper is on
+ * a target (onTarget) and if so the index of that target in the configured list
+ * of targets (target), whether it's the current winner (winner), whether it
+ * left the target by abdicating (voluntary) and when the session started
+ * (sessionStart).
+ *
+ * The functions here can generate the following events, which are sent only to
+ * the 'dropgame' role:
+ *   - 'drop-game-state'
+ *        The body is an object with a running field that says if a session is
+ *        currently running, a droppers field that lists the droppers in the
+ *        game, a winner field that is the id of the dropper that is the
+ *        current winner (or null), and a round field that is the state of the
+ *        current round; this is null when there's no round, and otherwise an
+ *        object that says if the drop window is open (windowOpen) and how many
+ *        milliseconds it has left (remaining). Each dropper is an object with
+ *        its id, the name, userId, userName and emoteId of the user dropping,
+ *        whether it has landed, and its score and target once it has.
+ *
+ *      Sent when:
+ *         - A drop game overlay connects to us
+ *
+ *   - 'drop-game-start'
+ *   - 'drop-game-end'
+ *        There is no body; these tell the overlay to start and stop rendering
+ *        the game, and to forget all droppers when it stops.
+ *
+ *      Sent when:
+ *         - A session of the game starts or ends
+ *
+ *   - 'drop-game-drop'
+ *        The body is an object with the id of the new dropper, and the name,
+ *        userId, userName and emoteId of the user dropping.
+ *
+ *      Sent when:
+ *         - Someone without a dropper in the game drops
+ *
+ *   - 'drop-game-cut'
+ *        The body is the id of the dropper whose chute should be cut.
+ *
+ *      Sent when:
+ *         - Someone with a dropper in the air cuts their chute
+ *
+ *   - 'drop-game-steer'
+ *        The body is an object with the id of the dropper to steer, and the
+ *        direction to steer it in, which is either 'left' or 'right'. Only the
+ *        steers that are within the configured limit for a drop are sent.
+ *
+ *      Sent when:
+ *         - Someone with a dropper in the air steers it
+ *
+ *   - 'drop-game-winner'
+ *   - 'drop-game-loser'
+ *        The body is the id of the dropper that is now the winner, or which has
+ *        lost (by missing, being beaten or abdicating).
+ *
+ *      Sent when:
+ *         - A dropper lands, or is bumped off of the target
+ *
+ *   - 'drop-game-round-start'
+ *        The body is an object with the number of milliseconds that the drop
+ *        window of the round is open for (window).
+ *
+ *      Sent when:
+ *         - A moderator opens a new round
+ *
+ *   - 'drop-game-round-closed'
+ *        There is no body; this indicates that the drop window of the round is
+ *        now closed.
+ *
+ *      Sent when:
+ *         - The drop window of a round runs out
+ *
+ *   - 'drop-game-round-end'
+ *        The body is an object whose winner field is an object with the name
+ *        and score of the winner of the round, or null if nobody won.
+ *
+ *      Sent when:
+ *         - The last dropper in a round lands after its window has closed
+ */
+
+const { config } = require('./config');
+const { objId } = require('./db');
+const { sendSocketMessage, roleConnectionCount } = require('./socket');
+
+
+/* The state of the drop game; the time that the current session started (or
+ * null if there is no session running), the droppers that are currently in the
+ * game, the one of them that is currently sitting on the target as the
+ * winner, if any, and the round that is in progress, if any.
+ *
+ * Each dropper has an id, the userId, userName and displayName of its user, the
+ * emoteId that it's using, a landed flag that says if it's still in the air,
+ * how many times it has been steered, and its score and the index of the
+ * target it's on once it's landed on one of the targets. Droppers that lose
+ * are removed from the game.
+ *
+ * A round has an id, the time it started, the number of seconds its window is
+ * open for and the time at which it closes, the number of drops made in it,
+ * whether the window is still open and the timer that will close it.
+ *
+ * The timers are the one that ends the session once it goes idle, and the one
+ * that ends it if no overlay comes back after the last one disconnects. */
+const game = {
+  sessionStart: null,
+  droppers: [],
+  winner: null,
+  round: null,
+  idleTimer: undefined,
+  reconnectTimer: undefined,
+};
+
+/* The event bridge that results are raised on; this is set up when the module
+ * is. */
+let eventBridge = undefined;
+
+
+// =============================================================================
+
+
+/* Raise an event on the bridge for a result of the dropper given. */
+function reportResult(dropper, landing, onTarget, winner, voluntary) {
+  eventBridge.emit('drop-game-result', {
+    name: dropper.displayName,
+    userId: dropper.userId,
+    userName: dropper.userName,
+    emoteId: dropper.emoteId,
+    score: dropper.score,
+    target: dropper.target,
+    landing,
+    onTarget,
+    winner,
+    voluntary,
+    sessionStart: game.sessionStart
+  });
+}
+
+
+// =============================================================================
+
+
+/* Start a new session of the drop game if there isn't one already running. */
+function startSession() {
+  if (game.sessionStart !== null) {
+    return;
+  }
+
+  console.log('Drop: Starting a new session');
+  game.sessionStart = new Date();
+  sendSocketMessage('dropgame', 'drop-game-start');
+}
+
+
+// =============================================================================
+
+
+/* End the current session of the drop game, if there is one; every dropper in
+ * the game, including the winner, is discarded, as is any round that is in
+ * progress. */
+function endSession() {
+  clearTimeout(game.idleTimer);
+  game.idleTimer = undefined;
+  clearTimeout(game.reconnectTimer);
+  game.reconnectTimer = undefined;
+
+  if (game.round !== null) {
+    console.log('Drop: Abandoning the round in progress');
+    clearTimeout(game.round.timer);
+    game.round = null;
+  }
+
+  if (game.sessionStart === null) {
+    return;
+  }
+
+  console.log('Drop: Ending the current session');
+  game.sessionStart = null;
+  game.droppers = [];
+  game.winner = null;
+
+  if (roleConnectionCount('dropgame') !== 0) {
+    sendSocketMessage('dropgame', 'drop-game-end');
+  }
+}
+
+
+// =============================================================================
+
+
+/* The last overlay disconnected and none has come back within the reconnect
+ * time, so there's nothing left to land the droppers that are still in the
+ * air; each of them loses as though it missed. Any round in progress has its
+ * window closed so that it ends with whoever is on the target, and then the
+ * session ends. */
+function abandonSession() {
+  game.reconnectTimer = undefined;
+  console.log('Drop: No overlay came back; abandoning the droppers in the air');
+
+  game.droppers.filter(dropper => dropper.landed === false).forEach(dropper => {
+    dropper.landed = true;
+    removeLoser(dropper);
+    reportResult(dropper, true, false, false, false);
+  });
+
+  if (game.round !== null && game.round.windowOpen === true) {
+    clearTimeout(game.round.timer);
+    closeRoundWindow();
+  } else {
+    checkRoundEnd();
+  }
+
+  endSession();
+}
+
+
+// =============================================================================
+
+
+/* Check to see if the game has gone idle, which is when there are no droppers
+ * in the air and no round in progress; when it has, the session will end after
+ * the idle time unless there is another drop first. */
+function checkIdle() {
+  const idleTime = config.get('dropGame.idleTime');
+  if (idleTime === 0 || game.round !== null || game.droppers.some(dropper => dropper.landed === false)) {
+    return;
+  }
+
+  clearTimeout(game.idleTimer);
+  game.idleTimer = setTimeout(() => endSession(), idleTime);
+}
+
+
+// =============================================================================
+
+
+/* Remove the given dropper from the game as a loser; it's no longer the winner
+ * if it was, and the overlay is told about the loss. */
+function removeLoser(dropper) {
+  game.droppers = game.droppers.filter(entry => entry.id !== dropper.id);
+  if (game.winner === dropper) {
+    game.winner = null;
+  }
+
+  sendSocketMessage('dropgame', 'drop-game-loser', dropper.id);
+}
+
+
+// =============================================================================
+
+
+/* Return back the state of the current round in the form that it's sent to
+ * the overlay, which is null if there is no round in progress. */
+function roundState() {
+  if (game.round === null) {
+    return null;
+  }
+
+  return {
+    windowOpen: game.round.windowOpen,
+    remaining: Math.max(0, game.round.closesAt - Date.now())
+  };
+}
+
+
+// =============================================================================
+
+
+/* Return back the state of the droppers in the game in the form that it's sent
+ * to the overlay, so that a newly connected overlay can draw them. */
+function dropperState() {
+  return game.droppers.map(dropper => ({
+    id: dropper.id,
+    name: dropper.displayName,
+    userId: dropper.userId,
+    userName: dropper.userName,
+    emoteId: dropper.emoteId,
+    landed: dropper.landed,
+    score: dropper.score,
+    target: dropper.target
+  }));
+}
+
+
+// =============================================================================
+
+
+/* Open a new round of the drop game, whose drop window stays open for the given
+ * number of seconds, starting a new session if one isn't running. Anyone
+ * sitting on the target from before the round loses their place, since each
+ * round is a new contest.
+ *
+ * The return value is an object with a success field that says if the round
+ * started; if it didn't, the reason field says why. */
+function openRound(seconds) {
+  if (config.get('dropGame.roundMode') === false) {
+    return { success: false, reason: 'round mode is not turned on' };
+  }
+
+  if (roleConnectionCount('dropgame') === 0) {
+    return { success: false, reason: 'the drop game is not running' };
+  }
+
+  if (game.round !== null) {
+    return { success: false, reason: 'there is already a round in progress' };
+  }
+
+  startSession();
+  clearTimeout(game.idleTimer);
+
+  if (game.winner !== null) {
+    const previous = game.winner;
+    removeLoser(previous);
+    reportResult(previous, false, true, false, false);
+  }
+
+  console.log(`Drop: Opening a round for ${seconds} seconds`);
+  game.round = {
+    id: objId(),
+    startTime: new Date(),
+    window: seconds,
+    closesAt: Date.now() + seconds * 1000,
+    drops: 0,
+    windowOpen: true,
+    timer: setTimeout(() => closeRoundWindow(), seconds * 1000)
+  };
+
+  sendSocketMessage('dropgame', 'drop-game-round-start', { window: seconds * 1000 });
+  eventBridge.emit('drop-game-round-start', { window: seconds });
+
+  return { success: true };
+}
+
+
+// =============================================================================
+
+
+/* Close the drop window of the current round; the round ends once the last of
+ * the droppers in it lands. */
+function closeRoundWindow() {
+  console.log('Drop: The round drop window is closed');
+  game.round.windowOpen = false;
+  sendSocketMessage('dropgame', 'drop-game-round-closed');
+
+  checkRoundEnd();
+}
+
+
+// =============================================================================
+
+
+/* Check to see if the current round is over, which is when its drop window is
+ * closed and there are no droppers in the air; when it is, the dropper on the
+ * target (if any) is the winner of the round. */
+function checkRoundEnd() {
+  const round = game.round;
+  if (round === null || round.windowOpen === true || game.droppers.some(dropper => dropper.landed === false)) {
+    return;
+  }
+
+  game.round = null;
+
+  const winner = (game.winner === null) ? null : {
+    name: game.winner.displayName,
+    userId: game.winner.userId,
+    userName: game.winner.userName,
+    score: game.winner.score
+  };
+
+  console.log(`Drop: The round is over; the winner is ${winner !== null ? winner.name : 'nobody'}`);
+  sendSocketMessage('dropgame', 'drop-game-round-end', {
+    winner: (winner === null) ? null : { name: winner.name, score: winner.score }
+  });
+
+  eventBridge.emit('drop-game-round-end', {
+    id: round.id,
+    startTime: round.startTime,
+    endTime: new Date(),
+    window: round.window,
+    drops: round.drops,
+    winner
+  });
+
+  // The session can go idle now that the round is over; the window may have
+  // closed without anyone in the air, in which case nothing else would start
+  // the idle timer.
+  checkIdle();
+}
+
+
+// =============================================================================
+
+
+/* Add a dropper to the game for the given user (an object with their userId,
+ * userName and displayName), optionally using the emote with the given ID,
+ * starting a new session if one isn't running. In round mode, this is only
+ * allowed while the drop window of a round is open.
+ *
+ * The return value is an object with a success field that says if the drop
+ * happened; if it didn't, the reason field says why. */
+function startDrop(user, emoteId) {
+  if (roleConnectionCount('dropgame') === 0) {
+    return { success: false, reason: 'the drop game is not running' };
+  }
+
+  if (config.get('dropGame.roundMode') === true && (game.round === null || game.round.windowOpen === false)) {
+    return { success: false, reason: 'there is no drop round open' };
+  }
+
+  if (game.droppers.some(dropper => dropper.userId === user.userId)) {
+    return { success: false, reason: 'you already have a dropper in the game' };
+  }
+
+  startSession();
+  clearTimeout(game.idleTimer);
+
+  if (game.round !== null) {
+    game.round.drops++;
+  }
+
+  const dropper = {
+    id: objId(),
+    userId: user.userId,
+    userName: user.userName,
+    displayName: user.displayName,
+    emoteId,
+    landed: false,
+    score: 0,
+    target: null,
+    steers: 0
+  };
+  game.droppers.push(dropper);
+
+  console.log(`drop-game-drop { name: ${dropper.displayName}, emoteId: ${emoteId} }`);
+  sendSocketMessage('dropgame', 'drop-game-drop', {
+    id: dropper.id,
+    name: dropper.displayName,
+    emoteId,
+    userId: dropper.userId,
+    userName: dropper.userName
+  });
+
+  return { success: true };
+}
+
+
+// =============================================================================
+
+
+/* Cut the chute of the dropper of the user with the given userId, if they have
+ * one in the air; the return value is an object with a success field and a
+ * reason field that says why the cut could not happen, if it couldn't. */
+function cutDrop(userId) {
+  if (config.get('dropGame.cutAllowed') === false) {
+    return { success: false, reason: 'cutting chutes is not allowed' };
+  }
+
+  const dropper = game.droppers.find(dropper => dropper.userId === userId);
+  if (dropper === undefined || dropper.landed === true) {
+    return { success: false, reason: "you don't have a dropper in the air" };
+  }
+
+  console.log(`drop-game-cut { name: ${dropper.displayName} }`);
+  sendSocketMessage('dropgame', 'drop-game-cut', dropper.id);
+
+  return { success: true };
+}
+
+
+// =============================================================================
+
+
+/* Steer the dropper of the user with the given userId in the given direction,
+ * if they have one in the air and it hasn't already used up the configured
+ * number of steers; the return value is an object with a success field and a
+ * reason field that says why the steer could not happen, if it couldn't. */
+function steerDrop(userId, direction) {
+  const steerUses = config.get('dropGame.steerUses');
+  if (steerUses === 0) {
+    return { success: false, reason: 'steering is not allowed' };
+  }
+
+  if (direction !== 'left' && direction !== 'right') {
+    return { success: false, reason: 'you can only steer left or right' };
+  }
+
+  const dropper = game.droppers.find(dropper => dropper.userId === userId);
+  if (dropper === undefined || dropper.landed === true) {
+    return { success: false, reason: "you don't have a dropper in the air" };
+  }
+
+  if (dropper.steers >= steerUses) {
+    return { success: false, reason: `you can only steer ${steerUses} time(s) in each drop` };
+  }
+
+  dropper.steers++;
+  console.log(`drop-game-steer { name: ${dropper.displayName}, direction: ${direction} }`);
+  sendSocketMessage('dropgame', 'drop-game-steer', { id: dropper.id, direction });
+
+  return { success: true };
+}
+
+
+// =============================================================================
+
+
+/* Remove the dropper of the user with the given userId from the target, if it's
+ * the current winner, so that they can drop again; the return value is an
+ * object with a success field and a reason field that says why the abdication
+ * could not happen, if it couldn't. */
+function abdicateDrop(userId) {
+  if (config.get('dropGame.abdicateAllowed') === false) {
+    return { success: false, reason: 'abdicating is not allowed' };
+  }
+
+  if (game.winner === null || game.winner.userId !== userId) {
+    return { success: false, reason: "you don't have a dropper on the target" };
+  }
+
+  const dropper = game.winner;
+  console.log(`drop-game-abdicate { name: ${dropper.displayName} }`);
+
+  removeLoser(dropper);
+  reportResult(dropper, false, true, false, true);
+
+  return { success: true };
+}
+
+
+// =============================================================================
+
+
+/* Check that a landing on a target that an overlay reported makes sense; it
+ * needs to be on one of the configured targets, with a score that could be had
+ * on that target. */
+function validTargetLanding(report) {
+  const target = config.get('dropGame.targets')[report.target];
+  if (Number.isInteger(report.target) === false || target === undefined) {
+    return false;
+  }
+
+  return Number.isFinite(report.score) && report.score >= 0 &&
+         report.score <= 100 * (target.multiplier ?? 1);
+}
+
+
+// =============================================================================
+
+
+/* Handle an overlay telling us where the dropper with the given id landed, and
+ * what its score was and which target it was on if that was on a target. Only
+ * the first report for any dropper counts, so that having more than one
+ * overlay open doesn't count a drop more than once.
+ *
+ * A dropper that lands on a target becomes the winner if there isn't one or
+ * if it beat the score of the current winner, which then loses; otherwise the
+ * dropper that landed loses. A landing on a target that doesn't make sense is
+ * counted as a miss, so that the dropper doesn't stay in the air forever. */
+function dropLanded(report) {
+  if (report === null || typeof report !== 'object') {
+    return;
+  }
+
+  const dropper = game.droppers.find(dropper => dropper.id === report.id);
+  if (dropper === undefined || dropper.landed === true) {
+    return;
+  }
+
+  dropper.landed = true;
+
+  const onTarget = (report.onTarget === true && validTargetLanding(report));
+  if (report.onTarget === true && onTarget === false) {
+    console.log(`Drop: Ignoring the invalid landing of ${dropper.displayName} on target ${report.target} with score ${report.score}`);
+  }
+
+  if (onTarget === false) {
+    removeLoser(dropper);
+    reportResult(dropper, true, false, false, false);
+  } else {
+    dropper.score = report.score;
+    dropper.target = report.target;
+
+    if (game.winner === null || dropper.score > game.winner.score) {
+      const previous = game.winner;
+
+      game.winner = dropper;
+      sendSocketMessage('dropgame', 'drop-game-winner', dropper.id);
+      reportResult(dropper, true, true, true, false);
+
+      if (previous !== null) {
+        removeLoser(previous);
+        reportResult(previous, false, true, false, false);
+      }
+    } else {
+      removeLoser(dropper);
+      reportResult(dropper, true, true, false, false);
+    }
+  }
+
+  checkRoundEnd();
+  checkIdle();
+}
+
+
+// =============================================================================
+
+
+/* This sets up the tracking of the drop game state, which requires knowing
+ * when drop game overlays connect and disconnect and listening for the landings
+ * that they report. An overlay that connects while the session is waiting for
+ * one to come back picks the session up where it was left. */
+function setupDropGameState(bridge) {
+  eventBridge = bridge;
+
+  bridge.on('socket-connect', connection => {
+    if (connection.role === 'dropgame') {
+      clearTimeout(game.reconnectTimer);
+      game.reconnectTimer = undefined;
+
+      // When the game never goes idle, the session starts as soon as there's
+      // an overlay to render it.
+      if (config.get('dropGame.idleTime') === 0) {
+        startSession();
+      }
+
+      connection.socket.emit('drop-game-state', {
+        running: game.sessionStart !== null,
+        droppers: dropperState(),
+        winner: (game.winner !== null) ? game.winner.id : null,
+        round: roundState()
+      });
+      connection.socket.on('drop-game-landed', report => dropLanded(report));
+    }
+  });
+
+  // Droppers in the air only land while an overlay is open, so once the last
+  // overlay is gone the session is over, unless one comes back first; this
+  // gives the overlay time to be reloaded.
+  bridge.on('socket-disconnect', connection => {
+    if (connection.role === 'dropgame' && roleConnectionCount('dropgame') === 0 && game.sessionStart !== null) {
+      clearTimeout(game.reconnectTimer);
+      game.reconnectTimer = setTimeout(() => abandonSession(), config.get('dropGame.reconnectTime'));
+    }
+  });
+}
+
+
+// =============================================================================
+
+
+module.exports = {
+  setupDropGameState,
+  startDrop,
+  openRound,
+  cutDrop,
+  steerDrop,
+  abdicateDrop,
+}
@@ -0,0 +1,370 @@
+// =============================================================================
+
+/* Every result of a drop in the drop game is recorded in the database against
+ * the user that made the drop, so that the results are not lost when the game
+ * goes idle or the server is restarted.
+ *
+ * From these, high score tables are kept for:
+ *   - 'session'  the current session of the drop game, which lasts until the
+ *                game goes idle or the last overlay is closed
+ *   - 'stream'   the stream that's currently live
+ *   - 'all'      all time
+ *
+ * In each table, people are ranked by the best score that they've gotten on a
+ * drop that landed on the target. The rounds of the game are also recorded,
+ * along with who won each of them. The tables are available from the !droptop
+ * chat command and the drop game leaderboard page, and !dropstats gives the
+ * statistics for a single player.
+ *
+ * The functions here can generate the following events:
+ *   - 'drop-game-stats-update'
+ *        There is no body; this indicates that the high score tables may have
+ *        changed and should be fetched again.
+ *
+ *      Sent when:
+ *         - There is a new result of a drop
+ */
+
+const { config } = require('./config');
+const { objId } = require('./db');
+const { chatSay } = require('./chat');
+const { broadcastSocketMessage } = require('./socket');
+const { registerCommand } = require('./commands');
+
+
+/* A helper function for sending a failure back to the initiating client end. */
+const error = (res, reason) => res.json({ success: false, reason })
+
+
+/* The high score tables that are kept, and the text that's used to describe
+ * each of them in the chat and the leaderboard page. */
+const dropScopes = {
+  session: 'this session',
+  stream: 'this stream',
+  all: 'all time',
+};
+
+/* Information on the currently authorized user, if any; this is needed in order
+ * to know when the current stream started. */
+let twitchInfo = {};
+
+
+// =============================================================================
+
+
+/* Given a result of a drop in the drop game, record it in the database. Results
+ * for droppers that don't belong to a known user are not recorded. */
+async function recordDropResult(db, result) {
+  if (result.userId === undefined) {
+    console.log(`Drop: Not recording the result for ${result.name}; there is no user for it`);
+    return;
+  }
+
+  await db.dropResult.create({
+    data: {
+      id: objId(),
+      player: {
+        connectOrCreate: {
+          where: { userId: result.userId },
+          create: {
+            userId: result.userId,
+            userName: result.userName,
+            displayName: result.name
+          }
+        }
+      },
+      sessionStart: new Date(result.sessionStart),
+      landing: result.landing === true,
+      onTarget: result.onTarget === true,
+      winner: result.winner === true,
+      voluntary: result.voluntary === true,
+      score: result.score,
+      target: result.target ?? null,
+      emoteId: result.emoteId ?? null
+    }
+  });
+
+  broadcastSocketMessage('drop-game-stats-update');
+}
+
+
+// =============================================================================
+
+
+/* Given the information on a round of the drop game that has ended, record it
+ * in the database along with its winner, if it had one. */
+async function recordDropRound(db, round) {
+  const data = {
+    id: round.id,
+    startTime: round.startTime,
+    endTime: round.endTime,
+    window: round.window,
+    drops: round.drops
+  };
+
+  if (round.winner !== null) {
+    data.score = round.winner.score;
+    data.winner = {
+      connectOrCreate: {
+        where: { userId: round.winner.userId },
+        create: {
+          userId: round.winner.userId,
+          userName: round.winner.userName,
+          displayName: round.winner.name
+        }
+      }
+    };
+  }
+
+  await db.dropRound.create({ data });
+}
+
+
+// =============================================================================
+
+
+/* Given the name of a high score table, return back an object that tells us
+ * which drop results are a part of it. On success, the where field is the
+ * filter to use in a query for the results; otherwise the reason field says
+ * why the table is not available. */
+async function scopeFilter(db, scope) {
+  switch (scope) {
+    case 'session': {
+      const latest = await db.dropResult.findFirst({ orderBy: { timestamp: 'desc' } });
+      if (latest === null) {
+        return { success: false, reason: 'nobody has played the drop game yet' };
+      }
+      return { success: true, where: { sessionStart: latest.sessionStart } };
+    }
+
+    case 'stream': {
+      if (twitchInfo.userInfo === undefined) {
+        return { success: false, reason: 'the overlay is not authorized for twitch' };
+      }
+      let stream;
+      try {
+        stream = await twitchInfo.api.streams.getStreamByUserId(twitchInfo.userInfo.id);
+      } catch (err) {
+        console.log(`Drop: Unable to look up the current stream: ${err}`);
+        return { success: false, reason: 'unable to find out from twitch when the stream started' };
+      }
+      if (stream === null) {
+        return { success: false, reason: 'the stream is not live' };
+      }
+      return { success: true, where: { timestamp: { gte: stream.startDate } } };
+    }
+
+    case 'all':
+      return { success: true, where: {} };
+
+    default:
+      return { success: false, reason: `there is no ${scope} high score table` };
+  }
+}
+
+
+// =============================================================================
+
+
+/* Given a filter for the drop results to consider, return back a list of the
+ * people that have landed on the target in those results, highest score first,
+ * limited to the count given (if any). Each entry contains the userId,
+ * userName and displayName of the person along with their best score. */
+async function highScores(db, where, count) {
+  const groups = await db.dropResult.groupBy({
+    by: ['userId'],
+    where: { ...where, landing: true, onTarget: true },
+    _max: { score: true },
+    orderBy: { _max: { score: 'desc' } },
+    ...(count !== undefined ? { take: count } : {})
+  });
+
+  const users = await db.user.findMany({
+    where: { userId: { in: groups.map(group => group.userId) } }
+  });
+
+  return groups.map(group => {
+    const user = users.find(user => user.userId === group.userId);
+    return {
+      userId: user.userId,
+      userName: user.userName,
+      displayName: user.displayName || user.userName,
+      score: group._max.score
+    };
+  });
+}
+
+
+// =============================================================================
+
+
+/* Return back the high score table with the given name; on success, the result
+ * contains the name of the table, its description and the list of leaders in
+ * it. On failure, the reason field says why the table is not available. */
+async function highScoreTable(db, scope) {
+  const filter = await scopeFilter(db, scope);
+  if (filter.success === false) {
+    return filter;
+  }
+
+  return {
+    success: true,
+    scope,
+    description: dropScopes[scope],
+    leaders: await highScores(db, filter.where, config.get('dropGame.leadersCount'))
+  };
+}
+
+
+// =============================================================================
+
+
+/* Return back the statistics for the drop game player with the given userId;
+ * this is the number of drops they've made, how many of those landed on the
+ * target, how many times they took the lead and how many rounds of the game
+ * they've won. If they've ever landed on the target, their best score and
+ * their rank in the all time high score table are also included; otherwise
+ * these are null. */
+async function playerStats(db, userId) {
+  const where = { userId, landing: true };
+
+  const stats = {
+    drops: await db.dropResult.count({ where }),
+    hits: await db.dropResult.count({ where: { ...where, onTarget: true } }),
+    leads: await db.dropResult.count({ where: { userId, winner: true } }),
+    rounds: await db.dropRound.count({ where: { userId } }),
+    best: null,
+    rank: null
+  };
+
+  if (stats.hits !== 0) {
+    const leaders = await highScores(db, {});
+    const index = leaders.findIndex(leader => leader.userId === userId);
+
+    stats.best = leaders[index].score;
+    stats.rank = index + 1;
+  }
+
+  return stats;
+}
+
+
+// =============================================================================
+
+
+/* This command tells the user that invokes it what their drop game statistics
+ * are; when it's given the name of someone, it gives their statistics
+ * instead. */
+async function dropstats_cmd(db, cmd, userInfo) {
+  let user = { userId: userInfo.userId, displayName: userInfo.displayName };
+  let stats;
+
+  try {
+    const name = cmd.params.get('name');
+    if (name !== undefined) {
+      const record = await db.user.findFirst({ where: { userName: name } });
+      if (record === null) {
+        return chatSay(`${name} has never played the drop game`, cmd.rawMsg);
+      }
+      user = { userId: record.userId, displayName: record.displayName || record.userName };
+    }
+
+    stats = await playerStats(db, user.userId);
+  } catch (err) {
+    console.log(`Drop: Unable to look up the drop game statistics for ${user.displayName}: ${err}`);
+    return chatSay('Unable to look up drop game statistics right now; the database is not available', cmd.rawMsg);
+  }
+
+  if (stats.drops === 0) {
+    return chatSay(`${user.displayName} has never played the drop game`, cmd.rawMsg);
+  }
+
+  const rounds = (stats.rounds !== 0) ? `, won ${stats.rounds} round(s)` : '';
+  const best = (stats.best !== null) ? `; their best score is ${stats.best.toFixed(2)} (#${stats.rank} of all time)` : '';
+  chatSay(`${user.displayName} has dropped ${stats.drops} time(s), landed on the target ${stats.hits} time(s)${rounds} ` +
+          `and taken the lead ${stats.leads} time(s)${best}`, cmd.rawMsg);
+}
+
+
+// =============================================================================
+
+
+/* This command displays one of the drop game high score tables in the chat;
+ * the table for the current session is used unless another one is named. */
+async function droptop_cmd(db, cmd) {
+  const scope = cmd.params.get('scope');
+
+  let table;
+  try {
+    table = await highScoreTable(db, scope);
+  } catch (err) {
+    console.log(`Drop: Unable to look up the ${scope} high score table: ${err}`);
+    return chatSay('Unable to look up drop game high scores right now; the database is not available', cmd.rawMsg);
+  }
+
+  if (table.success === false) {
+    return chatSay(`There are no high scores for ${dropScopes[scope]}; ${table.reason}`, cmd.rawMsg);
+  }
+
+  if (table.leaders.length === 0) {
+    return chatSay(`Nobody has landed on the target ${table.description} yet`, cmd.rawMsg);
+  }
+
+  const leaders = table.leaders.map((leader, index) => `${index + 1}. ${leader.displayName} (${leader.score.toFixed(2)})`);
+  chatSay(`Drop game high scores for ${table.description}: ${leaders.join(', ')}`, cmd.rawMsg);
+}
+
+
+// =============================================================================
+
+
+/* This sets up the recording of drop game results and rounds by listening for
+ * them on the event bridge, along with the chat commands and the route that make the
+ * statistics available. */
+function setupDropStats(db, app, bridge) {
+  bridge.on('twitch-authorize', twitch => twitchInfo = twitch);
+  bridge.on('twitch-deauthorize', twitch => twitchInfo = twitch);
+
+  registerCommand({
+    name: '!dropstats',
+    description: 'Show the drop game statistics for yourself or someone else',
+    usage: '[name]',
+    params: {
+      name: { type: 'username', position: 0 }
+    },
+    handler: (cmd, userInfo) => dropstats_cmd(db, cmd, userInfo)
+  });
+  registerCommand({
+    name: '!droptop',
+    description: 'Show a drop game high score table',
+    usage: `[${Object.keys(dropScopes).join('|')}]`,
+    params: {
+      scope: { type: 'enum', values: Object.keys(dropScopes), default: 'session', position: 0 }
+    },
+    handler: cmd => droptop_cmd(db, cmd)
+  });
+
+  // Set up the route that allows the leaderboard page to fetch the high score
+  // tables.
+  app.get('/drops/leaderboard', async (req, res) => {
+    try {
+      res.json(await highScoreTable(db, req.query.scope));
+    } catch (err) {
+      console.log(`Drop: Unable to look up the ${req.query.scope} high score table: ${err}`);
+      error(res.status(500), 'the database is not available');
+    }
+  });
+
+  bridge.on('drop-game-result', data => recordDropResult(db, data).catch(err =>
+    console.log(`Drop: Unable to record the result for ${data.name}: ${err}`)));
+  bridge.on('drop-game-round-end', round => recordDropRound(db, round).catch(err =>
+    console.log(`Drop: Unable to record round ${round.id}: ${err}`)));
+}
+
+
+// =============================================================================
+
+
+module.exports = {
+  setupDropStats,
+}
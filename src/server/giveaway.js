@@ -1,14 +1,25 @@
 // =============================================================================
 
-/* The functions here can generate the following events:
+/* Several giveaways (each with its own name) can be running at the same time;
+ * every one of them has its own timer, pause state and list of gifters, and
+ * every contribution that arrives is credited to all of the giveaways that are
+ * actively running at the time.
+ *
+ * The functions here can generate the following events:
  *   - 'giveaway-info'
- *        The body is either an empty object if there is no giveaway, or the
- *        contents of a giveaway object, specifying the properties of a giveaway.
+ *        The body is either an empty object if there are no giveaways, or the
+ *        contents of a giveaway object, specifying the properties of a giveaway,
+ *        including its ID and name.
  *
  *        Such a giveaway may have time on the clock, or be done, or be paused,
  *        or be cancelled. However if the object is not empty, it's definitely
  *        giveaway information.
  *
+ *        One of these is sent for every giveaway that is being tracked, oldest
+ *        first; a giveaway replaces any other giveaway with the same name that
+ *        the receiver knows about, and an empty object means that there are no
+ *        giveaways at all.
+ *
  *        Anything that receives this event should treat the giveaway info as
  *        pure gospel.
  *
@@ -21,38 +32,98 @@
  *   - 'giveaway-tick'
  *        The body is always a complete giveaway object (ticks don't happen if
  *        we don't know about any giveaway). This always has the full and
- *        current state of the giveaway.
+ *        current state of the giveaway, including its ID.
  *
  *        The update tells the remote end what might have changed based on what
  *        they currently know, such as that it is now paused or not, or expired,
  *        etc.
  *
+ *        When the tick is sent because a contribution extended the duration
+ *        of the giveaway, the second argument is the number of milliseconds
+ *        that the duration was extended by.
+ *
  *      Sent when:
  *         - Some amount of time has elapsed on the giveaway (including it running out of time)
  *         - the state changes to paused from unpaused
  *         - the state changes to unpaused from paused
  *         - the giveaway is prematurely cancelled
+ *         - a contribution extends the duration of the giveaway
  *
  *   - 'leaderboard-subs-update'
  *     'leaderboard-bits-update'
+ *     'leaderboard-points-update'
  *        The body is an array that contains a sorted list of user records for
  *        a particular type of update; each record contains the display name,
  *        user name and user ID of a person, along with their "score" that
- *        indicates the number of bits or subs that has been gifted.
+ *        indicates the number of bits or subs that has been gifted, or the
+ *        number of times they redeemed the channel point reward for giveaways.
+ *        The second argument is the ID of the giveaway that the leaderboard is
+ *        for.
+ *
+ *        For subs, each record also contains the raw count of subs and their
+ *        weighted value (based on tier and gift duration); the score is one
+ *        or the other depending on the configured leaderboard view, and the
+ *        array is sorted by it.
  *
  *        The array can be empty to indicate that there is nobody in the list.
  *        By convention this only happens when a new giveaway starts, since in
- *        all other cases the update will only be sent when things change.
+ *        all other cases the update will only be sent when things change. When
+ *        there are no giveaways at all, the array is empty and there is no
+ *        giveaway ID.
  *
  *      Sent when:
  *        - A 'giveway-info' is transmitted, so that the cannonical list of
  *          participants tracks the information about the giveaway.
- *        - When someone gifts a sub or cheers bits
+ *        - When someone gifts a sub, cheers bits or redeems channel points
+ *
+ *   - 'giveaway-winner'
+ *        The body is an object that contains the ID of the giveaway that the
+ *        drawing was held for, the seed that was used to drive the drawing,
+ *        and an array of the winners in the order they were drawn; each winner
+ *        record contains the user ID, user name, display name and the number
+ *        of entries that the person had in the drawing.
+ *
+ *      Sent when:
+ *        - A prize drawing is held for a giveaway that has ended
+ *
+ *   - 'giveaway-gift-bomb'
+ *        The body is an object that contains the ID of the giveaway, the user
+ *        ID, user name and display name of the gifter, the number of subs that
+ *        were gifted together, their tier, the number of months each gift was
+ *        for and the weighted value of the gifts.
+ *
+ *      Sent when:
+ *        - Someone gifts a burst of subs at once (a community gift) that is at
+ *          least as large as the configured gift bomb size; one is sent for
+ *          every giveaway that the gifts were credited to
+ *
+ *   - 'giveaway-goal'
+ *        The body is an object that contains the ID of a giveaway, the total
+ *        number of bits and subs gifted in it, its bits and subs goals (0 when
+ *        there is no goal of that kind) and an array of its milestones, sorted
+ *        by their target; each milestone contains its kind ('bits' or 'subs'),
+ *        target, description and whether it has been reached. Sub totals are
+ *        the raw number of subs gifted, regardless of their weighting.
+ *
+ *      Sent when:
+ *        - A 'giveaway-info' is transmitted
+ *        - The totals of a giveaway change
+ *
+ *   - 'giveaway-milestone'
+ *        The body is an object that contains the ID and name of the giveaway,
+ *        the kind, target and description of the milestone that was reached,
+ *        and the total number of bits and subs gifted in the giveaway.
+ *
+ *      Sent when:
+ *        - The total bits or subs in a giveaway reaches one of its milestones
  */
 
 const { config } = require('./config');
 const { objId } = require('./db');
+const { getRawData } = require('@twurple/common');
+const { createSeed, drawRates, drawCandidates, drawWinners, entryWeight } = require('./draw');
 const { chatSay, chatAnnounce } = require('./chat');
+const { registerCommand } = require('./commands');
 const { broadcastSocketMessage } = require('./socket');
 
 
@@ -74,46 +145,55 @@ const humanize = require("humanize-duration").humanizer({
 });
 
 
-/* The database record that represents the currently running giveaway, if any.
- *
- * This will be undefined as long as the user is not authenticated with Twitch
- * or there has never been a giveaway (the DB is empty). At all other times this
- * is an object that represents either the giveaway currently in progress OR the
- * last giveaway that took place. */
-let giveaway = undefined;
-
-/* The list of people that have contributed some number of bits or subs to the
- * giveaway in the giveaway variable above.
- *
- * As long as there's a giveaway, this is an object that holds all of the people
- * that have participated in that giveaway (wether it is ongoing or a previous
- * one).
- *
- * The object is keyed on the userID of the user, and the value is an object
- * that stores the information on that user, including how many bits and subs
- * they have given to that giveaway. */
-let giveawayUsers = undefined;
+/* The name given to a giveaway when it's started without one. */
+const defaultGiveawayName = 'Giveaway';
 
-/* These hold the handles for the debounced calls we make to send off overlay
- * updates as data changes. They're undefined when there is not an update
- * pending and some value otherwise; we initialize them to undefined because the
- * clearTimeout() call silently drops invalid arguments. */
-let bitsUpdateId = undefined;
-let subsUpdateId = undefined;
+/* The arguments that the !giveaway chat command takes. */
+const giveawayCommandUsage = 'start <duration> [name] | pause [name] | resume [name] | extend <duration> [name] | cancel [name] | status [name]';
 
-/* When a giveaway timer is running, this is the ID that can be used to cancel
- * it if we no longer want it to be running. */
-let giveawayTimerID = undefined;
-
-/* The clock time the last time the countdown event timer ticked; when it's 0
- * it means that the timer has never ticked before. Before we start a timer,
- * this is always set to the current time. */
-let lastTickTime = 0;
+/* Given the action that the !giveaway chat command was asked to take, return
+ * back the schema for its parameters; the action is always the first word, and
+ * the start and extend actions need a duration as the second word, which can
+ * be negative when extending in order to remove time. */
+const giveawayCommandParams = action => ({
+  action: {
+    type: 'enum',
+    values: ['start', 'pause', 'resume', 'extend', 'cancel', 'status'],
+    required: true,
+    position: 0
+  },
+  ...(['start', 'extend'].includes(action?.toLowerCase()) ? {
+    duration: { type: 'duration', signed: action.toLowerCase() === 'extend', required: true, position: 1 }
+  } : {})
+});
 
-/* The clock time the last time that the state of a running giveaway was backed
- * up to the database; when its 0 it means that there has never been a giveaway
- * this run. Before we start a timer, this is always set to the current time. */
-let lastSyncTime = 0;
+/* The giveaways that we currently know about, keyed on the ID of the giveaway.
+ *
+ * This will be empty as long as the user is not authenticated with Twitch or
+ * there has never been a giveaway (the DB is empty). At all other times this
+ * holds every giveaway that is in progress, along with the giveaway that took
+ * place most recently, even if it's over.
+ *
+ * Each value is an object that tracks a single giveaway, with the fields:
+ *   - giveaway: the database record that represents the giveaway
+ *   - users: the people that have contributed some number of bits or subs to
+ *     the giveaway, keyed on their userID; the value is an object that stores
+ *     how many bits and subs they have given.
+ *   - milestones: the database records for the milestones of the giveaway,
+ *     sorted by their target.
+ *   - timerID: when the giveaway timer is running, the ID that can be used to
+ *     cancel it if we no longer want it to be running.
+ *   - lastTickTime: the clock time the last time the countdown timer ticked;
+ *     before we start a timer, this is always set to the current time.
+ *   - lastSyncTime: the clock time the last time the state of the giveaway was
+ *     backed up to the database; this is also set before a timer starts.
+ *   - bitsUpdateId, subsUpdateId, pointsUpdateId: the handles for the debounced
+ *     calls we make to send off overlay updates as data changes; undefined
+ *     when there is not an update pending (clearTimeout() silently drops invalid arguments).
+ *   - heldPoints: the number of channel point redemptions for each person,
+ *     keyed on their userID, that are being recorded but aren't in their
+ *     totals yet; these count against the limit on redemptions. */
+let giveaways = {};
 
 /* Whenever a Twitch authorization or deauthorization happens, we catch the
  * event and set this to the twitch object the event provides, which will either
@@ -121,8 +201,15 @@ let lastSyncTime = 0;
  * make request, or will be an empty object, depending. */
 let twitchInfo = {};
 
-/* Get the remaining duration on the current giveaway. */
-const remainingDuration = () => giveaway ? giveaway.duration - giveaway.elapsedTime : undefined;
+/* Community gifts arrive as a burst of individual subscription messages; these
+ * are collected here until the burst is over, so that they can be recorded
+ * together. The key is made up of the gifter and the kind of sub gifted, and
+ * the value tracks how many have arrived, the message IDs seen so far and the
+ * timer that will record them. */
+let giftBursts = {};
+
+/* Get the remaining duration on the giveaway record provided. */
+const remainingDuration = giveaway => giveaway ? giveaway.duration - giveaway.elapsedTime : undefined;
 
 /* Some helper functions for sending results of queries back to the initiating
  * client end. */
@@ -133,35 +220,29 @@ const error = (res, reason) => res.json({ success: false, reason })
 // =============================================================================
 
 
-/* If there is currently a giveaway object available, flush it's current data
- * to disk. */
-async function updateCurrentGiveaway(db)
+/* Flush the current data of the giveaway record provided to disk. */
+async function updateGiveaway(db, giveaway)
 {
-  if (giveaway !== undefined) {
-    return db.giveaway.update({
-      where: { id: giveaway.id },
-      data: { ...giveaway }
-    });
-  }
+  return db.giveaway.update({
+    where: { id: giveaway.id },
+    data: { ...giveaway }
+  });
 }
 
 
 // =============================================================================
 
 
-/* Returns an indication on wether there's currently a giveaway in progress or
- * not. A giveaway is in progress if we know about one, it has any time left
- * and it's not cancelled.
- *
- * If we don't know about a giveaway, or we do but it has expired or been
- * cancelled, then by definition a giveaway is not running.
+/* Returns an indication on wether the giveaway record provided is in progress
+ * or not. A giveaway is in progress if it has any time left and it's not
+ * cancelled.
  *
  * A giveaway can be running and still be paused; this will return true in that
  * case. */
-function giveawayRunning() {
+function giveawayRunning(giveaway) {
   // A giveaway can't be running if we don't know about it, it's been cancelled,
   // or it's not cancelled but it does has no time remaining.
-  if (giveaway === undefined || giveaway.cancelled === true || remainingDuration() <= 0) {
+  if (giveaway === undefined || giveaway.cancelled === true || remainingDuration(giveaway) <= 0) {
     return false;
   }
 
@@ -173,6 +254,42 @@ function giveawayRunning() {
 // =============================================================================
 
 
+/* Return back a list of all of the giveaways that are currently being tracked,
+ * sorted so that the one that started most recently is last. */
+function trackedGiveaways() {
+  return Object.values(giveaways).sort((left, right) =>
+                        left.giveaway.startTime - right.giveaway.startTime);
+}
+
+
+// =============================================================================
+
+
+/* Return back the tracked giveaway with the given ID; if no ID is given, the
+ * giveaway that started most recently is returned instead. The result is
+ * undefined if there is no such giveaway. */
+function findGiveaway(giveawayId) {
+  if (giveawayId !== undefined) {
+    return giveaways[giveawayId];
+  }
+
+  return trackedGiveaways().pop();
+}
+
+
+// =============================================================================
+
+
+/* Given a chat text from the configuration, return back a version in which the
+ * name of the giveaway provided has been substituted in. */
+function giveawayText(key, giveaway) {
+  return config.get(key).replace(/%NAME%/g, giveaway.name);
+}
+
+
+// =============================================================================
+
+
 /* Given a Twitch PubSub message, extract and return an object that contains the
  * information about the user that sent the message; this will always include
  * the userId and the userName, and can optionally include the display name. */
@@ -189,57 +306,91 @@ function getMsgUser(msg) {
 
 
 /* Schedule for transmission to all connected client pages a message that will
- * give them the current list of people that have gifted either bits, subs or
- * both.
+ * give them the current list of people that have gifted bits, subs or channel
+ * point redemptions (any or all of them) to the tracked giveaway provided.
+ *
+ * When there is no tracked giveaway, an empty list is sent right away so that
+ * the other end knows that there's nobody in the list.
  *
  * This will debounce the transmission, so it's safe to invoke this as often as
  * you like. Update frequency will never be shorter than the debounce time.  */
-function transmitLeaderInfo(bits, subs, socket) {
+function transmitLeaderInfo(tracked, bits, subs, points, socket) {
   // Reduce the list of participants to a list of those that have the property
-  // that we're interested in, and send it off.
+  // that we're interested in, and send it off along with the ID of the giveaway
+  // that it's for.
   //
   // This can be called to send updates that lets the other end know that nobody
-  // is in the list (say when cancelling a giveaway); in such a case the list of
-  // current participants doesn't exist, so we want to send an empty update.
+  // is in the list (say when the user deauthorizes); in such a case there is no
+  // giveaway, so we want to send an empty update with no ID.
   const gatherUpdate = (msg, field) => {
-    const update = Object.values(giveawayUsers || {}).reduce((prev, cur) => {
-      if ((field === 'subs' && cur.subs !== 0) || (field === 'bits' && cur.bits !== 0)) {
+    const subsView = config.get('leaderboard.subsView');
+    const update = Object.values(tracked?.users || {}).reduce((prev, cur) => {
+      if (field === 'bits' && cur.bits !== 0) {
         prev.push({
           userId: cur.userId,
           name: cur.gifter.displayName || cur.gifter.userName,
-          score: cur[field],
+          score: cur.bits,
+        });
+      }
+      if (field === 'subs' && cur.subs !== 0) {
+        const weighted = Math.round(cur.weightedSubs * 100) / 100;
+        prev.push({
+          userId: cur.userId,
+          name: cur.gifter.displayName || cur.gifter.userName,
+          score: (subsView === 'raw') ? cur.subs : weighted,
+          raw: cur.subs,
+          weighted,
+        });
+      }
+      if (field === 'points' && cur.points !== 0) {
+        prev.push({
+          userId: cur.userId,
+          name: cur.gifter.displayName || cur.gifter.userName,
+          score: cur.points,
         });
       }
       return prev;
     }, []);
     update.sort((left, right) => right.score - left.score);
 
+    const args = (tracked !== undefined) ? [update, tracked.giveaway.id] : [update];
     if (socket !== undefined) {
-      socket.emit(msg, update);
+      socket.emit(msg, ...args);
     } else {
-      broadcastSocketMessage(msg, update);
+      broadcastSocketMessage(msg, ...args);
     }
   };
 
   if (bits === true) {
     const bitsUpdate = () => gatherUpdate('leaderboard-bits-update', 'bits');
 
-    if (socket !== undefined) {
+    if (socket !== undefined || tracked === undefined) {
       bitsUpdate();
     } else {
-      clearTimeout(bitsUpdateId)
-      bitsUpdateId = setTimeout(() => bitsUpdate(), 5000);
+      clearTimeout(tracked.bitsUpdateId)
+      tracked.bitsUpdateId = setTimeout(() => bitsUpdate(), 5000);
     }
   }
 
   if (subs === true) {
     const subUpdate = () => gatherUpdate('leaderboard-subs-update', 'subs');
 
-    if (socket !== undefined) {
+    if (socket !== undefined || tracked === undefined) {
       subUpdate();
     } else {
-      clearTimeout(subsUpdateId)
-      subsUpdateId = setTimeout(() => subUpdate(), 5000);
+      clearTimeout(tracked.subsUpdateId)
+      tracked.subsUpdateId = setTimeout(() => subUpdate(), 5000);
+    }
+  }
+
+  if (points === true) {
+    const pointsUpdate = () => gatherUpdate('leaderboard-points-update', 'points');
+
+    if (socket !== undefined || tracked === undefined) {
+      pointsUpdate();
+    } else {
+      clearTimeout(tracked.pointsUpdateId)
+      tracked.pointsUpdateId = setTimeout(() => pointsUpdate(), 5000);
     }
   }
 }
@@ -248,17 +399,19 @@ function transmitLeaderInfo(bits, subs, socket) {
 // =============================================================================
 
 
-/* Process one tick of the giveaway timer; this is used to keep the database
- * updated with currently elapsed times on the giveaway as well as to mark when
- * the giveaway is completed. */
-async function giveawayTimerTick(db) {
+/* Process one tick of the timer of the tracked giveaway provided; this is used
+ * to keep the database updated with currently elapsed times on the giveaway as
+ * well as to mark when the giveaway is completed. */
+async function giveawayTimerTick(db, tracked) {
+  const giveaway = tracked.giveaway;
+
   // Get the time for the current tick.
   const thisTime = Date.now();
 
   // Figure out the elapsed time since the last timer tick happened; this could
   // be more or less than the actual amount of time that we requested.
-  const deltaTime = thisTime - lastTickTime;
-  lastTickTime = thisTime;
+  const deltaTime = thisTime - tracked.lastTickTime;
+  tracked.lastTickTime = thisTime;
 
   // Add the amount of elapsed time for this tick to the elapsed time in the
   // giveaway.
@@ -267,10 +420,10 @@ async function giveawayTimerTick(db) {
   // If the elapsed time has been reached, the giveaway is now ended so flag it
   // with an end time and make sure that it's updated in the database.
   if (giveaway.elapsedTime >= giveaway.duration) {
-    console.log('Giveaway: Giveaway has ended');
+    console.log(`Giveaway: Giveaway '${giveaway.name}' has ended`);
 
     giveaway.endTime = new Date();
-    await updateCurrentGiveaway(db);
+    await updateGiveaway(db, giveaway);
   }
 
   // Send a status update to anyone interested. This could tell them either the
@@ -284,257 +437,329 @@ async function giveawayTimerTick(db) {
   }
 
   // Dump the current information to the database.
-  if (thisTime - lastSyncTime >= 10000) {
-    await updateCurrentGiveaway(db)
-    lastSyncTime = thisTime;
+  if (thisTime - tracked.lastSyncTime >= 10000) {
+    await updateGiveaway(db, giveaway)
+    tracked.lastSyncTime = thisTime;
   }
 
   // Figure when the next tick should happen, which is either a second from now
   // OR however much time is left on the timer, whichever is smaller.
-  const nextTick = Math.min(1000, remainingDuration());
+  const nextTick = Math.min(1000, remainingDuration(giveaway));
 
   // console.log(`last = ${deltaTime}, next = ${nextTick}`);
 
   // Schedule a new call
-  giveawayTimerID = setTimeout(() => giveawayTimerTick(db), nextTick);
+  tracked.timerID = setTimeout(() => giveawayTimerTick(db, tracked), nextTick);
+}
+
+
+// =============================================================================
+
+
+/* Start the timer of the tracked giveaway provided running; this sets up the
+ * times that let us know when we last ticked and last synced, then does the
+ * first tick. */
+function startGiveawayTimer(db, tracked) {
+  tracked.lastTickTime = tracked.lastSyncTime = Date.now();
+  giveawayTimerTick(db, tracked);
 }
 
 
 // =============================================================================
 
 
-/* Start a new giveaway, if one is not already running. The request expects a
- * duration in milliseconds and the userID of the user who the giveaway is for.
+/* Stop tracking the giveaway provided; any timers it has pending are cancelled.
+ * This does not alter the giveaway itself. */
+function untrackGiveaway(tracked) {
+  clearTimeout(tracked.timerID);
+  clearTimeout(tracked.bitsUpdateId);
+  clearTimeout(tracked.subsUpdateId);
+  clearTimeout(tracked.pointsUpdateId);
+
+  delete giveaways[tracked.giveaway.id];
+}
+
+
+// =============================================================================
+
+
+/* Start a new giveaway with the given name, if one with that name is not
+ * already running; other giveaways can be running at the same time. This
+ * requires the userID of the user who the giveaway is for and the duration of
+ * the giveaway in milliseconds, and optionally takes the goals for the
+ * giveaway, in the form returned by parseGoals(), and the extensions that
+ * contributions make to its duration, in the form returned by
+ * parseExtensions().
+ *
+ * The new giveaway starts out paused, waiting for someone to resume it, unless
+ * autoStart is true, in which case its timer starts running right away.
  *
  * Once this is done, the same handling that would trigger whenever a user is
- * authorized is triggered, which will actually start the giveaway running. */
-async function startGiveaway(db, req, res) {
+ * authorized is triggered, which will actually start the giveaway running.
+ *
+ * This is used both by the route that the panel uses to start a giveaway and
+ * by the giveaway scheduler; the return value is an object that indicates if
+ * the giveaway started or not, and if not, why. */
+async function startGiveaway(db, userId, name, duration, goals, extensions, autoStart) {
+  const { bitsGoal = 0, subsGoal = 0, milestones = [] } = goals || {};
+  const { extendPerSub = 0, extendPer100Bits = 0, extendMaxDuration = 0 } = extensions || {};
+  name = (name || '').trim() || defaultGiveawayName;
+
   // Pull the ripcord if somehow this gets called when there's already a
-  // giveaway in progress.
-  if (giveawayRunning() === true) {
-    return error(res, 'no giveaway is currently running');
+  // giveaway with this name in progress.
+  const existing = Object.values(giveaways).find(tracked => tracked.giveaway.name === name);
+  if (giveawayRunning(existing?.giveaway) === true) {
+    return { success: false, reason: `a giveaway named '${name}' is already running` };
   }
 
   // Insert into the database a new giveaway for the user provided that is
   // flagged to start at the current time and use the given duration; it starts
-  // as non-paused and can in theory be for any user and not necessarily the
-  // currently authorized one (if any).
-  console.log(`Giveaway: New giveaway for ${req.query.userId} (${humanize(req.query.duration)})`);
-  await db.giveaway.create({
+  // as paused unless it should start automatically, and can in theory be for
+  // any user and not necessarily the currently authorized one (if any).
+  console.log(`Giveaway: New giveaway '${name}' for ${userId} (${humanize(duration)})`);
+  const entry = await db.giveaway.create({
     data: {
       id: objId(),
-      userId: req.query.userId,
+      userId: userId,
+      name: name,
       startTime: new Date(),
       endTime: null,
 
-      duration: parseInt(req.query.duration),
+      duration: duration,
       elapsedTime: 0,
-      paused: true,
-      cancelled: false
-    }
+      paused: autoStart !== true,
+      cancelled: false,
+
+      bitsGoal,
+      subsGoal,
+      extendPerSub,
+      extendPer100Bits,
+      extendMaxDuration,
+      Milestone: {
+        create: milestones.map(milestone => ({ id: objId(), ...milestone }))
+      }
+    },
+    include: { Gifter: { include: { gifter: true } }, Milestone: true },
   });
 
-  // Lean on the code that knows how to restart a giveaway for the current user
-  // and get it to find the entry we just made, set everything up and send off
-  // the notice that the giveaway is running.
-  resumeCurrentGiveaway(db, req.query.userId, false);
+  // Lean on the code that knows how to track a giveaway that was loaded for
+  // the current user and get it to set everything up and send off the notice
+  // that the giveaway is running; this also starts the timer of a giveaway
+  // that isn't paused.
+  await trackGiveaway(db, entry, false);
 
   if (config.get('chat.announceStart') === true) {
-    await chatAnnounce(config.get("chat.text.giveawayStart"));
+    await chatAnnounce(giveawayText('chat.text.giveawayStart', entry));
   }
 
-  success(res);
+  return { success: true };
 }
 
 
 // =============================================================================
 
 
-/* Pause an existing giveaway, if one is running and not already paused.
+/* Pause an existing giveaway, if it is running and not already paused. This
+ * takes the ID of the giveaway to pause; if not given, the most recently
+ * started giveaway is used.
+ *
+ * This will stop the running timer, change the state on the giveaway, update
+ * the database and then let the front end code know the new state.
  *
- * This will stop the running timer, change the state on the current giveaway,
- * update the database and then let the front end code know the new state. */
-async function pauseGiveaway(db, req, res) {
-  // Pull the ripcord if somehow this gets called when there's not already a
-  // giveaway in progress, or if there is but it's paused already.
-  if (giveawayRunning() === false || giveaway.paused === true) {
-    return error(res, 'no giveaway is currently running, or it is already paused');
+ * This is used both by the route that the panel uses and by the chat commands;
+ * the return value is an object that indicates if the giveaway was paused or
+ * not, and if not, why. */
+async function pauseGiveaway(db, giveawayId) {
+  const tracked = findGiveaway(giveawayId);
+  const giveaway = tracked?.giveaway;
+
+  // Pull the ripcord if somehow this gets called when the giveaway is not in
+  // progress, or if it is but it's paused already.
+  if (giveawayRunning(giveaway) === false || giveaway.paused === true) {
+    return { success: false, reason: 'that giveaway is not currently running, or it is already paused' };
   }
 
-  console.log(`Giveaway: Pausing giveaway (${humanize(remainingDuration())} remaining)`);
+  console.log(`Giveaway: Pausing giveaway '${giveaway.name}' (${humanize(remainingDuration(giveaway))} remaining)`);
 
   // If there is currently a timer running, cancel it so that it stops ticking.
   // Even if there's not, this function silently does nothing if the timer ID
   // you give it is not valid.
-  clearTimeout(giveawayTimerID);
+  clearTimeout(tracked.timerID);
 
-  // Set the paused flag on the current giveaway and then update the database
-  // to make sure that it knows what the current state is.
+  // Set the paused flag on the giveaway and then update the database to make
+  // sure that it knows what the current state is.
   giveaway.paused = true;
-  await updateCurrentGiveaway(db)
+  await updateGiveaway(db, giveaway)
 
   if (config.get('chat.announcePause') === true) {
-    await chatAnnounce(config.get("chat.text.giveawayPause"));
+    await chatAnnounce(giveawayText('chat.text.giveawayPause', giveaway));
   }
 
   // Let everyone know the new state of the giveaway.
   broadcastSocketMessage('giveaway-tick', giveaway);
-  success(res);
+  return { success: true };
 }
 
 
 // =============================================================================
 
 
-/* Restart a paused giveaway, if one is running and is actually paused.
+/* Restart a paused giveaway, if it is running and is actually paused. This
+ * takes the ID of the giveaway to resume; if not given, the most recently
+ * started giveaway is used.
  *
- * This will change the state on the current giveaway, update the database, let
- * the front end code know the new state and then kick off a new timer. */
-async function unpauseGiveaway(db, req, res) {
-  // Pull the ripcord if somehow this gets called when there's not already a
-  // giveaway in progress, or if there is but it's not currently paused.
-  if (giveawayRunning() === false || giveaway.paused === false) {
-    return error(res, 'no giveaway is currently running, or it is already paused');
+ * This will change the state on the giveaway, update the database, let the
+ * front end code know the new state and then kick off a new timer. The return
+ * value is an object that indicates if the giveaway was resumed or not, and if
+ * not, why. */
+async function unpauseGiveaway(db, giveawayId) {
+  const tracked = findGiveaway(giveawayId);
+  const giveaway = tracked?.giveaway;
+
+  // Pull the ripcord if somehow this gets called when the giveaway is not in
+  // progress, or if it is but it's not currently paused.
+  if (giveawayRunning(giveaway) === false || giveaway.paused === false) {
+    return { success: false, reason: 'that giveaway is not currently running, or it is not paused' };
   }
 
-  console.log(`Giveaway: Resuming giveaway (${humanize(remainingDuration())} remaining)`);
+  console.log(`Giveaway: Resuming giveaway '${giveaway.name}' (${humanize(remainingDuration(giveaway))} remaining)`);
 
-  // Reset the paused flag on the current giveaway and then update the database
-  // to make sure that it knows what the current state is.
+  // Reset the paused flag on the giveaway and then update the database to make
+  // sure that it knows what the current state is.
   giveaway.paused = false;
-  await updateCurrentGiveaway(db)
+  await updateGiveaway(db, giveaway)
 
-  // Let interested parties know that the state changed.
+  // Let interested parties know that the state changed, then start the timer.
   broadcastSocketMessage('giveaway-tick', giveaway);
-
-  // Set up the variables that let us know when we last ticked and last synced,
-  // then start the timer.
-  lastTickTime = lastSyncTime = Date.now();
-  giveawayTimerTick(db);
+  startGiveawayTimer(db, tracked);
 
   if (config.get('chat.announcePause') === true) {
-    await chatAnnounce(config.get("chat.text.giveawayResume"));
+    await chatAnnounce(giveawayText('chat.text.giveawayResume', giveaway));
   }
 
-  success(res);
+  return { success: true };
 }
 
 
 // =============================================================================
 
 
-/* Cancel the current giveaway, if one is actively running.
+/* Cancel a giveaway, if it is actively running. This takes the ID of the
+ * giveaway to cancel; if not given, the most recently started giveaway is
+ * used.
  *
  * This will mark the giveaway as cancelled, update the database, and then let
- * interested parties know that the giveaway is no longer available. */
-async function cancelGiveaway(db, req, res) {
-  // Pull the ripcord if somehow this gets called when there's not already a
-  // giveaway in progress.
-  if (giveawayRunning() === false) {
-    return error(res, 'no giveaway is currently running');
+ * interested parties know that the giveaway is no longer available. The return
+ * value is an object that indicates if the giveaway was cancelled or not, and
+ * if not, why. */
+async function cancelGiveaway(db, giveawayId) {
+  const tracked = findGiveaway(giveawayId);
+  const giveaway = tracked?.giveaway;
+
+  // Pull the ripcord if somehow this gets called when the giveaway is not in
+  // progress.
+  if (giveawayRunning(giveaway) === false) {
+    return { success: false, reason: 'that giveaway is not currently running' };
   }
 
-  console.log(`Giveaway: Cancelling giveaway (${humanize(remainingDuration())} remaining)`);
+  console.log(`Giveaway: Cancelling giveaway '${giveaway.name}' (${humanize(remainingDuration(giveaway))} remaining)`);
 
   // If there is currently a timer running, cancel it so that it stops ticking.
   // Even if there's not, this function silently does nothing if the timer ID
   // you give it is not valid.
-  clearTimeout(giveawayTimerID);
+  clearTimeout(tracked.timerID);
 
-  // Set the paused flag on the current giveaway and then update the database
-  // to make sure that it knows what the current state is.
+  // Set the cancelled flag on the giveaway and then update the database to
+  // make sure that it knows what the current state is.
   giveaway.cancelled = true;
-  await updateCurrentGiveaway(db)
+  await updateGiveaway(db, giveaway)
 
   // Broadcast that the giveaway is no longer running or even existing.
   broadcastSocketMessage('giveaway-tick', giveaway);
 
   if (config.get('chat.announceEnd') === true) {
-    await chatAnnounce(config.get("chat.text.giveawayEnd"));
+    await chatAnnounce(giveawayText('chat.text.giveawayEnd', giveaway));
   }
 
-  success(res);
+  return { success: true };
 }
 
 
 // =============================================================================
 
 
-/* This is invoked in response to a user authenticating themselves with the
- * overlay, and it attempts to resume a previously started giveaway that was
- * not completed the last time the application either terminated or the user
- * logged out.
+/* Start tracking the giveaway record provided, which is expected to have been
+ * loaded along with its gifters and milestones; any other giveaway with the
+ * same name that is being tracked is replaced by it.
  *
- * In practice, this will look into the database to find the most recent
- * giveaway entry for the user that just logged in and use it to to set up the
- * current giveaway. */
-async function resumeCurrentGiveaway(db, userId, autoPause) {
-  // Check to see if there was a giveaway for this particular user; the list of
-  // potential candidates is sorted based on the start time so we can always
-  // gather the most recent. The giveaway may or may not have been ended.
-  const entry = await db.giveaway.findFirst({
-    where: {
-      userId,
-    },
-    orderBy: { startTime: 'desc' },
-    include: { Gifter: { include: { gifter: true } } },
-  });
-
-  // If we didn't find anything, then there is no giveaway in progress and there
-  // never was one, so we don't need to do anything. This should only ever happen
-  // when the app starts prior to the first ever giveaway (i.e. when the database
-  // is empty). Otherwise, it would find either the current giveaway or the one
-  // that most recently ran.
-  if (entry === null) {
-    return;
-  }
-
-  // Track this as the giveaway we will be displaying information about.
-  giveaway = entry;
+ * This lets everyone know about the giveaway and who has gifted in it, and if
+ * the giveaway is still in progress, starts its timer running (unless it's
+ * paused, or should be automatically paused). */
+async function trackGiveaway(db, entry, autoPause) {
+  // A giveaway replaces any older giveaway with the same name (as well as any
+  // stale copy of itself); that giveaway can't be running, since two giveaways
+  // with the same name can't run at once.
+  Object.values(giveaways)
+        .filter(tracked => tracked.giveaway.name === entry.name)
+        .forEach(tracked => untrackGiveaway(tracked));
 
   // From the list of people (if any) that have gifted in this particular giveaway,
   // grab them out into a list of giveaway users. This is set up as an object so
   // that we can easily look up people based on their userID.
-  giveawayUsers = giveaway.Gifter.reduce((prev, cur) => {
+  const users = entry.Gifter.reduce((prev, cur) => {
     prev[cur.userId] = cur;
     return prev;
   }, {});
 
-  // Remove the list of gifters from the giveaway now that we've extracted it
-  // out, so that when we send updates we don't also send this info (which uses
-  // a different mechanism).
-  delete giveaway.Gifter;
-
-  // console.dir(giveaway)
-  // console.dir(giveawayUsers);
+  // Any gifters in this giveaway that predate the contribution ledger need to
+  // have their totals recorded in it, so that they survive being derived.
+  await seedLegacyContributions(db, entry.Gifter);
+
+  // Remove the list of gifters and milestones from the giveaway now that we've
+  // extracted them out, so that when we send updates we don't also send this
+  // info (which uses a different mechanism).
+  const milestones = entry.Milestone.sort((left, right) => left.target - right.target);
+  delete entry.Gifter;
+  delete entry.Milestone;
+
+  const tracked = giveaways[entry.id] = {
+    giveaway: entry,
+    users,
+    milestones,
+    timerID: undefined,
+    lastTickTime: 0,
+    lastSyncTime: 0,
+    bitsUpdateId: undefined,
+    subsUpdateId: undefined,
+    pointsUpdateId: undefined,
+    heldPoints: {},
+  };
 
-  // Send away an update on the people that have gifted bits and subs.
-  broadcastSocketMessage('giveaway-info', giveaway);
-  transmitLeaderInfo(true, true);
+  // Send away an update on the giveaway, the people that have gifted bits and
+  // subs in it and how close it is to its goals.
+  broadcastSocketMessage('giveaway-info', entry);
+  transmitLeaderInfo(tracked, true, true, true);
+  transmitGoalProgress(tracked);
 
-  // If the giveaway that we pulled out of the database is one that has been
-  // cancelled or has fully finished running, then we should just leave now;
-  // the code that follows makes sure that clients know about the giveaway,
-  // but it presumes that it's a "live" giveaway.
-  if (giveaway.cancelled === true || remainingDuration() <= 0) {
+  // If the giveaway is one that has been cancelled or has fully finished
+  // running, then we should just leave now; the code that follows makes sure
+  // that the timer is running, but it presumes that it's a "live" giveaway.
+  if (giveawayRunning(entry) === false) {
     return;
   }
 
   // Should we automatically pause the giveaway?
-  if (autoPause === true) {
-    console.log(`Giveaway: Giveaway is in progress (${humanize(remainingDuration())} remaining); auto-pausing it`);
-    giveaway.paused = true;
-    await updateCurrentGiveaway(db)
+  if (autoPause === true && entry.paused === false) {
+    console.log(`Giveaway: Giveaway '${entry.name}' is in progress (${humanize(remainingDuration(entry))} remaining); auto-pausing it`);
+    entry.paused = true;
+    await updateGiveaway(db, entry)
   }
 
-  // If the current giveaway is not paused, then we need to set up a timer that
-  // will actually track the giveaway duration. This will happen if a new
-  // giveaway was just created for example.
-  if (giveaway.paused !== true) {
-    // Set the current time as the last time that the timer ticked, and then
-    // kick off the timer.
-    lastTickTime = lastSyncTime = Date.now();
-    giveawayTimerTick(db)
+  // If the giveaway is not paused, then we need to set up a timer that will
+  // actually track the giveaway duration. This will happen if a new giveaway
+  // was just created for example.
+  if (entry.paused !== true) {
+    startGiveawayTimer(db, tracked);
   }
 }
 
@@ -542,61 +767,99 @@ async function resumeCurrentGiveaway(db, userId, autoPause) {
 // =============================================================================
 
 
-/* This is invoked in response to the user logging out of the overlay; when
- * this happens we need to pause the current giveaway, make sure it's updated
- * in the database, and then reset back to our initial startup state. */
-async function suspendCurrentGiveaway(db) {
-  // If there's not currently a giveaway, then we don't need to do anything.
-  if (giveawayRunning() === false) {
-    return;
+/* This is invoked in response to a user authenticating themselves with the
+ * overlay, and it attempts to resume any previously started giveaways that
+ * were not completed the last time the application either terminated or the
+ * user logged out.
+ *
+ * In practice, this will look into the database to find the most recent
+ * giveaway with each name for the user that just logged in; those that are
+ * still in progress are tracked, as is the most recent giveaway overall (even
+ * if it's over), so that there is something to display. */
+async function resumeGiveaways(db, userId, autoPause) {
+  // Gather the giveaways for this particular user, most recent first; we only
+  // need the giveaway information to pick which ones to resume.
+  const entries = await db.giveaway.findMany({
+    where: { userId },
+    orderBy: { startTime: 'desc' },
+  });
+
+  // If we didn't find anything, then there is no giveaway in progress and there
+  // never was one, so we don't need to do anything. This should only ever happen
+  // when the app starts prior to the first ever giveaway (i.e. when the database
+  // is empty).
+  const resume = entries.filter((entry, index) => index === 0 ||
+                   (entries.findIndex(other => other.name === entry.name) === index &&
+                    giveawayRunning(entry) === true));
+
+  // Track each of them, oldest first, so that the most recent giveaway is the
+  // one that is announced last.
+  for (const entry of resume.reverse()) {
+    const record = await db.giveaway.findUnique({
+      where: { id: entry.id },
+      include: { Gifter: { include: { gifter: true } }, Milestone: true },
+    });
+
+    await trackGiveaway(db, record, autoPause);
   }
+}
 
-  // Make sure that the current giveaway is updated in the database, so that we
-  // have an updated accounting of how much time has elapsed; also pause it for
-  // good measure.
-  giveaway.paused = true;
-  await updateCurrentGiveaway(db)
 
-  // Make sure that if there's a timer running, we cancel it since this is going
-  // to stop the overlay.
-  clearTimeout(giveawayTimerID);
+// =============================================================================
+
 
-  // Terminate the current giveaway, and let interested parties know.
-  giveaway = undefined;
-  giveawayUsers = undefined;
+/* This is invoked in response to the user logging out of the overlay; when
+ * this happens we need to pause all of the running giveaways, make sure they
+ * are updated in the database, and then reset back to our initial startup
+ * state. */
+async function suspendGiveaways(db) {
+  for (const tracked of Object.values(giveaways)) {
+    // Make sure that if there's a timer running, we cancel it since this is
+    // going to stop the overlay.
+    untrackGiveaway(tracked);
+
+    // Make sure that running giveaways are updated in the database, so that we
+    // have an updated accounting of how much time has elapsed; also pause them
+    // for good measure.
+    if (giveawayRunning(tracked.giveaway) === true) {
+      tracked.giveaway.paused = true;
+      await updateGiveaway(db, tracked.giveaway)
+    }
+  }
 
-  // Send an update to let the remote side know that the giveaway is now over.
+  // Send an update to let the remote side know that there are no giveaways.
   broadcastSocketMessage('giveaway-info', {});
-  transmitLeaderInfo(true, true);
+  transmitLeaderInfo(undefined, true, true, true);
 }
 
 
 // =============================================================================
 
 
-/* Attempt to adjust the duration of a giveaway, if one is running. The request
- * expects a duration in milliseconds to add to or remove from the duration of
- * the running giveaway.
+/* Attempt to adjust the duration of a giveaway, if it is running. This takes
+ * the ID of the giveaway to adjust (if not given, the most recently started
+ * giveaway is used) and a duration in milliseconds to add to or remove from its
+ * duration.
  *
  * This will adjust the duration of the giveaway by the value given and update
  * the database. If the duration update would cause the giveaway to end (such as
  * taking the duration or the remaining time negative), then nothing happens
- * and the request is ignored. */
-async function adjustGiveaway(db, req, res) {
-  // Pull the ripcord if somehow this gets called when there's not a
-  // giveaway in progress.
-  if (giveawayRunning() === false) {
-    return error(res, 'no giveaway is currently running');
+ * and the request is ignored. The return value is an object that indicates if
+ * the giveaway was adjusted or not, and if not, why. */
+async function adjustGiveaway(db, giveawayId, reqDuration) {
+  const giveaway = findGiveaway(giveawayId)?.giveaway;
+
+  // Pull the ripcord if somehow this gets called when the giveaway is not in
+  // progress.
+  if (giveawayRunning(giveaway) === false) {
+    return { success: false, reason: 'that giveaway is not currently running' };
   }
 
-  // The value we get is a string; convert it into an integer.
-  const reqDuration = parseInt(req.query.duration, 10);
+  if (isNaN(reqDuration) === true) {
+    return { success: false, reason: 'the duration adjustment is invalid' };
+  }
 
-  // Insert into the database a new giveaway for the user provided that is
-  // flagged to start at the current time and use the given duration; it starts
-  // as non-paused and can in theory be for any user and not necessarily the
-  // currently authorized one (if any).
-  console.log(`Giveaway: Adjusting giveaway duration (${humanize(reqDuration)})`);
+  console.log(`Giveaway: Adjusting giveaway '${giveaway.name}' duration (${humanize(reqDuration)})`);
 
   // The incoming duration is only valid if, after applying it to the existing
   // data, the total duration isn't negative and the combination of the duration
@@ -608,12 +871,12 @@ async function adjustGiveaway(db, req, res) {
 
   if (newDuration < 0 || newDuration - giveaway.elapsedTime <= 0) {
     console.log(`Giveaway: Adjustment is not valid; would end the giveaway`);
-    return error(res, 'the duration adjustment is invalid');
+    return { success: false, reason: 'the duration adjustment is invalid' };
   }
 
   // Update the giveaway duration and flush it to the database.
   giveaway.duration = newDuration;
-  await updateCurrentGiveaway(db);
+  await updateGiveaway(db, giveaway);
 
   // If the giveaway is currently paused, then transmit a tick message right now
   // so that the other end knows that the duration changed. If the giveaway
@@ -622,7 +885,7 @@ async function adjustGiveaway(db, req, res) {
     broadcastSocketMessage('giveaway-tick', giveaway);
   }
 
-  success(res);
+  return { success: true };
 }
 
 
@@ -630,88 +893,722 @@ async function adjustGiveaway(db, req, res) {
 
 
 /* Attempt to adjust the number of bits or subs that a particular user has
- * participated with in the current giveaway.
+ * participated with in a giveaway, which can be running or ended but not
+ * cancelled. The request can specify the ID of the giveaway; if not given, the
+ * most recently started giveaway is used.
  *
- * This will attempt to look up the user information for the passed in user so
- * that it can simulate an incoming update. If the user is invalid, nothing
- * happens.
+ * The request contains the user name of the participant, the mode of the
+ * adjustment, the number of bits and subs, and the name of the person making
+ * the adjustment (defaults to the authorized user) and the reason for it,
+ * which is required. The mode is one of:
+ *   - 'add' (the default) adds the bits and subs to the current totals; they
+ *     can be negative, but can't take the totals below zero.
+ *   - 'set' sets the totals to the bits and subs given; a value that is not
+ *     given is left as it is.
+ *   - 'remove' takes the user out of the giveaway entirely.
  *
- * This can only adjust bits and sub numbers upwards; you can't take them away
- * at the current time. */
+ * Every adjustment is recorded in the contribution ledger along with who made
+ * it and why. If the user is not already in the giveaway, the Twitch API is
+ * used to look them up; if the user is invalid, nothing happens. */
 async function adjustParticipant(db, req, res) {
+  const tracked = findGiveaway(req.query.giveawayId);
+
   // Pull the ripcord if somehow this gets called when there's not a
-  // giveaway in progress.
-  if (giveawayRunning() === false) {
-    return error(res, 'no giveaway is currently running');
+  // giveaway to adjust.
+  if (tracked === undefined || tracked.giveaway.cancelled === true) {
+    return error(res, 'there is no giveaway to adjust participants in');
   }
 
-  // In order to do anything we're going to need to make a request to Twitch;
-  // if we don't have a twitch object, this can't happen.
-  if (twitchInfo.userInfo === undefined) {
-    return error(res, 'the overlay is not authorized for twitch; cannot look up user information');
+  // Grab out all of the values and convert them as needed.
+  const userName = (req.query.userName || '').trim();
+  const mode = req.query.mode || 'add';
+  const reason = (req.query.reason || '').trim();
+  const actor = (req.query.actor || '').trim() || twitchInfo.userInfo?.displayName;
+  const bits = parseInt(req.query.bits, 10);
+  const subs = parseInt(req.query.subs, 10);
+
+  if (['add', 'set', 'remove'].includes(mode) === false) {
+    return error(res, `unknown adjustment mode '${mode}'`);
   }
 
-  // Grab out all of the values and convert them as needed.
-  const userName = req.query.userName;
-  const bits = parseInt(req.query.bits, 10) || 0;
-  const subs = parseInt(req.query.subs, 10) || 0;
+  if (reason === '') {
+    return error(res, 'a reason must be given for the adjustment');
+  }
 
-  // Insert into the database a new giveaway for the user provided that is
-  // flagged to start at the current time and use the given duration; it starts
-  // as non-paused and can in theory be for any user and not necessarily the
-  // currently authorized one (if any).
-  console.log(`Giveaway: Adjusting gifter data (${userName}, bits+=${bits}, subs+=${subs})`);
+  // Try to find the user in the list of people already in the giveaway; names
+  // are compared without case, since that is how Twitch treats them.
+  let gifter = Object.values(tracked.users).find(entry =>
+                  entry.gifter.userName.toLowerCase() === userName.toLowerCase());
+
+  // Work out how much the totals of this user need to change by in order to
+  // carry out the adjustment; for someone not yet in the giveaway, the current
+  // totals are zero.
+  const current = { bits: gifter?.bits || 0, subs: gifter?.subs || 0, weightedSubs: gifter?.weightedSubs || 0,
+                    points: gifter?.points || 0, entries: gifter?.entries || 0 };
+  let delta = undefined;
+  switch (mode) {
+    case 'add':
+      delta = { bits: bits || 0, subs: subs || 0 };
+      break;
+
+    case 'set':
+      delta = {
+        bits: isNaN(bits) ? 0 : bits - current.bits,
+        subs: isNaN(subs) ? 0 : subs - current.subs
+      };
+      break;
+
+    case 'remove':
+      if (gifter === undefined) {
+        return error(res, `${userName} is not participating in this giveaway`);
+      }
+      delta = { bits: -current.bits, subs: -current.subs, points: -current.points, entries: -current.entries };
+      break;
+  }
+
+  if (current.bits + delta.bits < 0 || current.subs + delta.subs < 0) {
+    return error(res, 'the adjustment would make the totals negative');
+  }
 
-  // Try to get the user info for the given user; this might fail if the name is
-  // not valid.
-  const userInfo = await twitchInfo.api.users.getUserByName(userName);
-  if (userInfo === null) {
-    console.log(`Unable to find a user named ${userName}`);
-    return error(res, `unable to find Twitch user ${userName}`);
+  if (mode !== 'remove' && delta.bits === 0 && delta.subs === 0) {
+    return error(res, 'the adjustment would not change anything');
   }
 
-  // Synthesize an update call to make it appear as if this person has given the
-  // provided number of bits and subs.
-  const updateUser = {
-    userId: userInfo.id,
-    userName: userInfo.name,
-    displayName: userInfo.displayName
+  // Subs that are added by hand are valued as a single month of a tier 1 sub,
+  // since we don't know any better; subs that are taken away are valued at the
+  // average value of the subs this user has given, so that taking away all of
+  // them takes away all of their value.
+  const averageValue = (current.subs !== 0) ? current.weightedSubs / current.subs : 0;
+  delta.weightedSubs = (delta.subs > 0) ? delta.subs * weightedSubValue(null, 1) : delta.subs * averageValue;
+
+  console.log(`Giveaway: Adjusting gifter data in '${tracked.giveaway.name}' (${userName}, ${mode}, bits${delta.bits >= 0 ? '+' : ''}=${delta.bits}, subs${delta.subs >= 0 ? '+' : ''}=${delta.subs}) by ${actor}: ${reason}`);
+
+  // Get the user information for the update; if the user is not already in
+  // the giveaway, we need to make a request to Twitch to find out who they are.
+  let updateUser = undefined;
+  if (gifter !== undefined) {
+    updateUser = {
+      userId: gifter.userId,
+      userName: gifter.gifter.userName,
+      displayName: gifter.gifter.displayName
+    }
+  } else {
+    // In order to do anything we're going to need to make a request to Twitch;
+    // if we don't have a twitch object, this can't happen.
+    if (twitchInfo.userInfo === undefined) {
+      return error(res, 'the overlay is not authorized for twitch; cannot look up user information');
+    }
+
+    // Try to get the user info for the given user; this might fail if the name
+    // is not valid.
+    const userInfo = await twitchInfo.api.users.getUserByName(userName);
+    if (userInfo === null) {
+      console.log(`Unable to find a user named ${userName}`);
+      return error(res, `unable to find Twitch user ${userName}`);
+    }
+
+    updateUser = {
+      userId: userInfo.id,
+      userName: userInfo.name,
+      displayName: userInfo.displayName
+    }
+  }
+
+  // Synthesize a contribution to record the change in the ledger and update
+  // the totals; when removing a user, they're then taken out of the giveaway.
+  await recordContribution(db, twitchInfo, tracked, updateUser, {
+    source: 'manual',
+    bits: delta.bits,
+    subs: delta.subs,
+    weightedSubs: delta.weightedSubs,
+    points: delta.points,
+    entries: delta.entries,
+    actor,
+    reason
+  });
+
+  if (mode === 'remove') {
+    await removeGifter(db, tracked, updateUser.userId);
   }
-  await updateGifterInfo(db, twitchInfo, updateUser, bits, subs, true);
 
+  await updateGoalProgress(db, tracked);
   success(res);
 }
 
+
+// =============================================================================
+
+
+/* Remove the participant with the given userId from the tracked giveaway
+ * provided, so that they no longer appear in the leaderboards or take part in
+ * drawings.
+ *
+ * Their contributions remain in the ledger, so the removal should happen after
+ * the ledger has been adjusted to take away their totals. */
+async function removeGifter(db, tracked, userId) {
+  const gifter = tracked.users[userId];
+  if (gifter === undefined) {
+    return;
+  }
+
+  delete tracked.users[userId];
+  await db.gifter.delete({ where: { id: gifter.id } });
+
+  transmitLeaderInfo(tracked, true, true, true);
+}
+
+// =============================================================================
+
+
+/* Hold a prize drawing for a giveaway, if it has ended. The request can
+ * specify the ID of the giveaway; if not given, the most recently started
+ * giveaway is used. It can also optionally specify a count of winners to draw
+ * (the default is a single winner) and a comma separated list of user or
+ * display names of people that should not be eligible to win.
+ *
+ * Each participant gets a number of entries based on what they've gifted, and
+ * the seed used for the drawing is stored along with the winners, the exchange
+ * rates used to work out the entries and the list of candidates with their
+ * entries in the giveaway, so that the result can be verified later.
+ *
+ * Once winners have been drawn, they can only be drawn again if the request
+ * asks for a redraw; the earlier result is then kept with the giveaway rather
+ * than being thrown away, since it may already have been announced. */
+async function drawGiveawayWinners(db, req, res) {
+  const tracked = findGiveaway(req.query.giveawayId);
+  const giveaway = tracked?.giveaway;
+
+  // A drawing can only happen for a giveaway that has actually run to the end;
+  // if it's still running (even if paused) or it was cancelled, leave.
+  if (giveaway === undefined || giveaway.cancelled === true) {
+    return error(res, 'there is no giveaway to hold a drawing for');
+  }
+
+  if (giveawayRunning(giveaway) === true) {
+    return error(res, 'the giveaway is still running; winners can be drawn once it ends');
+  }
+
+  // Grab out all of the values and convert them as needed; the exclusions are
+  // compared without case, since that is how Twitch treats names.
+  const count = parseInt(req.query.count, 10) || 1;
+  const exclude = (req.query.exclude || '').split(',')
+                                          .map(name => name.trim().toLowerCase())
+                                          .filter(name => name !== '');
+
+  if (count < 1) {
+    return error(res, 'at least one winner must be drawn');
+  }
+
+  if (giveaway.winners !== null && req.query.redraw !== 'true') {
+    return error(res, 'winners have already been drawn for this giveaway');
+  }
+
+  console.log(`Giveaway: Drawing ${count} winner(s) for '${giveaway.name}', excluding [${exclude.join(', ')}]`);
+
+  // Perform the drawing; if nobody was drawn, then there were no eligible
+  // participants, so there's nothing to record.
+  const seed = createSeed();
+  const rates = drawRates();
+  const candidates = drawCandidates(Object.values(tracked.users), exclude, rates);
+  const winners = drawWinners(candidates, count, seed);
+  if (winners.length === 0) {
+    return error(res, 'there are no eligible participants in this giveaway');
+  }
+
+  // Record the result of the drawing into the giveaway so that it can be
+  // audited later, keeping the result of any earlier drawing.
+  if (giveaway.winners !== null) {
+    const earlierDraws = (giveaway.earlierDraws !== null) ? JSON.parse(giveaway.earlierDraws) : [];
+    earlierDraws.push({
+      seed: giveaway.drawSeed,
+      rates: JSON.parse(giveaway.drawRates),
+      entries: JSON.parse(giveaway.drawEntries),
+      winners: JSON.parse(giveaway.winners)
+    });
+    giveaway.earlierDraws = JSON.stringify(earlierDraws);
+  }
+
+  giveaway.drawSeed = seed;
+  giveaway.drawRates = JSON.stringify(rates);
+  giveaway.drawEntries = JSON.stringify(candidates);
+  giveaway.winners = JSON.stringify(winners);
+  await updateGiveaway(db, giveaway);
+
+  console.log(`Giveaway: Winners drawn with seed ${seed}: ${winners.map(winner => winner.userName).join(', ')}`);
+
+  // Let interested parties know who won so that they can make a big deal about
+  // it.
+  broadcastSocketMessage('giveaway-winner', { giveawayId: giveaway.id, seed, winners });
+
+  if (config.get('chat.announceWinner') === true) {
+    const names = winners.map(winner => winner.displayName).join(', ');
+    await chatAnnounce(giveawayText('chat.text.giveawayWinner', giveaway).replace('%WINNERS%', names));
+  }
+
+  res.json({ success: true, seed, winners });
+}
+
+
+// =============================================================================
+
+
+/* Given a value that is going to be placed into a CSV file, return back a
+ * version of it that is safe to include; values that contain commas, quotes or
+ * line breaks are wrapped in quotes, with any embedded quotes doubled. */
+function csvField(value) {
+  const text = (value === null || value === undefined) ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+
+// =============================================================================
+
+
+/* Export the results of a giveaway as a downloadable file, for handing off to
+ * whoever is going to send out the prizes. The request can specify the ID of
+ * the giveaway to export; if not given, the most recently started giveaway is
+ * exported. The format can be either 'csv' (the default) or 'json'.
+ *
+ * Every participant in the giveaway is included, along with what they gave,
+ * when they first and last contributed and their entry weight for drawings. */
+async function exportGiveaway(db, req, res) {
+  const giveawayId = req.query.id || findGiveaway()?.giveaway.id;
+  const format = req.query.format || 'csv';
+
+  if (giveawayId === undefined) {
+    return error(res, 'there is no giveaway to export');
+  }
+
+  if (format !== 'csv' && format !== 'json') {
+    return error(res, `unknown export format '${format}'; use csv or json`);
+  }
+
+  const entry = await db.giveaway.findUnique({
+    where: { id: String(giveawayId) },
+    include: { Gifter: { include: { gifter: true } } },
+  });
+
+  if (entry === null) {
+    return error(res, 'there is no giveaway with that ID');
+  }
+
+  console.log(`Giveaway: Exporting results of ${entry.id} as ${format}`);
+
+  const rows = entry.Gifter.map(record => ({
+    userId: record.userId,
+    userName: record.gifter.userName,
+    displayName: record.gifter.displayName || record.gifter.userName,
+    bits: record.bits,
+    subs: record.subs,
+    weightedSubs: record.weightedSubs,
+    points: record.points,
+    entries: record.entries,
+    firstContribution: record.firstContribution,
+    lastContribution: record.lastContribution,
+    entryWeight: entryWeight(record),
+  }));
+  rows.sort((left, right) => right.entryWeight - left.entryWeight);
+
+  res.attachment(`giveaway-${entry.id}.${format}`);
+  if (format === 'json') {
+    return res.send(JSON.stringify(rows, null, 2));
+  }
+
+  const fields = ['userId', 'userName', 'displayName', 'bits', 'subs', 'weightedSubs', 'points', 'entries',
+                  'firstContribution', 'lastContribution', 'entryWeight'];
+  const lines = [
+    fields.join(','),
+    ...rows.map(row => fields.map(field => {
+      const value = row[field];
+      return csvField(value instanceof Date ? value.toISOString() : value);
+    }).join(','))
+  ];
+
+  res.send(lines.join('\r\n') + '\r\n');
+}
+
+
+// =============================================================================
+
+
+/* Given the query of a request to start a giveaway, parse out the goals for the
+ * giveaway, returning back either an object with the bitsGoal, subsGoal and
+ * the list of milestones, or a string that describes the reason that the goals
+ * aren't valid.
+ *
+ * The goals are numbers that default to 0 (no goal); the milestones are a JSON
+ * encoded array of objects, each with a kind ('bits' or 'subs'), a target and
+ * a description. */
+function parseGoals(query) {
+  const bitsGoal = parseInt(query.bitsGoal || '0', 10);
+  const subsGoal = parseInt(query.subsGoal || '0', 10);
+
+  if (isNaN(bitsGoal) || bitsGoal < 0 || isNaN(subsGoal) || subsGoal < 0) {
+    return 'goals must be a number of bits or subs that is 0 or more';
+  }
+
+  let milestones = [];
+  try {
+    milestones = JSON.parse(query.milestones || '[]');
+  } catch (err) {
+    return 'the milestones are not valid';
+  }
+
+  if (Array.isArray(milestones) === false) {
+    return 'the milestones are not valid';
+  }
+
+  milestones = milestones.map(milestone => ({
+    kind: milestone.kind,
+    target: parseInt(milestone.target, 10),
+    description: String(milestone.description || '').trim()
+  }));
+
+  const invalid = milestones.find(milestone => ['bits', 'subs'].includes(milestone.kind) === false ||
+                                               isNaN(milestone.target) || milestone.target < 1 ||
+                                               milestone.description === '');
+  if (invalid !== undefined) {
+    return 'every milestone needs a kind of bits or subs, a target of at least 1 and a description';
+  }
+
+  return { bitsGoal, subsGoal, milestones };
+}
+
+
+// =============================================================================
+
+
+/* Given the query of a request to start a giveaway, parse out how much time
+ * each contribution adds to the duration of the giveaway, returning back either
+ * an object with the extendPerSub, extendPer100Bits and extendMaxDuration
+ * values, or a string that describes the reason that they aren't valid.
+ *
+ * All of the values are durations in milliseconds that default to 0, which
+ * means that contributions don't extend the giveaway (or, for the maximum
+ * duration, that there's no cap on how far it can be extended). */
+function parseExtensions(query) {
+  const extensions = {
+    extendPerSub: parseInt(query.extendPerSub || '0', 10),
+    extendPer100Bits: parseInt(query.extendPer100Bits || '0', 10),
+    extendMaxDuration: parseInt(query.extendMaxDuration || '0', 10)
+  };
+
+  if (Object.values(extensions).some(value => isNaN(value) || value < 0)) {
+    return 'duration extensions must be a number of milliseconds that is 0 or more';
+  }
+
+  return extensions;
+}
+
+
+// =============================================================================
+
+
+/* Extend the duration of the tracked giveaway provided based on a contribution
+ * of the given number of bits and subs, if the giveaway is set up to be
+ * extended by contributions. Bits extend the giveaway proportionally, so 50
+ * bits count for half of what 100 bits do.
+ *
+ * The duration is never extended past the maximum duration of the giveaway, if
+ * it has one. When the duration changes, everyone is told about it with a tick
+ * that says how much time was added. */
+async function extendGiveaway(db, tracked, bits, subs) {
+  const giveaway = tracked.giveaway;
+
+  let extension = Math.floor(subs * giveaway.extendPerSub + bits * giveaway.extendPer100Bits / 100);
+  if (giveaway.extendMaxDuration !== 0) {
+    extension = Math.min(extension, giveaway.extendMaxDuration - giveaway.duration);
+  }
+
+  if (extension <= 0) {
+    return;
+  }
+
+  console.log(`Giveaway: Extending giveaway '${giveaway.name}' duration (${humanize(extension)})`);
+
+  giveaway.duration += extension;
+  await updateGiveaway(db, giveaway);
+
+  broadcastSocketMessage('giveaway-tick', giveaway, extension);
+}
+
+
+// =============================================================================
+
+
+/* Given a tracked giveaway, return back an object that holds the total number
+ * of bits and subs that have been gifted in it; the subs are the raw number of
+ * subs, regardless of their weighting. */
+function giveawayTotals(tracked) {
+  return Object.values(tracked.users).reduce((totals, gifter) => {
+    totals.bits += gifter.bits;
+    totals.subs += gifter.subs;
+    return totals;
+  }, { bits: 0, subs: 0 });
+}
+
+
+// =============================================================================
+
+
+/* Send out the progress that the tracked giveaway provided has made towards its
+ * goals and milestones to the specific socket given if there is one, or to all
+ * connected sockets if not. */
+function transmitGoalProgress(tracked, socket) {
+  const progress = {
+    giveawayId: tracked.giveaway.id,
+    ...giveawayTotals(tracked),
+    bitsGoal: tracked.giveaway.bitsGoal,
+    subsGoal: tracked.giveaway.subsGoal,
+    milestones: tracked.milestones.map(milestone => ({
+      kind: milestone.kind,
+      target: milestone.target,
+      description: milestone.description,
+      reached: milestone.reachedAt !== null
+    })),
+  };
+
+  if (socket !== undefined) {
+    socket.emit('giveaway-goal', progress);
+  } else {
+    broadcastSocketMessage('giveaway-goal', progress);
+  }
+}
+
+
+// =============================================================================
+
+
+/* Check the totals of the tracked giveaway provided against its milestones,
+ * and for each one that has just been reached, flag it as such, let the chat
+ * know and let everyone else know so that it can be celebrated. Everyone is
+ * then told about the new progress towards the goals.
+ *
+ * Milestones are only ever reached once; if the totals drop (because of a
+ * manual adjustment), milestones that were already reached stay that way. */
+async function updateGoalProgress(db, tracked) {
+  const totals = giveawayTotals(tracked);
+  const giveaway = tracked.giveaway;
+
+  for (const milestone of tracked.milestones) {
+    if (milestone.reachedAt !== null || totals[milestone.kind] < milestone.target) {
+      continue;
+    }
+
+    console.log(`Giveaway: '${giveaway.name}' reached its milestone at ${milestone.target} ${milestone.kind}: ${milestone.description}`);
+
+    milestone.reachedAt = new Date();
+    await db.milestone.update({
+      where: { id: milestone.id },
+      data: { reachedAt: milestone.reachedAt }
+    });
+
+    broadcastSocketMessage('giveaway-milestone', {
+      giveawayId: giveaway.id,
+      name: giveaway.name,
+      kind: milestone.kind,
+      target: milestone.target,
+      description: milestone.description,
+      ...totals
+    });
+
+    if (config.get('chat.announceMilestone') === true) {
+      await chatAnnounce(giveawayText('chat.text.giveawayMilestone', giveaway)
+                          .replace('%MILESTONE%', milestone.description)
+                          .replace('%TARGET%', milestone.target)
+                          .replace('%KIND%', milestone.kind));
+    }
+  }
+
+  transmitGoalProgress(tracked);
+}
+
+
+// =============================================================================
+
+
+/* Given a giveaway record, return back a short description of its state that
+ * is suitable for reporting in chat. */
+function giveawayStatus(giveaway) {
+  if (giveaway.cancelled === true) {
+    return `'${giveaway.name}' was cancelled`;
+  }
+
+  if (giveawayRunning(giveaway) === false) {
+    return `'${giveaway.name}' has ended`;
+  }
+
+  const remain = humanize(Math.ceil(remainingDuration(giveaway) / 1000) * 1000);
+  return `'${giveaway.name}' has ${remain} remaining${giveaway.paused ? ' (paused)' : ''}`;
+}
+
+
+// =============================================================================
+
+
+/* Handle the !giveaway chat command, which lets the broadcaster and moderators
+ * of the channel control giveaways without needing access to the panel. The
+ * first word after the command says what to do:
+ *   - start <duration> [name]   starts a new (paused) giveaway
+ *   - pause [name]              pauses a running giveaway
+ *   - resume [name]             resumes a paused giveaway
+ *   - extend <duration> [name]  adds time to a running giveaway; a negative
+ *                               duration removes time instead
+ *   - cancel [name]             cancels a running giveaway
+ *   - status [name]             reports on the state of giveaways
+ *
+ * When no name is given, the most recently started giveaway is used, except
+ * for the status, which reports on every giveaway. The result is reported back
+ * in chat as a reply to the command. */
+async function giveawayChatCommand(db, cmd, userInfo) {
+  const reply = text => chatSay(text, cmd.rawMsg);
+
+  // The action and the duration (for the actions that take one) have already
+  // been checked by the schema of the command; the rest of the words are the
+  // name of the giveaway, if any.
+  const action = cmd.params.get('action');
+  const duration = cmd.params.get('duration');
+  const name = cmd.text.trim();
+
+  // The actions change the database, which might not be available; the
+  // moderator still needs to hear that it didn't work.
+  try {
+    // Starting creates a new giveaway rather than acting on an existing one.
+    if (action === 'start') {
+      const result = await startGiveaway(db, twitchInfo.userInfo.id, name, duration);
+      return reply(result.success
+        ? `The giveaway '${name || defaultGiveawayName}' is ready to go for ${humanize(duration)}; use !giveaway resume to start the clock`
+        : `Unable to start the giveaway: ${result.reason}`);
+    }
+
+    // Every other action applies to the giveaway with the given name, or the
+    // most recent one if there is no name.
+    const tracked = (name === '') ? findGiveaway() : Object.values(giveaways).find(entry => entry.giveaway.name === name);
+    if (name !== '' && tracked === undefined) {
+      return reply(`there is no giveaway named '${name}'`);
+    }
+
+    const giveawayId = tracked?.giveaway.id;
+    const actions = {
+      pause: () => pauseGiveaway(db, giveawayId),
+      resume: () => unpauseGiveaway(db, giveawayId),
+      extend: () => adjustGiveaway(db, giveawayId, duration),
+      cancel: () => cancelGiveaway(db, giveawayId),
+    };
+
+    if (action === 'status') {
+      const entries = (name === '') ? trackedGiveaways() : [tracked];
+      return reply((entries.length === 0) ? 'There are no giveaways right now'
+                                          : entries.map(entry => giveawayStatus(entry.giveaway)).join('; '));
+    }
+
+    const result = await actions[action]();
+    reply(result.success ? `Done; ${giveawayStatus(tracked.giveaway)}`
+                         : `Unable to ${action} the giveaway: ${result.reason}`);
+  } catch (err) {
+    console.log(`Giveaway: Unable to ${action} the giveaway from chat: ${err}`);
+    reply(`Unable to ${action} the giveaway right now; please try again later`);
+  }
+}
+
+
+// =============================================================================
+
+
+/* Return back an object that maps the variables which describe the state of the
+ * most recently started giveaway to their values, for use in custom chat text:
+ *   - %GIVEAWAY%    the name of the giveaway
+ *   - %REMAINING%   how much time is left in the giveaway
+ *   - %TOPGIFTER%   the person with the most entries in the giveaway
+ *
+ * If there is no giveaway, the values say so. */
+function giveawayTextVariables() {
+  const tracked = findGiveaway();
+  if (tracked === undefined) {
+    return { '%GIVEAWAY%': 'the giveaway', '%REMAINING%': 'no time', '%TOPGIFTER%': 'nobody yet' };
+  }
+
+  const giveaway = tracked.giveaway;
+  const remaining = giveawayRunning(giveaway) ? humanize(Math.ceil(remainingDuration(giveaway) / 1000) * 1000) : 'no time';
+
+  const gifters = Object.values(tracked.users).filter(gifter => entryWeight(gifter) > 0);
+  gifters.sort((left, right) => entryWeight(right) - entryWeight(left));
+  const top = gifters[0]?.gifter;
+
+  return {
+    '%GIVEAWAY%': giveaway.name,
+    '%REMAINING%': remaining,
+    '%TOPGIFTER%': (top !== undefined) ? (top.displayName || top.userName) : 'nobody yet'
+  };
+}
+
+
 // =============================================================================
 
 
 /* This sets up the giveaway handling for the overlay, which encompasses both
- * figuring out at startup if there is a current giveaway as well as sending out
+ * figuring out at startup if there are current giveaways as well as sending out
  * messages regarding giveaway events as they occur. */
 function setupGiveawayHandler(db, app, bridge) {
   bridge.on('twitch-authorize', twitch => {
     twitchInfo = twitch;
-    resumeCurrentGiveaway(db, twitch.userInfo.id, true);
+    resumeGiveaways(db, twitch.userInfo.id, true);
   });
   bridge.on('twitch-deauthorize', twitch => {
     twitchInfo = twitch;
-    suspendCurrentGiveaway(db);
+    suspendGiveaways(db);
   });
 
   // Set up the routes that allow the controls in the main panel to manipulate
-  // the current giveaway state.
-  app.get('/giveaway/start', (req, res) => startGiveaway(db, req, res));
-  app.get('/giveaway/pause', (req, res) => pauseGiveaway(db, req, res));
-  app.get('/giveaway/unpause', (req, res) => unpauseGiveaway(db, req, res));
-  app.get('/giveaway/cancel', (req, res) => cancelGiveaway(db, req, res));
-  app.get('/giveaway/adjust', (req, res) => adjustGiveaway(db, req, res));
+  // the state of giveaways.
+  app.get('/giveaway/start', async (req, res) => {
+    const goals = parseGoals(req.query);
+    if (typeof goals === 'string') {
+      return error(res, goals);
+    }
+
+    const extensions = parseExtensions(req.query);
+    if (typeof extensions === 'string') {
+      return error(res, extensions);
+    }
+
+    res.json(await startGiveaway(db, req.query.userId, req.query.name,
+                                 parseInt(req.query.duration, 10), goals, extensions));
+  });
+  app.get('/giveaway/pause', async (req, res) => res.json(await pauseGiveaway(db, req.query.giveawayId)));
+  app.get('/giveaway/unpause', async (req, res) => res.json(await unpauseGiveaway(db, req.query.giveawayId)));
+  app.get('/giveaway/cancel', async (req, res) => res.json(await cancelGiveaway(db, req.query.giveawayId)));
+  app.get('/giveaway/adjust', async (req, res) => res.json(await adjustGiveaway(db, req.query.giveawayId,
+                                                                               parseInt(req.query.duration, 10))));
+  app.get('/giveaway/draw', (req, res) => drawGiveawayWinners(db, req, res));
+  app.get('/giveaway/export', (req, res) => exportGiveaway(db, req, res));
   app.get('/participant/adjust', (req, res) => adjustParticipant(db, req, res));
 
+  // Allow the broadcaster and moderators to control giveaways from the chat as
+  // well.
+  registerCommand({
+    name: '!giveaway',
+    description: 'Controls giveaways from the chat',
+    usage: giveawayCommandUsage,
+    params: cmd => giveawayCommandParams(cmd.params.get('action') ?? cmd.words[0]),
+    role: 'moderator',
+    handler: (cmd, userInfo) => giveawayChatCommand(db, cmd, userInfo)
+  });
+
   // Every time a new socket connects to the server, send it a message to tell
-  // it the state of the current giveaway, if any.
+  // it the state of every giveaway we're tracking, if any.
   bridge.on('socket-connect', data => {
-    data.socket.emit('giveaway-info', giveaway === undefined ? {} : giveaway);
-    transmitLeaderInfo(true, true, data.socket);
+    const tracked = trackedGiveaways();
+    if (tracked.length === 0) {
+      data.socket.emit('giveaway-info', {});
+      transmitLeaderInfo(undefined, true, true, true, data.socket);
+    }
+
+    tracked.forEach(entry => {
+      data.socket.emit('giveaway-info', entry.giveaway);
+      transmitLeaderInfo(entry, true, true, true, data.socket);
+      transmitGoalProgress(entry, data.socket);
+    });
 
     data.socket.on('overlay-drag', async (data) => {
       broadcastSocketMessage('overlay-moved', data);
@@ -728,42 +1625,217 @@ function setupGiveawayHandler(db, app, bridge) {
 // =============================================================================
 
 
-/* Update the gifter information for the provided userID, accruing the provided
- * number of bits and gift subs to the user.
+/* Given the record for a participant in the current giveaway, recalculate the
+ * totals for that participant from the contribution ledger and update both the
+ * in memory cache and the database to match. */
+async function deriveGifterTotals(db, gifter) {
+  const totals = await db.contribution.aggregate({
+    where: { giveawayId: gifter.giveawayId, userId: gifter.userId },
+    _sum: { bits: true, subs: true, weightedSubs: true, points: true, entries: true },
+    _min: { timestamp: true },
+    _max: { timestamp: true },
+  });
+
+  gifter.bits = totals._sum.bits || 0;
+  gifter.subs = totals._sum.subs || 0;
+  gifter.weightedSubs = totals._sum.weightedSubs || 0;
+  gifter.points = totals._sum.points || 0;
+  gifter.entries = totals._sum.entries || 0;
+  gifter.firstContribution = totals._min.timestamp;
+  gifter.lastContribution = totals._max.timestamp;
+
+  await db.gifter.update({
+    where: { id: gifter.id },
+    data: {
+      bits: gifter.bits,
+      subs: gifter.subs,
+      weightedSubs: gifter.weightedSubs,
+      points: gifter.points,
+      entries: gifter.entries,
+      firstContribution: gifter.firstContribution,
+      lastContribution: gifter.lastContribution
+    },
+  });
+}
+
+
+// =============================================================================
+
+
+/* Given the tier of a gifted sub (1000, 2000, 3000 or Prime) and the number of
+ * months that the gift covers, return back the weighted value of that sub,
+ * based on the configured sub weighting rules. Unknown tiers are valued as a
+ * tier 1 sub, as is Prime (which can't be gifted anyway). */
+function weightedSubValue(subTier, months) {
+  const tierValue = {
+    '2000': config.get('subWeight.tier2'),
+    '3000': config.get('subWeight.tier3'),
+  }[String(subTier)] ?? config.get('subWeight.tier1');
+
+  return config.get('subWeight.perMonth') ? tierValue * Math.max(1, months || 1) : tierValue;
+}
+
+
+// =============================================================================
+
+
+/* Gifter records from giveaways that were started before the contribution
+ * ledger existed have totals but no ledger entries to derive them from. For
+ * any such gifter in the list given, insert a single ledger entry that accounts
+ * for their existing totals, so that deriving the totals won't lose them. */
+async function seedLegacyContributions(db, gifters) {
+  for (const gifter of gifters) {
+    const count = await db.contribution.count({
+      where: { giveawayId: gifter.giveawayId, userId: gifter.userId }
+    });
+
+    if (count === 0 && (gifter.bits !== 0 || gifter.subs !== 0)) {
+      console.log(`Giveaway: Seeding ledger for ${gifter.userId} (bits=${gifter.bits}, subs=${gifter.subs})`);
+      await db.contribution.create({
+        data: {
+          id: objId(),
+          giveawayId: gifter.giveawayId,
+          userId: gifter.userId,
+          timestamp: gifter.firstContribution || undefined,
+          source: 'legacy',
+          bits: gifter.bits,
+          subs: gifter.subs,
+          weightedSubs: gifter.subs * weightedSubValue(null, 1),
+        }
+      });
+    }
+  }
+}
+
+
+// =============================================================================
+
+
+/* Record a contribution from the provided user in every giveaway that is
+ * actively running (i.e. not paused); the contribution is an object in the
+ * same form as recordContribution() expects.
  *
- * This will add a new user to the gifters list for the current giveaway if the
- * user isn't already in the list, and it also makes sure to update both the
- * in memory cache as well as the database. */
-async function updateGifterInfo(db, twitch, user, bits, subs, force) {
-  console.log(`updateGifterInfo(${user.userId}/${user.userName}/${user.displayName}, ${bits}, ${subs}, ${force})`);
+ * The return value is a (possibly empty) list of the IDs of the giveaways that
+ * the contribution was credited to. */
+async function updateGifterInfo(db, twitch, user, contribution) {
+  const { source, bits, subs } = contribution;
+  console.log(`updateGifterInfo(${user.userId}/${user.userName}/${user.displayName}, ${source}, ${bits}, ${subs})`);
+
+  // Messages should only count when a giveaway is actively running; if there
+  // are none, then we don't want to do anything with this message.
+  const running = trackedGiveaways().filter(tracked =>
+                    giveawayRunning(tracked.giveaway) === true && tracked.giveaway.paused === false);
+  if (running.length === 0) {
+    console.log(`Giveaway: Rejecting update; no giveaway is currently running`);
+    return [];
+  }
 
-  // If there's not a giveaway running or there is but it's currently paused,
-  // then we don't want to do anything with this message; messages should only
-  // count when the giveaway is actively running.
-  if ((giveawayRunning() === false || giveaway.paused === true) && force === false) {
-    console.log(`Giveaway: Rejecting update; giveaway is not currently running`);
-    return;
+  // Every giveaway that the contribution is credited to is now closer to its
+  // goals, and may have reached some of its milestones; it may also run for
+  // longer because of it.
+  const credited = [];
+  for (const tracked of running) {
+    if (await recordContribution(db, twitch, tracked, user, contribution) === true) {
+      credited.push(tracked.giveaway.id);
+      await updateGoalProgress(db, tracked);
+      await extendGiveaway(db, tracked, bits, subs);
+    }
+  }
+
+  return credited;
+}
+
+
+// =============================================================================
+
+
+/* Record a contribution from the provided user in the tracked giveaway given;
+ * the contribution is an object which contains the source of the contribution,
+ * the number of bits and subs it's for (which can be negative for manual
+ * adjustments), and optionally the number of channel point redemptions and
+ * bonus entries it gives, the tier of the subs, the number of months each gift
+ * was for, the weighted value of the subs (which is calculated from the tier
+ * and months if not given), the ID of the message that the contribution came
+ * from (or a list of messageIds, for a contribution that came from several
+ * messages) and, for manual adjustments, who made the adjustment and why.
+ *
+ * The contribution is added to the ledger and the totals for the user are then
+ * derived from it. If any of the messages of the contribution has already been
+ * seen, it's a duplicate delivery and is ignored; redemptions that would take
+ * the user past the configured limit for the giveaway are also ignored.
+ *
+ * This will add a new user to the gifters list for the giveaway if the user
+ * isn't already in the list, and it also makes sure to update both the in
+ * memory cache as well as the database. The return value is false if the
+ * contribution was ignored, or true if it was recorded. */
+async function recordContribution(db, twitch, tracked, user, contribution) {
+  const points = contribution.points || 0;
+
+  // Channel point redemptions only count up to a limit for each person, so
+  // that they can't drown out the people that gifted. Their totals are only
+  // updated once the contribution is recorded, so the redemptions are held
+  // against the limit until then; otherwise several that arrive together
+  // would all fit under it.
+  const maxPoints = config.get('points.maxPerUser');
+  const held = tracked.heldPoints[user.userId] || 0;
+  if (points > 0 && maxPoints !== 0 && (tracked.users[user.userId]?.points || 0) + held + points > maxPoints) {
+    console.log(`Giveaway: Rejecting update; ${user.userName} has reached the limit of ${maxPoints} redemptions`);
+    return false;
+  }
+
+  tracked.heldPoints[user.userId] = held + points;
+  try {
+    return await storeContribution(db, twitch, tracked, user, contribution);
+  } finally {
+    tracked.heldPoints[user.userId] -= points;
+  }
+}
+
+
+// =============================================================================
+
+
+/* Store a contribution for recordContribution() once it's known to be within
+ * the limit on redemptions; the return value is false if the contribution was
+ * a duplicate delivery, or true if it was recorded. */
+async function storeContribution(db, twitch, tracked, user, contribution) {
+  const { source, bits, subs } = contribution;
+  const points = contribution.points || 0;
+
+  // If this contribution came from a message that we've already seen, then
+  // Twitch delivered it more than once; only the first delivery counts.
+  const messageIds = (contribution.messageIds ?? [contribution.messageId]).filter(id => id !== undefined && id !== null);
+  const duplicate = await findRecordedMessage(db, messageIds, tracked.giveaway.id);
+  if (duplicate !== null) {
+    console.log(`Giveaway: Rejecting update; message ${duplicate} was already recorded`);
+    return false;
   }
 
   // We know that this is going to update some gifter information, so trigger an
   // update for the data; it's going to happen after a delay, so it's OK for us
   // to call this now, because the below code will finish running and capture
   // the data before the update actually happens.
-  transmitLeaderInfo(bits !== 0, subs !== 0);
+  transmitLeaderInfo(tracked, bits !== 0, subs !== 0, points !== 0);
 
   // Get the record for this giveaway participant out of the cache
-  let gifter = giveawayUsers[user.userId];
+  let gifter = tracked.users[user.userId];
 
   // If we didn't get a record, then we don't know anything about this particular
   // user in relation to this giveaway yet, so we need to insert a new gifter
-  // record for them.
+  // record for them; the totals start empty and are filled in from the ledger
+  // below.
   if (gifter === undefined) {
-    giveawayUsers[user.userId] = gifter = {
+    tracked.users[user.userId] = gifter = {
       id: objId(),
-      giveawayId: giveaway.id,
+      giveawayId: tracked.giveaway.id,
       userId: user.userId,
-      bits,
-      subs,
+      bits: 0,
+      subs: 0,
+      weightedSubs: 0,
+      points: 0,
+      entries: 0,
+      firstContribution: null,
+      lastContribution: null,
       gifter: {
         userId: user.userId,
         userName: user.userName,
@@ -782,8 +1854,6 @@ async function updateGifterInfo(db, twitch, user, bits, subs, force) {
             create: { ...user }
           },
         },
-        bits: gifter.bits,
-        subs: gifter.subs
       },
       include: {
         gifter: true
@@ -798,72 +1868,250 @@ async function updateGifterInfo(db, twitch, user, bits, subs, force) {
     // display name
     if (record.gifter.displayName === null) {
       // console.log(`=> Need to look up the display name for ${record.gifter.userName}`);
-      const userInfo = await twitch.api.users.getUserById(gifter.userId);
-      await db.user.update({
-        where: { userId: gifter.userId },
-        data: {
-          userName: userInfo.name,
-          displayName: userInfo.displayName
-        }
-      });
+      //
+      // If Twitch can't tell us, the display name stays unknown; that doesn't
+      // stop the contribution from counting.
+      try {
+        const userInfo = await twitch.api.users.getUserById(gifter.userId);
+        await db.user.update({
+          where: { userId: gifter.userId },
+          data: {
+            userName: userInfo.name,
+            displayName: userInfo.displayName
+          }
+        });
+      } catch (err) {
+        console.log(`Giveaway: Unable to look up the display name of ${gifter.userId}: ${err}`);
+      }
 
       // console.log(`=> Updated information: ${userInfo.id}/${userInfo.name}/${userInfo.displayName}`);
     }
+  }
+
+  // Add the contribution to the ledger, and then update the totals for this
+  // gifter based on it.
+  await db.contribution.create({
+    data: {
+      id: objId(),
+      giveawayId: gifter.giveawayId,
+      userId: gifter.userId,
+      source,
+      bits,
+      subs,
+      subTier: contribution.subTier || null,
+      months: contribution.months || 1,
+      weightedSubs: contribution.weightedSubs ?? subs * weightedSubValue(contribution.subTier, contribution.months),
+      points,
+      entries: contribution.entries || 0,
+      messageId: messageIds[0] ?? null,
+      messages: {
+        create: messageIds.slice(1).map(messageId => ({ id: objId(), giveawayId: gifter.giveawayId, messageId }))
+      },
+      actor: contribution.actor || null,
+      reason: contribution.reason || null
+    }
+  });
 
+  await deriveGifterTotals(db, gifter);
+  // console.log(`Updated gifter record: ${JSON.stringify(gifter)}`);
+
+  return true;
+}
+
+
+// =============================================================================
+
+
+/* Given a list of message IDs, return back the first of them that has already
+ * been recorded in the contribution ledger, either as the message of a
+ * contribution or as one of the other messages it was made from; the return
+ * value is null if none of them have been. When a giveawayId is given, only
+ * the contributions to that giveaway are considered. */
+async function findRecordedMessage(db, messageIds, giveawayId) {
+  if (messageIds.length === 0) {
+    return null;
+  }
+
+  const where = { giveawayId, messageId: { in: messageIds } };
+  const existing = await db.contribution.findFirst({ where }) ?? await db.contributionMessage.findFirst({ where });
+
+  return existing?.messageId ?? null;
+}
+
+
+// =============================================================================
+
+
+/* Queue up a gifted sub from the provided user; the gift is an object that has
+ * the source, tier, months and message ID of the gift. A gift whose message
+ * has already been recorded is a duplicate delivery, and is ignored.
+ *
+ * Rather than being recorded right away, gifts from the same gifter are held
+ * until no more have arrived for a short time, and then recorded together as a
+ * single contribution; this turns a community gift bomb into one ledger entry
+ * and one leaderboard update. If the configured window is 0, gifts are not
+ * held at all, and each is recorded as soon as it arrives. */
+async function queueGiftSub(db, twitch, user, gift) {
+  const key = [user.userId, gift.subTier, gift.months, gift.source].join(':');
+
+  if (gift.messageId !== null && await findRecordedMessage(db, [gift.messageId]) !== null) {
+    console.log(`Giveaway: Rejecting gift; message ${gift.messageId} was already recorded`);
     return;
   }
 
-  // We have a record for this gifter; update the record in memory and then
-  // flush it to the database.
-  gifter.bits += bits;
-  gifter.subs += subs;
+  let burst = giftBursts[key];
+  if (burst === undefined) {
+    giftBursts[key] = burst = {
+      user,
+      twitch,
+      source: gift.source,
+      subTier: gift.subTier,
+      months: gift.months,
+      count: 0,
+      messageIds: [],
+      timer: undefined
+    };
+  }
 
-  // console.log(`Updated gifter record: ${JSON.stringify(gifter)}`);
-  await db.gifter.update({
-    where: { id: gifter.id },
-    data: {
-      bits: {
-        increment: bits
-      },
-      subs: {
-        increment: subs
-      }
-    },
+  // If this message is already in the burst, Twitch delivered it twice.
+  if (gift.messageId !== null && burst.messageIds.includes(gift.messageId)) {
+    console.log(`Giveaway: Rejecting gift; message ${gift.messageId} was already queued`);
+    return;
+  }
+
+  burst.count++;
+  if (gift.messageId !== null) {
+    burst.messageIds.push(gift.messageId);
+  }
+
+  clearTimeout(burst.timer);
+
+  const delay = config.get('giftBomb.window');
+  if (delay === 0) {
+    return recordGiftBurst(db, key);
+  }
+
+  burst.timer = setTimeout(() => recordGiftBurst(db, key).catch(err =>
+    console.log(`Giveaway: Unable to record the gifts from ${burst.user.userName}: ${err}`)), delay);
+}
+
+
+// =============================================================================
+
+
+/* Record all of the gifts that were collected in the burst of gifted subs with
+ * the given key as a single contribution, along with the IDs of all of the
+ * messages they came from. If the burst is large enough to be a gift bomb, let
+ * everyone know for each giveaway it was credited to, so that it can be
+ * celebrated. */
+async function recordGiftBurst(db, key) {
+  const burst = giftBursts[key];
+  delete giftBursts[key];
+
+  const credited = await updateGifterInfo(db, burst.twitch, burst.user, {
+    source: burst.source,
+    bits: 0,
+    subs: burst.count,
+    subTier: burst.subTier,
+    months: burst.months,
+    messageIds: burst.messageIds,
   });
+
+  if (credited.length === 0 || burst.count < config.get('giftBomb.minimum')) {
+    return;
+  }
+
+  console.log(`Giveaway: Gift bomb of ${burst.count} subs from ${burst.user.userName}`);
+  credited.forEach(giveawayId => broadcastSocketMessage('giveaway-gift-bomb', {
+    giveawayId,
+    userId: burst.user.userId,
+    userName: burst.user.userName,
+    displayName: burst.user.displayName || burst.user.userName,
+    count: burst.count,
+    subTier: burst.subTier,
+    months: burst.months,
+    weighted: burst.count * weightedSubValue(burst.subTier, burst.months),
+  }));
 }
 
 
 // =============================================================================
 
-/* Handle an incoming channel point redemption PubSub message. This will trigger
- * for any custom defined channel point redemption in the channel; it does not
- * however trigger for built in channel point redeems, since Twitch handles them
- * itself. */
-async function handlePubSubRedemption(db, twitch, msg) {
-  console.log("-----------------------------");
-  console.log(`rewardTitle: ${msg.rewardTitle}`);          // rewardTitle: /dev/null
-  console.log(`rewardId: ${msg.rewardId}`);                // rewardId: 648252cf-1b6d-409a-a901-1764f5abdd28
-  console.log(`userDisplayName: ${msg.userDisplayName}`);  // userDisplayName: OdatNurd
-  // console.log(`channelId: ${msg.channelId}`);              // channelId: 66586458
-  // console.log(`defaultImage: ${msg.defaultImage}`);        // defaultImage: [object Object]
-  // console.log(`id: ${msg.id}`);                            // id: d113cb94-13d3-487f-ab40-dd1d707df4e2
-  // console.log(`message: ${msg.message}`);                  // message: like this
-  // console.log(`redemptionDate: ${msg.redemptionDate}`);    // redemptionDate: Fri Jan 14 2022 22:50:25 GMT-0800 (Pacific Standard Time)
-  // console.log(`rewardCost: ${msg.rewardCost}`);            // rewardCost: 100
-  // console.log(`rewardImage: ${msg.rewardImage}`);          // rewardImage: [object Object]
-  // console.log(`rewardIsQueued: ${msg.rewardIsQueued}`);    // rewardIsQueued: false
-  // console.log(`rewardPrompt: ${msg.rewardPrompt}`);        // rewardPrompt: Consign your custom message to the bit bucket
-  // console.log(`status: ${msg.status}`);                    // status: FULFILLED
-  // console.log(`userId: ${msg.userId}`);                    // userId: 66586458
-  // console.log(`userName: ${msg.userName}`);                // userName: odatnurd
-  console.log("-----------------------------");
 
-  // If there is an incoming redemption configured, and this is it, then we want
-  // to react to it by sending off the configured chat message.
-  if (msg.rewardId === config.get('pointRedeem.rewardId')) {
-    chatSay(config.get('pointRedeem.chatText').replace('%USERNAME%', msg.userDisplayName));
+/* Given a PubSub message, return back a string that uniquely identifies that
+ * message, so that duplicate deliveries of the same message can be detected.
+ *
+ * Bits messages carry their own ID; subscription messages don't, so an ID is
+ * built from the parts of the message that identify that specific sub. Messages
+ * that don't come from Twitch (such as those from the test panel) have no raw
+ * data, and so have no ID. */
+function getMsgId(msg) {
+  const raw = getRawData(msg);
+  if (raw === undefined) {
+    return null;
+  }
+
+  if (raw.message_id !== undefined) {
+    return raw.message_id;
+  }
+
+  return `sub:${raw.user_id}:${raw.recipient_id || ''}:${raw.time}`;
+}
+
+
+// =============================================================================
+
+/* Give the provided user the number of bonus entries given in every giveaway
+ * that is actively running, as the result of them redeeming a channel point
+ * reward; the message ID is the ID of the redemption, so that the same
+ * redemption is only counted once.
+ *
+ * The return value is a (possibly empty) list of the IDs of the giveaways that
+ * the entries were given in. */
+async function addRewardEntries(db, twitch, user, entries, messageId) {
+  return updateGifterInfo(db, twitch, user, {
+    source: 'pubsub-reward',
+    bits: 0,
+    subs: 0,
+    entries,
+    messageId,
+  });
+}
+
+
+// =============================================================================
+
+
+/* Handle a redemption of the channel point reward that counts as a contribution
+ * to giveaways by the provided user; the message ID is the ID of the
+ * redemption, so that the same redemption is only counted once.
+ *
+ * The return value is an object with a success field that indicates whether
+ * the redemption counted in any giveaway; when it didn't, the reason field
+ * says why. */
+async function handlePointsRedemption(db, twitch, user, messageId) {
+  const credited = await updateGifterInfo(db, twitch, user, {
+    source: 'pubsub-points',
+    bits: 0,
+    subs: 0,
+    points: 1,
+    messageId,
+  });
+
+  if (credited.length !== 0) {
+    return { success: true };
   }
-};
+
+  // Nothing was credited; either there's nothing to credit, or this person has
+  // already redeemed as many times as they're allowed to.
+  const running = trackedGiveaways().filter(tracked =>
+                    giveawayRunning(tracked.giveaway) === true && tracked.giveaway.paused === false);
+  if (running.length === 0) {
+    return { success: false, reason: 'there is no giveaway running' };
+  }
+
+  return { success: false, reason: `only ${config.get('points.maxPerUser')} redemptions count in each giveaway` };
+}
 
 
 // =============================================================================
@@ -871,8 +2119,11 @@ async function handlePubSubRedemption(db, twitch, msg) {
 
 /* Handle an incoming subscription PubSub message. This triggers for all
  * subscriptions, though we're primarily interested in gift subscriptions for
- * our purposes here. */
-async function handlePubSubSubscription(db, twitch, msg) {
+ * our purposes here.
+ *
+ * The source is recorded in the contribution ledger; it's only provided when
+ * the message did not actually come from Twitch PubSub. */
+async function handlePubSubSubscription(db, twitch, msg, source) {
   console.log("-----------------------------");
   // console.log(`cumulativeMonths: ${msg.cumulativeMonths}`);   // cumulativeMonths: 11                                            cumulativeMonths: 1
   // console.log(`giftDuration: ${msg.giftDuration}`);           // giftDuration: null                                              giftDuration: 1
@@ -899,8 +2150,14 @@ async function handlePubSubSubscription(db, twitch, msg) {
     return;
   }
 
-  // Track this as a gift sub for the gifting user.
-  await updateGifterInfo(db, twitch, getMsgUser(msg), 0, 1, false);
+  // Track this as a gift sub for the gifting user; it's queued up with any
+  // other subs they're gifting at the same time.
+  await queueGiftSub(db, twitch, getMsgUser(msg), {
+    source: source || 'pubsub-subs',
+    subTier: (msg.subPlan !== undefined) ? String(msg.subPlan) : null,
+    months: msg.giftDuration || 1,
+    messageId: getMsgId(msg),
+  });
 
   // broadcastSocketMessage('twitch-sub', {
   //   gifterDisplayName: msg.gifterDisplayName,
@@ -916,8 +2173,11 @@ async function handlePubSubSubscription(db, twitch, msg) {
 
 
 /* Handle an incoming bit cheer PubSub message. This is triggered for all cheers
- * that occur. */
-async function handlePubSubBits(db, twitch, msg) {
+ * that occur.
+ *
+ * The source is recorded in the contribution ledger; it's only provided when
+ * the message did not actually come from Twitch PubSub. */
+async function handlePubSubBits(db, twitch, msg, source) {
   console.log("-----------------------------");
   console.log(`bits: ${msg.bits}`);                // bits: 100
   console.log(`isAnonymous: ${msg.isAnonymous}`);  // isAnonymous: false
@@ -934,7 +2194,12 @@ async function handlePubSubBits(db, twitch, msg) {
   }
 
   // Track this as addition bits for this particular user.
-  await updateGifterInfo(db, twitch, getMsgUser(msg), msg.bits, 0, false);
+  await updateGifterInfo(db, twitch, getMsgUser(msg), {
+    source: source || 'pubsub-bits',
+    bits: msg.bits,
+    subs: 0,
+    messageId: getMsgId(msg),
+  });
 
   // broadcastSocketMessage('twitch-bits', {
   //   bits: msg.bits,
@@ -952,7 +2217,10 @@ async function handlePubSubBits(db, twitch, msg) {
 
 module.exports = {
   setupGiveawayHandler,
-  handlePubSubRedemption,
+  startGiveaway,
+  giveawayTextVariables,
+  addRewardEntries,
+  handlePointsRedemption,
   handlePubSubSubscription,
   handlePubSubBits,
 }
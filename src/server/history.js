@@ -0,0 +1,160 @@
+// =============================================================================
+
+
+/* Some helper functions for sending results of queries back to the initiating
+ * client end. */
+const error = (res, reason) => res.json({ success: false, reason })
+
+
+// =============================================================================
+
+
+/* Given a giveaway record from the database, return back a simple string that
+ * describes what state the giveaway is in; one of 'cancelled', 'ended',
+ * 'paused' or 'running'.
+ *
+ * A giveaway that was running when the application last stopped is paused on
+ * the next start, so the state of the most recent giveaway may lag slightly
+ * behind the live state of a running one. */
+function giveawayState(giveaway) {
+  if (giveaway.cancelled === true) {
+    return 'cancelled';
+  }
+
+  if (giveaway.endTime !== null || giveaway.elapsedTime >= giveaway.duration) {
+    return 'ended';
+  }
+
+  return giveaway.paused ? 'paused' : 'running';
+}
+
+
+// =============================================================================
+
+
+/* Given a giveaway record from the database, return back a version of it that
+ * is suitable for transmitting in a history response; this includes the state
+ * of the giveaway, the owner and the results of any prize drawing.
+ *
+ * The Gifter and owner fields are expected to have been included in the query
+ * that produced the record; they are removed from the result. */
+function describeGiveaway(entry) {
+  const { Gifter, owner, winners, drawRates, drawEntries, earlierDraws, ...giveaway } = entry;
+
+  return {
+    ...giveaway,
+    ownerName: owner.displayName || owner.userName,
+    state: giveawayState(entry),
+    winners: (winners !== null) ? JSON.parse(winners) : [],
+    drawRates: (drawRates !== null) ? JSON.parse(drawRates) : null,
+    drawEntries: (drawEntries !== null) ? JSON.parse(drawEntries) : [],
+    earlierDraws: (earlierDraws !== null) ? JSON.parse(earlierDraws) : [],
+  };
+}
+
+
+// =============================================================================
+
+
+/* Return back a list of all of the giveaways that have been run, most recent
+ * first, along with the totals for each. The request can optionally specify a
+ * userId to return only the giveaways that were run for that user.
+ *
+ * Every entry in the list contains the giveaway information along with the
+ * number of people that participated and the total bits and subs given. */
+async function listGiveaways(db, req, res) {
+  const where = (req.query.userId !== undefined) ? { userId: req.query.userId } : {};
+
+  const entries = await db.giveaway.findMany({
+    where,
+    orderBy: { startTime: 'desc' },
+    include: { owner: true, Gifter: true },
+  });
+
+  res.json(entries.map(entry => ({
+    ...describeGiveaway(entry),
+    gifters: entry.Gifter.length,
+    bits: entry.Gifter.reduce((total, gifter) => total + gifter.bits, 0),
+    subs: entry.Gifter.reduce((total, gifter) => total + gifter.subs, 0),
+  })));
+}
+
+
+// =============================================================================
+
+
+/* Return back the full details of a single giveaway, as specified by the id in
+ * the request; this contains the giveaway information along with a list of
+ * every person that participated, sorted by user name, including how many
+ * bits and subs each of them gave. */
+async function giveawayReport(db, req, res) {
+  const entry = await db.giveaway.findUnique({
+    where: { id: String(req.query.id) },
+    include: { owner: true, Gifter: { include: { gifter: true } } },
+  });
+
+  if (entry === null) {
+    return error(res, 'there is no giveaway with that ID');
+  }
+
+  const gifters = entry.Gifter.map(record => ({
+    userId: record.userId,
+    userName: record.gifter.userName,
+    displayName: record.gifter.displayName || record.gifter.userName,
+    bits: record.bits,
+    subs: record.subs,
+    weightedSubs: record.weightedSubs,
+    points: record.points,
+    entries: record.entries,
+  }));
+  gifters.sort((left, right) => left.userName.localeCompare(right.userName));
+
+  res.json({ ...describeGiveaway(entry), gifters });
+}
+
+
+// =============================================================================
+
+
+/* Return back the contribution ledger for a single giveaway, as specified by the
+ * id in the request, in the order that the contributions happened. The request
+ * can optionally specify a userId to return only the contributions made by that
+ * user. */
+async function giveawayLedger(db, req, res) {
+  const where = { giveawayId: String(req.query.id) };
+  if (req.query.userId !== undefined) {
+    where.userId = req.query.userId;
+  }
+
+  const entries = await db.contribution.findMany({
+    where,
+    orderBy: { timestamp: 'asc' },
+    include: { contributor: true },
+  });
+
+  res.json(entries.map(({ contributor, ...entry }) => ({
+    ...entry,
+    userName: contributor.userName,
+    displayName: contributor.displayName || contributor.userName,
+  })));
+}
+
+
+// =============================================================================
+
+
+/* This sets up the routes that allow for browsing the history of all of the
+ * giveaways that have been run, which is used by the history page. */
+function setupGiveawayHistory(db, app) {
+  app.get('/history/giveaways', (req, res) => listGiveaways(db, req, res));
+  app.get('/history/giveaway', (req, res) => giveawayReport(db, req, res));
+  app.get('/history/ledger', (req, res) => giveawayLedger(db, req, res));
+}
+
+
+// =============================================================================
+
+
+module.exports = {
+  setupGiveawayHistory,
+}
@@ -15,7 +15,12 @@ const { setupTwitchPubSub } = require('./pubsub');
 const { setupEventTesting } = require('./testing');
 const { setupTwitchChat, chatSay } = require('./chat');
 const { setupGiveawayHandler } = require('./giveaway');
+const { setupGiveawaySchedule } = require('./schedule');
+const { setupGiveawayHistory } = require('./history');
 const { setupDropGame } = require('./drop_commands');
+const { setupDropStats } = require('./drop_stats');
+const { setupTextCommands } = require('./text_commands');
+const { setupRewardActions } = require('./rewards');
 
 const { EventEmitter } = require("events");
 
@@ -49,6 +54,9 @@ async function launch() {
       socketPort: config.get('server.socketPort'),
       bitsLeadersCount: config.get('leaderboard.bitsLeadersCount'),
       subsLeadersCount: config.get('leaderboard.subsLeadersCount'),
+      pointsLeadersCount: config.get('leaderboard.pointsLeadersCount'),
+      subsView: config.get('leaderboard.subsView'),
+      dropTargets: config.get('dropGame.targets'),
       overlays: await db.overlay.findMany({})
     });
   });
@@ -64,7 +72,12 @@ async function launch() {
   setupTwitchAuthorization(db, app, bridge);
   setupEventTesting(db, app, bridge);
   setupGiveawayHandler(db, app, bridge);
+  setupGiveawaySchedule(db, app, bridge);
+  setupGiveawayHistory(db, app);
   setupDropGame(bridge, chatSay);
+  setupDropStats(db, app, bridge);
+  setupTextCommands(db, app, bridge);
+  setupRewardActions(db, app, bridge);
 
   // Set up some middleware that will serve static files out of the public folder
   // so that we don't have to inline the pages in code.
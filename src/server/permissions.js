@@ -0,0 +1,72 @@
+// =============================================================================
+
+
+/* The roles that a user can have in the chat, in order from the least to the
+ * most privileged; a user that has a particular role is considered to also
+ * have every role that comes before it in this list. */
+const roles = ['everyone', 'subscriber', 'vip', 'moderator', 'broadcaster'];
+
+
+// =============================================================================
+
+
+/* Given the Twurple ChatUser information for someone in the chat, return back
+ * the most privileged role that they have, as the index of that role in the
+ * list of roles. Founders are counted as subscribers, since that is what they
+ * are. */
+function userRoleLevel(userInfo) {
+  if (userInfo.isBroadcaster === true) {
+    return roles.indexOf('broadcaster');
+  }
+  if (userInfo.isMod === true) {
+    return roles.indexOf('moderator');
+  }
+  if (userInfo.isVip === true) {
+    return roles.indexOf('vip');
+  }
+  if (userInfo.isSubscriber === true || userInfo.isFounder === true) {
+    return roles.indexOf('subscriber');
+  }
+
+  return roles.indexOf('everyone');
+}
+
+
+// =============================================================================
+
+
+/* Given a permission and the Twurple ChatUser information for someone in the
+ * chat, return back an indication of whether that person has the permission.
+ *
+ * A permission is an object that contains the minimum role that is needed, and
+ * optionally lists of user names that are always allowed (regardless of their
+ * role) and that are never allowed (regardless of their role or being in the
+ * allow list). The broadcaster always has every permission, so that they can't
+ * lock themselves out. */
+function hasPermission(permission, userInfo) {
+  const userName = userInfo.userName.toLowerCase();
+  const inList = list => (list || []).some(name => name.toLowerCase() === userName);
+
+  if (userInfo.isBroadcaster === true) {
+    return true;
+  }
+
+  if (inList(permission.deny) === true) {
+    return false;
+  }
+
+  if (inList(permission.allow) === true) {
+    return true;
+  }
+
+  return userRoleLevel(userInfo) >= roles.indexOf(permission.role || 'everyone');
+}
+
+
+// =============================================================================
+
+
+module.exports = {
+  roles,
+  hasPermission,
+}
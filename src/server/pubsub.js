@@ -2,7 +2,8 @@
 
 
 const { SingleUserPubSubClient } = require('@twurple/pubsub');
-const { handlePubSubRedemption, handlePubSubSubscription, handlePubSubBits } = require('./giveaway');
+const { handlePubSubSubscription, handlePubSubBits } = require('./giveaway');
+const { handlePubSubRedemption } = require('./rewards');
 
 
 // =============================================================================
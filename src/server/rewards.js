@@ -0,0 +1,497 @@
+// =============================================================================
+
+/* Channel point rewards can be set up to take any number of actions when they
+ * are redeemed; each action is stored in the database and can be added,
+ * changed and removed from the panel at runtime. The actions are:
+ *   - 'chat'     send some text to the chat; the text can contain the same
+ *                variables as a text command, along with %REWARD% (the title
+ *                of the reward) and %MESSAGE% (the text the user entered, if
+ *                the reward asks for any)
+ *   - 'drop'     make a drop in the drop game, the same as if the user that
+ *                redeemed the reward used the !drop command
+ *   - 'entries'  give the user bonus entries in every running giveaway
+ *   - 'socket'   send an event to all connected sockets of a particular role
+ *
+ * In addition to these, the reward in the pointRedeem configuration (if any)
+ * still sends its configured text to the chat, and redemptions of the reward in
+ * the points configuration (if any) count as contributions to giveaways.
+ *
+ * Once a redemption of a reward that we handle has been dealt with, it's marked
+ * as fulfilled in the reward queue; if none of what it asked for could be done,
+ * it's instead refunded and the chat is told why. A redemption where only some
+ * of it could be done is still fulfilled, since what was done (such as giving
+ * out giveaway entries) can't be taken back. The rules for this can be changed
+ * for each reward in the configuration.
+ *
+ * The functions here can generate the following events:
+ *   - 'reward-actions'
+ *        The body is an array of reward action records, sorted by the title of
+ *        the reward; each contains the ID of the action, the ID and title of
+ *        the reward, the action, its text, entries, role and event (only some
+ *        of which are used, depending on the action) and its enabled state.
+ *
+ *      Sent when:
+ *         - A client connects to us
+ *         - A reward action is added, changed or removed
+ *
+ *   - The event of any socket action, sent to the role of that action
+ *        The body is an object that contains the ID and title of the reward,
+ *        the user ID, user name and display name of the user that redeemed it,
+ *        and the text that they entered, if any.
+ *
+ *      Sent when:
+ *         - A reward with a socket action is redeemed
+ */
+
+const { config } = require('./config');
+const { objId } = require('./db');
+const { chatSay } = require('./chat');
+const { broadcastSocketMessage, sendSocketMessage, roleConnectionCount } = require('./socket');
+const { addRewardEntries, handlePointsRedemption } = require('./giveaway');
+const { triggerDrop } = require('./drop_commands');
+const { fillTextVariables } = require('./text_commands');
+
+
+/* The kinds of action that a channel point reward can take. */
+const rewardActionTypes = ['chat', 'drop', 'entries', 'socket'];
+
+/* The list of reward actions, sorted by the title of the reward; these are
+ * loaded from the database at startup. */
+let rewardActions = [];
+
+/* Information on the currently authorized user, if any; this is needed in order
+ * to look up the custom rewards in the channel and to give out entries. */
+let twitchInfo = {};
+
+/* Some helper functions for sending results of queries back to the initiating
+ * client end. */
+const success = res => res.json({ success: true });
+const error = (res, reason) => res.json({ success: false, reason })
+
+
+// =============================================================================
+
+
+/* Send out the current list of reward actions to the specific socket given if
+ * there is one, or to all connected sockets if not. */
+function transmitRewardActions(socket) {
+  if (socket !== undefined) {
+    socket.emit('reward-actions', rewardActions);
+  } else {
+    broadcastSocketMessage('reward-actions', rewardActions);
+  }
+}
+
+
+// =============================================================================
+
+
+/* Sort the list of reward actions so that all of the actions for the same
+ * reward are together. */
+function sortRewardActions() {
+  rewardActions.sort((left, right) => left.rewardTitle.localeCompare(right.rewardTitle) ||
+                                      left.rewardId.localeCompare(right.rewardId));
+}
+
+
+// =============================================================================
+
+
+/* Given the redemption information for a channel point reward, take the reward
+ * action provided.
+ *
+ * The return value is an object with a success field that indicates whether
+ * the action could be taken; when it could not, the reason field says why. */
+async function performRewardAction(db, action, redemption) {
+  switch (action.action) {
+    case 'chat':
+      chatSay(fillTextVariables(action.text, redemption.displayName, {
+        '%REWARD%': redemption.rewardTitle,
+        '%MESSAGE%': redemption.message
+      }));
+      break;
+
+    case 'drop':
+      return triggerDrop(redemption);
+
+    case 'entries': {
+      const user = {
+        userId: redemption.userId,
+        userName: redemption.userName,
+        displayName: redemption.displayName
+      };
+      const credited = await addRewardEntries(db, twitchInfo, user, action.entries, redemption.id);
+      if (credited.length === 0) {
+        return { success: false, reason: 'there is no giveaway running' };
+      }
+      break;
+    }
+
+    case 'socket':
+      if (roleConnectionCount(action.role) === 0) {
+        return { success: false, reason: `nothing is listening for ${action.event}` };
+      }
+
+      sendSocketMessage(action.role, action.event, {
+        rewardId: redemption.rewardId,
+        rewardTitle: redemption.rewardTitle,
+        userId: redemption.userId,
+        userName: redemption.userName,
+        displayName: redemption.displayName,
+        message: redemption.message
+      });
+      break;
+  }
+
+  return { success: true };
+}
+
+
+// =============================================================================
+
+
+/* Given the redemption information for a channel point reward that we handle,
+ * its current status in the reward queue and, if none of what the redemption
+ * asked for could be done, the result of the first thing that failed, update
+ * the status of the redemption based on the rules for the reward.
+ *
+ * Successful redemptions are marked as fulfilled; failed ones are refunded,
+ * with a message in the chat to say why. Redemptions of rewards that skip the
+ * reward queue are already fulfilled, and can't be changed. */
+async function resolveRedemption(twitch, redemption, status, failure) {
+  const rules = {
+    fulfill: config.get('pointRedeem.fulfill'),
+    refund: config.get('pointRedeem.refund'),
+    ...config.get('pointRedeem.rules')[redemption.rewardId]
+  };
+
+  if (failure !== undefined) {
+    console.log(`Rewards: The redemption of ${redemption.rewardTitle} by ${redemption.userName} failed: ${failure.reason}`);
+  }
+
+  const newStatus = (failure === undefined) ? (rules.fulfill && 'FULFILLED') : (rules.refund && 'CANCELED');
+  if (newStatus === false || status !== 'UNFULFILLED' || twitch.userInfo === undefined) {
+    return;
+  }
+
+  // Authorizations from before redemptions were managed can't change them.
+  if (twitch.missingScopes.includes('channel:manage:redemptions') === true) {
+    console.log(`Rewards: Unable to mark the redemption of ${redemption.rewardTitle} as ${newStatus}; ` +
+                `authorize the overlay again to allow redemptions to be managed`);
+    return;
+  }
+
+  try {
+    await twitch.api.channelPoints.updateRedemptionStatusByIds(twitch.userInfo.id, redemption.rewardId,
+                                                               [redemption.id], newStatus);
+  } catch (err) {
+    console.log(`Rewards: Unable to mark the redemption of ${redemption.rewardTitle} as ${newStatus}: ${err}`);
+    return;
+  }
+
+  if (newStatus === 'CANCELED') {
+    chatSay(config.get('pointRedeem.refundText')
+                  .replace('%USERNAME%', redemption.displayName)
+                  .replace('%REWARD%', redemption.rewardTitle)
+                  .replace('%REASON%', failure.reason));
+  }
+}
+
+
+// =============================================================================
+
+
+/* Take one of the things that a redemption asks for, by calling the given
+ * function to get its result; anything that it throws counts as a failure, so
+ * that the rest of the redemption is still dealt with. The description says
+ * what is being done, for the log. */
+async function attemptRedemption(redemption, description, handler) {
+  try {
+    return await handler();
+  } catch (err) {
+    console.log(`Rewards: Error while trying to ${description} for the redemption of ${redemption.rewardTitle} by ${redemption.userName}: ${err}`);
+    return { success: false, reason: 'something went wrong while handling it' };
+  }
+}
+
+
+// =============================================================================
+
+
+/* Handle an incoming channel point redemption PubSub message. This will trigger
+ * for any custom defined channel point redemption in the channel; it does not
+ * however trigger for built in channel point redeems, since Twitch handles them
+ * itself.
+ *
+ * Every enabled action that is set up for the reward is taken, and then the
+ * redemption is marked as fulfilled, or refunded if none of it could be done. */
+async function handlePubSubRedemption(db, twitch, msg) {
+  console.log("-----------------------------");
+  console.log(`rewardTitle: ${msg.rewardTitle}`);          // rewardTitle: /dev/null
+  console.log(`rewardId: ${msg.rewardId}`);                // rewardId: 648252cf-1b6d-409a-a901-1764f5abdd28
+  console.log(`userDisplayName: ${msg.userDisplayName}`);  // userDisplayName: OdatNurd
+  // console.log(`channelId: ${msg.channelId}`);              // channelId: 66586458
+  // console.log(`defaultImage: ${msg.defaultImage}`);        // defaultImage: [object Object]
+  // console.log(`id: ${msg.id}`);                            // id: d113cb94-13d3-487f-ab40-dd1d707df4e2
+  // console.log(`message: ${msg.message}`);                  // message: like this
+  // console.log(`redemptionDate: ${msg.redemptionDate}`);    // redemptionDate: Fri Jan 14 2022 22:50:25 GMT-0800 (Pacific Standard Time)
+  // console.log(`rewardCost: ${msg.rewardCost}`);            // rewardCost: 100
+  // console.log(`rewardImage: ${msg.rewardImage}`);          // rewardImage: [object Object]
+  // console.log(`rewardIsQueued: ${msg.rewardIsQueued}`);    // rewardIsQueued: false
+  // console.log(`rewardPrompt: ${msg.rewardPrompt}`);        // rewardPrompt: Consign your custom message to the bit bucket
+  // console.log(`status: ${msg.status}`);                    // status: FULFILLED
+  // console.log(`userId: ${msg.userId}`);                    // userId: 66586458
+  // console.log(`userName: ${msg.userName}`);                // userName: odatnurd
+  console.log("-----------------------------");
+
+  const redemption = {
+    id: msg.id,
+    rewardId: msg.rewardId,
+    rewardTitle: msg.rewardTitle,
+    userId: msg.userId,
+    userName: msg.userName,
+    displayName: msg.userDisplayName,
+    message: msg.message || ''
+  };
+
+  // Gather the results of everything that this reward does; if there is
+  // nothing, then this isn't a reward we handle.
+  const results = [];
+
+  // If there is an incoming redemption configured, and this is it, then we want
+  // to react to it by sending off the configured chat message.
+  if (msg.rewardId === config.get('pointRedeem.rewardId')) {
+    chatSay(config.get('pointRedeem.chatText').replace('%USERNAME%', msg.userDisplayName));
+    results.push({ success: true });
+  }
+
+  // Redemptions of the reward for giveaways count as contributions to every
+  // giveaway that's running.
+  if (msg.rewardId === config.get('points.rewardId')) {
+    const user = { userId: msg.userId, userName: msg.userName, displayName: msg.userDisplayName };
+    results.push(await attemptRedemption(redemption, 'count the contribution',
+                                         () => handlePointsRedemption(db, twitchInfo, user, msg.id)));
+  }
+
+  const actions = rewardActions.filter(action => action.rewardId === msg.rewardId && action.enabled === true);
+  for (const action of actions) {
+    results.push(await attemptRedemption(redemption, `take the ${action.action} action`,
+                                         () => performRewardAction(db, action, redemption)));
+  }
+
+  if (results.length === 0) {
+    return;
+  }
+
+  // Only refund when nothing was done; the things that failed in a redemption
+  // that was otherwise carried out are only logged.
+  const failures = results.filter(result => result.success === false);
+  if (failures.length !== 0 && failures.length !== results.length) {
+    failures.forEach(failure => console.log(`Rewards: Part of the redemption of ${redemption.rewardTitle} by ${redemption.userName} failed: ${failure.reason}`));
+  }
+
+  await resolveRedemption(twitch, redemption, msg.status,
+                          (failures.length === results.length) ? failures[0] : undefined);
+}
+
+
+// =============================================================================
+
+
+/* Return back the list of custom channel point rewards that exist in the
+ * channel of the authorized user, so that the panel can offer them as choices
+ * for reward actions. Each reward contains its ID, title and cost. */
+async function listChannelRewards(req, res) {
+  if (twitchInfo.userInfo === undefined) {
+    return error(res, 'the overlay is not authorized for twitch; cannot look up rewards');
+  }
+
+  // This fails for channels that don't have channel points, such as those that
+  // are not affiliates or partners.
+  try {
+    const rewards = await twitchInfo.api.channelPoints.getCustomRewards(twitchInfo.userInfo.id);
+    res.json({
+      success: true,
+      rewards: rewards.map(reward => ({ id: reward.id, title: reward.title, cost: reward.cost }))
+    });
+  } catch (err) {
+    console.log(`Rewards: Unable to look up channel rewards: ${err}`);
+    error(res, 'unable to look up the channel point rewards for the channel');
+  }
+}
+
+
+// =============================================================================
+
+
+/* Given a request to add or change a reward action, parse out and validate the
+ * details of the action, returning back either an object with the fields of
+ * the action or a string that describes the reason that the request isn't
+ * valid. Fields that the action doesn't use are left empty. */
+function parseRewardActionRequest(req) {
+  const details = {
+    rewardId: (req.query.rewardId || '').trim(),
+    rewardTitle: (req.query.rewardTitle || '').trim(),
+    action: req.query.action,
+    text: '',
+    entries: 0,
+    role: '',
+    event: '',
+    enabled: req.query.enabled !== 'false'
+  };
+
+  if (details.rewardId === '') {
+    return 'a channel point reward must be selected';
+  }
+
+  if (rewardActionTypes.includes(details.action) === false) {
+    return `the action must be one of: ${rewardActionTypes.join(', ')}`;
+  }
+
+  switch (details.action) {
+    case 'chat':
+      details.text = (req.query.text || '').trim();
+      if (details.text === '' || details.text.length > 500) {
+        return 'the text to send must be from 1 to 500 characters long';
+      }
+      break;
+
+    case 'entries':
+      details.entries = parseInt(req.query.entries || '1', 10);
+      if (isNaN(details.entries) || details.entries < 1) {
+        return 'the number of entries must be at least 1';
+      }
+      break;
+
+    case 'socket':
+      details.role = (req.query.role || '').trim();
+      details.event = (req.query.event || '').trim();
+      if (/^[a-z0-9_-]+$/i.test(details.role) === false || /^[a-z0-9_-]+$/i.test(details.event) === false) {
+        return 'the role and event must be letters, numbers, dashes or underscores';
+      }
+      break;
+  }
+
+  return details;
+}
+
+
+// =============================================================================
+
+
+/* Add a new reward action. The request expects the ID and title of the reward,
+ * the action to take and whether it's enabled, along with the text, entries or
+ * role and event that the action needs. */
+async function addRewardAction(db, req, res) {
+  const details = parseRewardActionRequest(req);
+  if (typeof details === 'string') {
+    return error(res, details);
+  }
+
+  console.log(`Rewards: New ${details.action} action for ${details.rewardTitle || details.rewardId}`);
+  const entry = await db.rewardAction.create({
+    data: { id: objId(), ...details }
+  });
+
+  rewardActions.push(entry);
+  sortRewardActions();
+
+  transmitRewardActions();
+  success(res);
+}
+
+
+// =============================================================================
+
+
+/* Change an existing reward action. The request expects the ID of the action to
+ * change along with all of its new details. */
+async function updateRewardAction(db, req, res) {
+  const entry = rewardActions.find(entry => entry.id === req.query.id);
+  if (entry === undefined) {
+    return error(res, 'there is no reward action with that ID');
+  }
+
+  const details = parseRewardActionRequest(req);
+  if (typeof details === 'string') {
+    return error(res, details);
+  }
+
+  console.log(`Rewards: Updating ${entry.action} action ${entry.id}`);
+  Object.assign(entry, details);
+
+  await db.rewardAction.update({
+    where: { id: entry.id },
+    data: details
+  });
+
+  sortRewardActions();
+
+  transmitRewardActions();
+  success(res);
+}
+
+
+// =============================================================================
+
+
+/* Remove an existing reward action. The request expects the ID of the action to
+ * remove. */
+async function deleteRewardAction(db, req, res) {
+  const entry = rewardActions.find(entry => entry.id === req.query.id);
+  if (entry === undefined) {
+    return error(res, 'there is no reward action with that ID');
+  }
+
+  console.log(`Rewards: Removing ${entry.action} action ${entry.id}`);
+  rewardActions = rewardActions.filter(action => action.id !== entry.id);
+  await db.rewardAction.delete({ where: { id: entry.id } });
+
+  transmitRewardActions();
+  success(res);
+}
+
+
+// =============================================================================
+
+
+/* Load all of the reward actions from the database. */
+async function loadRewardActions(db) {
+  rewardActions = await db.rewardAction.findMany({});
+  sortRewardActions();
+
+  transmitRewardActions();
+}
+
+
+// =============================================================================
+
+
+/* This sets up the handling of channel point rewards, loading the actions for
+ * them from the database right away, as well as the routes that allow the
+ * panel to manage them. */
+function setupRewardActions(db, app, bridge) {
+  bridge.on('twitch-authorize', twitch => twitchInfo = twitch);
+  bridge.on('twitch-deauthorize', twitch => twitchInfo = twitch);
+
+  // Set up the routes that allow the panel to see the rewards in the channel
+  // and manipulate the actions that they take.
+  app.get('/rewards/list', (req, res) => listChannelRewards(req, res));
+  app.get('/rewards/add', (req, res) => addRewardAction(db, req, res));
+  app.get('/rewards/update', (req, res) => updateRewardAction(db, req, res));
+  app.get('/rewards/delete', (req, res) => deleteRewardAction(db, req, res));
+
+  // Every time a new socket connects to the server, send it the current list.
+  bridge.on('socket-connect', data => transmitRewardActions(data.socket));
+
+  loadRewardActions(db);
+}
+
+
+// =============================================================================
+
+
+module.exports = {
+  setupRewardActions,
+  handlePubSubRedemption,
+}
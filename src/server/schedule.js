@@ -0,0 +1,392 @@
+// =============================================================================
+
+/* The functions here can generate the following events:
+ *   - 'giveaway-schedule'
+ *        The body is an array of scheduled giveaway records, sorted by their
+ *        start time; each contains the ID of the entry, the user it is for,
+ *        the name of the giveaway, the time at which it will start and the
+ *        duration it will run for.
+ *
+ *        The array is empty if there are no queued giveaways, or if there is
+ *        no authorized user.
+ *
+ *      Sent when:
+ *         - A client connects to us
+ *         - A user authorizes or deauthorizes with Twitch
+ *         - A scheduled giveaway is added, changed, removed or started
+ */
+
+const { config } = require('./config');
+const { objId } = require('./db');
+const { chatSay, chatAnnounce } = require('./chat');
+const { broadcastSocketMessage } = require('./socket');
+const { startGiveaway } = require('./giveaway');
+
+
+/* The longest delay that can be given to setTimeout(); anything longer than
+ * this overflows and fires immediately, so timers for scheduled giveaways that
+ * are further in the future than this wake up early and re-arm themselves. */
+const maxTimerDelay = 2 ** 31 - 1;
+
+/* The list of scheduled giveaways that are known for the currently authorized
+ * user, sorted by their start time. This is empty if there is no authorized
+ * user or there are no giveaways in the queue. */
+let schedule = [];
+
+/* For each scheduled giveaway in the list above, this holds the timer handles
+ * for the pending warning and start for that entry, keyed on the ID of the
+ * scheduled giveaway. */
+let timers = {};
+
+/* Some helper functions for sending results of queries back to the initiating
+ * client end. */
+const success = res => res.json({ success: true });
+const error = (res, reason) => res.json({ success: false, reason })
+
+
+// =============================================================================
+
+
+/* Send out the current list of scheduled giveaways to the specific socket given
+ * if there is one, or to all connected sockets if not. */
+function transmitSchedule(socket) {
+  if (socket !== undefined) {
+    socket.emit('giveaway-schedule', schedule);
+  } else {
+    broadcastSocketMessage('giveaway-schedule', schedule);
+  }
+}
+
+
+// =============================================================================
+
+
+/* Set up a timer that will invoke the provided function at the given time.
+ * This takes care of times that are too far in the future for a single timer
+ * by waking up periodically until the time actually arrives.
+ *
+ * The callback can be async; if it fails, the failure is logged.
+ *
+ * The return value is an object whose id field is the handle of the timer
+ * that is currently pending; it changes as the timer re-arms itself. */
+function timerAt(when, callback) {
+  const handle = { id: undefined };
+
+  const fire = () => Promise.resolve()
+    .then(() => callback())
+    .catch(err => console.log(`Schedule: Error in a scheduled task: ${err}`));
+
+  const arm = () => {
+    const delay = when.getTime() - Date.now();
+    handle.id = setTimeout(() => (delay > maxTimerDelay) ? arm() : fire(),
+                           Math.max(0, Math.min(delay, maxTimerDelay)));
+  };
+
+  arm();
+  return handle;
+}
+
+
+// =============================================================================
+
+
+/* Cancel any pending timers that are associated with the scheduled giveaway
+ * with the given ID; it's safe to call this on an entry with no timers. */
+function clearEntryTimers(id) {
+  const entryTimers = timers[id];
+  if (entryTimers !== undefined) {
+    clearTimeout(entryTimers.warning?.id);
+    clearTimeout(entryTimers.start?.id);
+    delete timers[id];
+  }
+}
+
+
+// =============================================================================
+
+
+/* Send the chat a warning that the scheduled giveaway provided is about to
+ * start, and then flag it in the database as having been warned about so that
+ * a restart won't warn the chat a second time. */
+async function warnScheduledGiveaway(db, entry) {
+  const minutes = Math.max(1, Math.round((entry.startTime.getTime() - Date.now()) / 60000));
+  console.log(`Schedule: Warning that giveaway ${entry.id} (${entry.name}) starts in ${minutes} minute(s)`);
+
+  entry.warned = true;
+  await db.scheduledGiveaway.update({
+    where: { id: entry.id },
+    data: { warned: true }
+  });
+
+  await chatAnnounce(config.get('chat.text.giveawayWarning').replace('%MINUTES%', minutes)
+                                                            .replace(/%NAME%/g, entry.name));
+}
+
+
+// =============================================================================
+
+
+/* Start the scheduled giveaway provided running, and then remove it from the
+ * queue, since it's no longer something that's waiting to happen. Unlike a
+ * giveaway started from the panel, this one does not wait to be resumed; its
+ * timer starts running right away.
+ *
+ * If the start time is in the past (because the application was not running
+ * when the giveaway should have started), the duration is reduced so that the
+ * giveaway still ends when it would have.
+ *
+ * A giveaway that can't be started stays in the queue, so that it can be seen
+ * in the panel and tried again the next time the schedule is loaded, and the
+ * chat is told that it didn't start, since there may be nobody at the panel to
+ * notice. */
+async function launchScheduledGiveaway(db, entry) {
+  const lateness = Math.max(0, Date.now() - entry.startTime.getTime());
+  const duration = entry.duration - lateness;
+
+  // If the giveaway would already be over by now, then there's no sense in
+  // starting it at all.
+  if (duration < 1000) {
+    console.log(`Schedule: Scheduled giveaway ${entry.id} expired before it could start`);
+    return removeScheduledGiveaway(db, entry.id);
+  }
+
+  console.log(`Schedule: Starting scheduled giveaway ${entry.id}`);
+  let result;
+  try {
+    result = await startGiveaway(db, entry.userId, entry.name, duration, undefined, undefined, true);
+  } catch (err) {
+    console.log(`Schedule: Error while starting scheduled giveaway ${entry.id}: ${err}`);
+    result = { success: false, reason: 'the database is not available' };
+  }
+
+  if (result.success === false) {
+    console.log(`Schedule: Unable to start scheduled giveaway ${entry.id}: ${result.reason}`);
+    clearEntryTimers(entry.id);
+    return chatSay(`Unable to start the scheduled giveaway '${entry.name}': ${result.reason}`);
+  }
+
+  await removeScheduledGiveaway(db, entry.id);
+}
+
+
+// =============================================================================
+
+
+/* Set up the timers for the given scheduled giveaway; one will start the
+ * giveaway at the appropriate time, and the other (if enabled and the chat has
+ * not already been warned) will warn the chat ahead of time. Any timers that
+ * already exist for this entry are removed first. */
+function armScheduledGiveaway(db, entry) {
+  clearEntryTimers(entry.id);
+  timers[entry.id] = {};
+
+  // If we're already inside the warning window the warning goes out right
+  // away, but there's no point in warning about a giveaway that should have
+  // already started.
+  const warningTime = config.get('chat.scheduleWarning') * 60 * 1000;
+  if (warningTime !== 0 && entry.warned === false && entry.startTime.getTime() > Date.now()) {
+    const warnAt = new Date(entry.startTime.getTime() - warningTime);
+    timers[entry.id].warning = timerAt(warnAt, () => warnScheduledGiveaway(db, entry));
+  }
+
+  timers[entry.id].start = timerAt(entry.startTime, () => launchScheduledGiveaway(db, entry));
+}
+
+
+// =============================================================================
+
+
+/* Remove the scheduled giveaway with the given ID from the database and the
+ * in memory schedule, cancel any timers it has and let everyone know. */
+async function removeScheduledGiveaway(db, id) {
+  clearEntryTimers(id);
+
+  schedule = schedule.filter(entry => entry.id !== id);
+  await db.scheduledGiveaway.deleteMany({ where: { id } });
+
+  transmitSchedule();
+}
+
+
+// =============================================================================
+
+
+/* This is invoked in response to a user authenticating themselves with the
+ * overlay; it loads the queue of scheduled giveaways for that user from the
+ * database and sets up the timers that will start them.
+ *
+ * Any giveaway that should have started while the application wasn't running
+ * will start right away (if it would still have time left). */
+async function loadSchedule(db, userId) {
+  schedule = await db.scheduledGiveaway.findMany({
+    where: { userId },
+    orderBy: { startTime: 'asc' }
+  });
+
+  console.log(`Schedule: ${schedule.length} scheduled giveaway(s) in the queue`);
+  schedule.forEach(entry => armScheduledGiveaway(db, entry));
+
+  transmitSchedule();
+}
+
+
+// =============================================================================
+
+
+/* This is invoked in response to the user logging out of the overlay; all of
+ * the pending timers are removed, since there's nobody to start giveaways for.
+ * The queue remains in the database for the next time the user authorizes. */
+function unloadSchedule() {
+  Object.keys(timers).forEach(id => clearEntryTimers(id));
+  schedule = [];
+
+  transmitSchedule();
+}
+
+
+// =============================================================================
+
+
+/* Validate the name, start time and duration in the request provided,
+ * returning back either an object with the name, parsed startTime and duration
+ * or a string that describes the reason that the request isn't valid. A
+ * request with no name schedules a giveaway with the default name. */
+function parseScheduleRequest(req) {
+  const name = (req.query.name || '').trim() || 'Giveaway';
+  const startTime = new Date(req.query.startTime);
+  const duration = parseInt(req.query.duration, 10);
+
+  if (isNaN(startTime.getTime()) || startTime.getTime() <= Date.now()) {
+    return 'the start time must be a valid time in the future';
+  }
+
+  if (isNaN(duration) || duration < 1000) {
+    return 'the duration must be at least one second';
+  }
+
+  return { name, startTime, duration };
+}
+
+
+// =============================================================================
+
+
+/* Add a new giveaway to the schedule. The request expects the userID of the
+ * user the giveaway is for, the name of the giveaway, the time the giveaway
+ * should start and how long it should run for, in milliseconds. */
+async function addScheduledGiveaway(db, req, res) {
+  const details = parseScheduleRequest(req);
+  if (typeof details === 'string') {
+    return error(res, details);
+  }
+
+  console.log(`Schedule: New giveaway '${details.name}' for ${req.query.userId} at ${details.startTime.toISOString()}`);
+  const entry = await db.scheduledGiveaway.create({
+    data: {
+      id: objId(),
+      userId: req.query.userId,
+      name: details.name,
+      startTime: details.startTime,
+      duration: details.duration,
+      warned: false
+    }
+  });
+
+  schedule.push(entry);
+  schedule.sort((left, right) => left.startTime - right.startTime);
+  armScheduledGiveaway(db, entry);
+
+  transmitSchedule();
+  success(res);
+}
+
+
+// =============================================================================
+
+
+/* Change the name, start time and duration of an existing scheduled giveaway.
+ * The request expects the ID of the entry to change along with the new name,
+ * the time the giveaway should start and how long it should run for, in
+ * milliseconds.
+ *
+ * Changing an entry resets it so that the chat will be warned again. */
+async function updateScheduledGiveaway(db, req, res) {
+  const entry = schedule.find(entry => entry.id === req.query.id);
+  if (entry === undefined) {
+    return error(res, 'there is no scheduled giveaway with that ID');
+  }
+
+  const details = parseScheduleRequest(req);
+  if (typeof details === 'string') {
+    return error(res, details);
+  }
+
+  console.log(`Schedule: Moving giveaway ${entry.id} to ${details.startTime.toISOString()}`);
+  entry.name = details.name;
+  entry.startTime = details.startTime;
+  entry.duration = details.duration;
+  entry.warned = false;
+
+  await db.scheduledGiveaway.update({
+    where: { id: entry.id },
+    data: {
+      name: entry.name,
+      startTime: entry.startTime,
+      duration: entry.duration,
+      warned: entry.warned
+    }
+  });
+
+  schedule.sort((left, right) => left.startTime - right.startTime);
+  armScheduledGiveaway(db, entry);
+
+  transmitSchedule();
+  success(res);
+}
+
+
+// =============================================================================
+
+
+/* Remove an existing giveaway from the schedule, so that it won't start. The
+ * request expects the ID of the entry to remove. */
+async function deleteScheduledGiveaway(db, req, res) {
+  if (schedule.find(entry => entry.id === req.query.id) === undefined) {
+    return error(res, 'there is no scheduled giveaway with that ID');
+  }
+
+  console.log(`Schedule: Removing giveaway ${req.query.id}`);
+  await removeScheduledGiveaway(db, req.query.id);
+
+  success(res);
+}
+
+
+// =============================================================================
+
+
+/* This sets up the scheduling of giveaways, which will load the queue of
+ * scheduled giveaways whenever a user authorizes and start them as their time
+ * arrives, as well as the routes that allow the panel to manage the queue. */
+function setupGiveawaySchedule(db, app, bridge) {
+  bridge.on('twitch-authorize', twitch => loadSchedule(db, twitch.userInfo.id));
+  bridge.on('twitch-deauthorize', twitch => unloadSchedule());
+
+  // Set up the routes that allow the controls in the main panel to manipulate
+  // the queue of scheduled giveaways.
+  app.get('/schedule/add', (req, res) => addScheduledGiveaway(db, req, res));
+  app.get('/schedule/update', (req, res) => updateScheduledGiveaway(db, req, res));
+  app.get('/schedule/delete', (req, res) => deleteScheduledGiveaway(db, req, res));
+
+  // Every time a new socket connects to the server, send it the current state
+  // of the queue.
+  bridge.on('socket-connect', data => transmitSchedule(data.socket));
+}
+
+
+// =============================================================================
+
+
+module.exports = {
+  setupGiveawaySchedule,
+}
@@ -120,10 +120,19 @@ function sendSocketMessage(role, event, ...args) {
 // =============================================================================
 
 
-// TODO: We should have methods for knowing how many connections of each role
-// there are, as well as the list of roles, so that external code can query.
+/* Return back the number of sockets that are currently connected with the
+ * given role. */
+function roleConnectionCount(role) {
+  return clientRoles[role]?.size || 0;
+}
+
+
+// =============================================================================
+
+
 module.exports = {
   setupWebSockets,
   sendSocketMessage,
   broadcastSocketMessage,
+  roleConnectionCount,
 }
\ No newline at end of file
@@ -14,14 +14,14 @@ function setupEventTesting(db, app, bridge) {
     // This simple test route allows the test panel to generate a fake
     // subscription message so that we can more easily do testing.
     app.post('/test/subs', async (req, res) => {
-      handlePubSubSubscription(db, twitch, req.body);
+      handlePubSubSubscription(db, twitch, req.body, 'test');
       res.json({success: true});
     });
 
     // This simple test route allows the test panel to generate a fake bits
     // message so that we can more easily do testing.
     app.post('/test/bits', async (req, res) => {
-      handlePubSubBits(db, twitch, req.body);
+      handlePubSubBits(db, twitch, req.body, 'test');
       res.json({success: true});
     });
   });
@@ -0,0 +1,454 @@
+// =============================================================================
+
+/* Custom text commands are chat commands (like !discord) that reply with a
+ * message that is set up in the panel, and timed messages are messages that
+ * are sent to the chat every so often, as long as the chat has been active
+ * enough since the last time. Both are stored in the database and can be
+ * changed at runtime.
+ *
+ * The text of both can contain these variables, which are filled in when the
+ * text is sent:
+ *   - %USERNAME%    the person that used the command; for timed messages this
+ *                   is the broadcaster
+ *   - %GIVEAWAY%    the name of the most recently started giveaway
+ *   - %REMAINING%   how much time is left in that giveaway
+ *   - %TOPGIFTER%   the person with the most entries in that giveaway
+ *
+ * The functions here can generate the following events:
+ *   - 'text-commands'
+ *        The body is an array of text command records, sorted by name; each
+ *        contains the ID, name, text, role and enabled state of the command.
+ *
+ *      Sent when:
+ *         - A client connects to us
+ *         - A text command is added, changed or removed
+ *
+ *   - 'timed-messages'
+ *        The body is an array of timed message records; each contains the ID,
+ *        text, interval in minutes, the minimum number of chat messages and
+ *        the enabled state of the message.
+ *
+ *      Sent when:
+ *         - A client connects to us
+ *         - A timed message is added, changed or removed
+ */
+
+const { objId } = require('./db');
+const { chatSay } = require('./chat');
+const { broadcastSocketMessage } = require('./socket');
+const { registerCommand, unregisterCommand, findCommand } = require('./commands');
+const { giveawayTextVariables } = require('./giveaway');
+const { roles } = require('./permissions');
+
+
+/* The list of custom text commands, sorted by name, and the list of timed
+ * messages; these are loaded from the database at startup. */
+let textCommands = [];
+let timedMessages = [];
+
+/* For each timed message in the list above, this holds the handle of the timer
+ * that sends it and the number of chat messages that have been seen since it
+ * was last sent, keyed on the ID of the timed message. */
+let timers = {};
+
+/* Information on the currently authorized user, if any; the name of the
+ * broadcaster is used as the user name for timed messages. */
+let twitchInfo = {};
+
+/* Some helper functions for sending results of queries back to the initiating
+ * client end. */
+const success = res => res.json({ success: true });
+const error = (res, reason) => res.json({ success: false, reason })
+
+
+// =============================================================================
+
+
+/* Given some text for a text command or timed message and the name of the user
+ * that it's for, return back a version of the text with all of the variables
+ * in it filled in. Any extra variables given are filled in as well. */
+function fillTextVariables(text, userName, extra = {}) {
+  const variables = { '%USERNAME%': userName, ...giveawayTextVariables(), ...extra };
+
+  return Object.entries(variables).reduce((result, [name, value]) =>
+                                            result.split(name).join(value), text);
+}
+
+
+// =============================================================================
+
+
+/* Send out the current list of text commands and timed messages to the
+ * specific socket given if there is one, or to all connected sockets if not. */
+function transmitTextCommands(socket) {
+  const send = (event, data) => (socket !== undefined) ? socket.emit(event, data) : broadcastSocketMessage(event, data);
+
+  send('text-commands', textCommands);
+  send('timed-messages', timedMessages);
+}
+
+
+// =============================================================================
+
+
+/* Register the text command record provided with the command registry so that
+ * it responds in the chat; commands that are disabled are not registered. */
+function registerTextCommand(entry) {
+  if (entry.enabled === false) {
+    return;
+  }
+
+  registerCommand({
+    name: entry.name,
+    description: 'A custom text command',
+    role: entry.role,
+    custom: true,
+    handler: (cmd, userInfo) => chatSay(fillTextVariables(entry.text, userInfo.displayName))
+  });
+}
+
+
+// =============================================================================
+
+
+/* Given a request to add or change a text command, parse out and validate the
+ * details of the command, returning back either an object with the name, text,
+ * role and enabled state or a string that describes the reason that the request
+ * isn't valid.
+ *
+ * A command can't have the same name as one of the built in commands, or as
+ * another text command other than the one with the ID provided (if any). */
+function parseTextCommandRequest(req, id) {
+  const name = (req.query.name || '').trim().toLowerCase();
+  const text = (req.query.text || '').trim();
+  const role = req.query.role || 'everyone';
+  const enabled = req.query.enabled !== 'false';
+
+  if (/^![a-z0-9_]+$/.test(name) === false) {
+    return 'the command name must be a ! followed by letters, numbers or underscores';
+  }
+
+  if (text === '' || text.length > 500) {
+    return 'the text of the command must be from 1 to 500 characters long';
+  }
+
+  if (roles.includes(role) === false) {
+    return `the role must be one of: ${roles.join(', ')}`;
+  }
+
+  const existing = findCommand(name);
+  if (existing !== undefined && existing.custom !== true) {
+    return `${name} is a built in command`;
+  }
+
+  if (textCommands.find(entry => entry.name === name && entry.id !== id) !== undefined) {
+    return `there is already a text command named ${name}`;
+  }
+
+  return { name, text, role, enabled };
+}
+
+
+// =============================================================================
+
+
+/* Add a new text command. The request expects the name of the command, the
+ * text to reply with, the minimum role needed to use it and whether it's
+ * enabled. */
+async function addTextCommand(db, req, res) {
+  const details = parseTextCommandRequest(req);
+  if (typeof details === 'string') {
+    return error(res, details);
+  }
+
+  console.log(`Commands: New text command ${details.name}`);
+  let entry;
+  try {
+    entry = await db.textCommand.create({
+      data: { id: objId(), ...details }
+    });
+  } catch (err) {
+    console.log(`Commands: Unable to add text command ${details.name}: ${err}`);
+    return error(res, 'unable to add the text command; the database is not available');
+  }
+
+  textCommands.push(entry);
+  textCommands.sort((left, right) => left.name.localeCompare(right.name));
+  registerTextCommand(entry);
+
+  transmitTextCommands();
+  success(res);
+}
+
+
+// =============================================================================
+
+
+/* Change an existing text command. The request expects the ID of the command
+ * to change along with its new name, text, role and enabled state; the command
+ * is only changed once the change has been saved. */
+async function updateTextCommand(db, req, res) {
+  const entry = textCommands.find(entry => entry.id === req.query.id);
+  if (entry === undefined) {
+    return error(res, 'there is no text command with that ID');
+  }
+
+  const details = parseTextCommandRequest(req, entry.id);
+  if (typeof details === 'string') {
+    return error(res, details);
+  }
+
+  console.log(`Commands: Updating text command ${entry.name}`);
+  try {
+    await db.textCommand.update({
+      where: { id: entry.id },
+      data: details
+    });
+  } catch (err) {
+    console.log(`Commands: Unable to update text command ${entry.name}: ${err}`);
+    return error(res, 'unable to update the text command; the database is not available');
+  }
+
+  unregisterCommand(entry.name);
+  Object.assign(entry, details);
+
+  textCommands.sort((left, right) => left.name.localeCompare(right.name));
+  registerTextCommand(entry);
+
+  transmitTextCommands();
+  success(res);
+}
+
+
+// =============================================================================
+
+
+/* Remove an existing text command. The request expects the ID of the command
+ * to remove. */
+async function deleteTextCommand(db, req, res) {
+  const entry = textCommands.find(entry => entry.id === req.query.id);
+  if (entry === undefined) {
+    return error(res, 'there is no text command with that ID');
+  }
+
+  console.log(`Commands: Removing text command ${entry.name}`);
+  try {
+    await db.textCommand.delete({ where: { id: entry.id } });
+  } catch (err) {
+    console.log(`Commands: Unable to remove text command ${entry.name}: ${err}`);
+    return error(res, 'unable to remove the text command; the database is not available');
+  }
+
+  unregisterCommand(entry.name);
+  textCommands = textCommands.filter(command => command.id !== entry.id);
+
+  transmitTextCommands();
+  success(res);
+}
+
+
+// =============================================================================
+
+
+/* Start the timer for the timed message record provided running, replacing any
+ * timer that it already has; disabled messages have no timer.
+ *
+ * Every time the timer fires, the message is sent if enough chat messages have
+ * been seen since it was last sent; if not, it waits for the next interval. */
+function armTimedMessage(entry) {
+  clearInterval(timers[entry.id]?.id);
+  delete timers[entry.id];
+
+  if (entry.enabled === false) {
+    return;
+  }
+
+  const timer = timers[entry.id] = { id: undefined, messages: 0 };
+  timer.id = setInterval(() => {
+    if (timer.messages < entry.minMessages) {
+      return;
+    }
+
+    timer.messages = 0;
+    chatSay(fillTextVariables(entry.text, twitchInfo.userInfo?.displayName || ''));
+  }, entry.interval * 60 * 1000);
+}
+
+
+// =============================================================================
+
+
+/* Given a request to add or change a timed message, parse out and validate the
+ * details of the message, returning back either an object with the text, the
+ * interval, the minimum number of messages and the enabled state, or a string
+ * that describes the reason that the request isn't valid. */
+function parseTimedMessageRequest(req) {
+  const text = (req.query.text || '').trim();
+  const interval = parseInt(req.query.interval, 10);
+  const minMessages = parseInt(req.query.minMessages || '0', 10);
+  const enabled = req.query.enabled !== 'false';
+
+  if (text === '' || text.length > 500) {
+    return 'the text of the message must be from 1 to 500 characters long';
+  }
+
+  if (isNaN(interval) || interval < 1) {
+    return 'the interval must be at least one minute';
+  }
+
+  if (isNaN(minMessages) || minMessages < 0) {
+    return 'the number of chat messages must be 0 or more';
+  }
+
+  return { text, interval, minMessages, enabled };
+}
+
+
+// =============================================================================
+
+
+/* Add a new timed message. The request expects the text of the message, how
+ * often to send it in minutes, how many chat messages need to be seen between
+ * sends, and whether it's enabled. */
+async function addTimedMessage(db, req, res) {
+  const details = parseTimedMessageRequest(req);
+  if (typeof details === 'string') {
+    return error(res, details);
+  }
+
+  console.log(`Commands: New timed message every ${details.interval} minute(s)`);
+  let entry;
+  try {
+    entry = await db.timedMessage.create({
+      data: { id: objId(), ...details }
+    });
+  } catch (err) {
+    console.log(`Commands: Unable to add timed message: ${err}`);
+    return error(res, 'unable to add the timed message; the database is not available');
+  }
+
+  timedMessages.push(entry);
+  armTimedMessage(entry);
+
+  transmitTextCommands();
+  success(res);
+}
+
+
+// =============================================================================
+
+
+/* Change an existing timed message. The request expects the ID of the message
+ * to change along with its new text, interval, minimum number of messages and
+ * enabled state. */
+async function updateTimedMessage(db, req, res) {
+  const entry = timedMessages.find(entry => entry.id === req.query.id);
+  if (entry === undefined) {
+    return error(res, 'there is no timed message with that ID');
+  }
+
+  const details = parseTimedMessageRequest(req);
+  if (typeof details === 'string') {
+    return error(res, details);
+  }
+
+  console.log(`Commands: Updating timed message ${entry.id}`);
+  try {
+    await db.timedMessage.update({
+      where: { id: entry.id },
+      data: details
+    });
+  } catch (err) {
+    console.log(`Commands: Unable to update timed message ${entry.id}: ${err}`);
+    return error(res, 'unable to update the timed message; the database is not available');
+  }
+
+  Object.assign(entry, details);
+
+  armTimedMessage(entry);
+
+  transmitTextCommands();
+  success(res);
+}
+
+
+// =============================================================================
+
+
+/* Remove an existing timed message. The request expects the ID of the message
+ * to remove. */
+async function deleteTimedMessage(db, req, res) {
+  const entry = timedMessages.find(entry => entry.id === req.query.id);
+  if (entry === undefined) {
+    return error(res, 'there is no timed message with that ID');
+  }
+
+  console.log(`Commands: Removing timed message ${entry.id}`);
+  try {
+    await db.timedMessage.delete({ where: { id: entry.id } });
+  } catch (err) {
+    console.log(`Commands: Unable to remove timed message ${entry.id}: ${err}`);
+    return error(res, 'unable to remove the timed message; the database is not available');
+  }
+
+  clearInterval(timers[entry.id]?.id);
+  delete timers[entry.id];
+  timedMessages = timedMessages.filter(message => message.id !== entry.id);
+
+  transmitTextCommands();
+  success(res);
+}
+
+
+// =============================================================================
+
+
+/* Load all of the text commands and timed messages from the database, register
+ * the commands and start the timers for the messages. */
+async function loadTextCommands(db) {
+  textCommands = await db.textCommand.findMany({ orderBy: { name: 'asc' } });
+  timedMessages = await db.timedMessage.findMany({});
+
+  textCommands.forEach(entry => registerTextCommand(entry));
+  timedMessages.forEach(entry => armTimedMessage(entry));
+
+  transmitTextCommands();
+}
+
+
+// =============================================================================
+
+
+/* This sets up the custom text commands and timed messages, which are loaded
+ * from the database right away, as well as the routes that allow the commands
+ * page to manage them. Every chat message that is seen counts towards the
+ * number of messages that timed messages need before they're sent again. */
+function setupTextCommands(db, app, bridge) {
+  bridge.on('twitch-authorize', twitch => twitchInfo = twitch);
+  bridge.on('twitch-deauthorize', twitch => twitchInfo = twitch);
+
+  bridge.on('chat-message', () => Object.values(timers).forEach(timer => timer.messages++));
+
+  // Set up the routes that allow the commands page to manipulate the text
+  // commands and timed messages.
+  app.get('/commands/add', (req, res) => addTextCommand(db, req, res));
+  app.get('/commands/update', (req, res) => updateTextCommand(db, req, res));
+  app.get('/commands/delete', (req, res) => deleteTextCommand(db, req, res));
+  app.get('/timers/add', (req, res) => addTimedMessage(db, req, res));
+  app.get('/timers/update', (req, res) => updateTimedMessage(db, req, res));
+  app.get('/timers/delete', (req, res) => deleteTimedMessage(db, req, res));
+
+  // Every time a new socket connects to the server, send it the current lists.
+  bridge.on('socket-connect', data => transmitTextCommands(data.socket));
+
+  loadTextCommands(db);
+}
+
+
+// =============================================================================
+
+
+module.exports = {
+  setupTextCommands,
+  fillTextVariables,
+}
@@ -20,6 +20,7 @@ const { encrypt, decrypt } = require('./crypto');
 const bot_token_scopes = ['chat:read', 'chat:edit',
                           'bits:read',
                           'channel:read:redemptions',
+                          'channel:manage:redemptions',
                           'channel_subscriptions'];
 
 
@@ -63,6 +64,12 @@ let twitch = {
 
   /* A Twurple ApiClient that allows us to talk to the Twitch API. */
   api: undefined,
+
+  /* The scopes that the overlay asks for which the token of the current user
+   * was not granted, because it was obtained before they were needed; the
+   * things that need those scopes won't work until the user authorizes the
+   * overlay again. */
+  missingScopes: [],
 }
 
 
@@ -107,6 +114,20 @@ async function setupTwitchAccess(db, token, bridge) {
   token.accessToken = decrypt(token.accessToken);
   token.refreshToken = decrypt(token.refreshToken);
 
+  // A token from the database stores the scopes it was granted as a string,
+  // since Prisma doesn't allow for arrays. Tokens that were obtained before
+  // the overlay needed some of its scopes don't have them, and can only get
+  // them by authorizing again.
+  if (Array.isArray(token.scopes) === false) {
+    token.scopes = JSON.parse(token.scopes || '[]');
+  }
+
+  twitch.missingScopes = bot_token_scopes.filter(scope => token.scopes.includes(scope) === false);
+  if (twitch.missingScopes.length !== 0) {
+    console.log(`Twitch: The current authorization is missing the ${twitch.missingScopes.join(', ')} scope(s); ` +
+                `log out and authorize the overlay again from the panel to grant them`);
+  }
+
   try {
     // Create a Twurple authorization provider; this will take the token info as
     // it was given and make sure that the tokens are always kept up to date; so
@@ -176,6 +197,7 @@ async function setupTwitchAccess(db, token, bridge) {
     twitch.authProvider = undefined;
     twitch.api = undefined;
     twitch.userInfo = undefined
+    twitch.missingScopes = [];
 
     throw e;
   }
@@ -208,6 +230,7 @@ async function shutdownTwitchAccess(bridge) {
   twitch.authProvider = undefined;
   twitch.api = undefined;
   twitch.userInfo = undefined;
+  twitch.missingScopes = [];
 
   // Tell interested parties that we're no longer authorized.
   bridge.emit('twitch-deauthorize', twitch);